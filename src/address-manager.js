@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const cidr = require('./cidr');
+const routeTable = require('./route-table');
+
+class AddressManager {
+  constructor() {
+    // Pools tentados em ordem quando o perfil não traz endereço do servidor
+    // (padrões de tunnel.addressPools4/6 nas configurações)
+    this.pools = {
+      4: ['10.77.0.0/16', '172.29.0.0/16', '192.168.177.0/24'],
+      6: ['fd77:6869:7261::/48']
+    };
+    this.enableIPv6 = true;
+    this.maxAttempts = 64;
+    // Leitor das interfaces locais; o systeminformation só é carregado aqui
+    // para o módulo (e os testes) não dependerem dele
+    this.readInterfaces = () => require('systeminformation').networkInterfaces();
+  }
+
+  // Aplicar os pools da seção `tunnel` das configurações
+  applySettings(settings) {
+    this.pools = {
+      4: [...settings.tunnel.addressPools4],
+      6: [...settings.tunnel.addressPools6]
+    };
+  }
+
+  // Redes já presentes no host (interfaces e tabela de rotas), exceto rotas
+  // default. `kind` diz de onde veio: 'interface' ou 'route'.
+  async getLocalNetworks(ignoreInterfaces = []) {
+    const networks = [];
+
+    try {
+      const interfaces = await this.readInterfaces();
+      for (const iface of interfaces) {
+        if (ignoreInterfaces.includes(iface.iface)) continue;
+        if (iface.ip4) {
+          networks.push({ cidr: `${iface.ip4}/${cidr.maskToPrefix(iface.ip4subnet) || 32}`, source: iface.iface, kind: 'interface' });
+        }
+        if (iface.ip6 && !iface.ip6.startsWith('fe80')) {
+          networks.push({ cidr: `${iface.ip6.split('%')[0]}/${cidr.maskToPrefix(iface.ip6subnet) || 128}`, source: iface.iface, kind: 'interface' });
+        }
+      }
+    } catch (error) {
+      console.error('Erro ao listar interfaces para checagem de endereços:', error);
+    }
+
+    for (const route of await this.getRouteDestinations(ignoreInterfaces)) {
+      networks.push({ cidr: route.destination, source: `rota via ${route.iface || '?'}`, kind: 'route' });
+    }
+
+    return networks.filter(network => {
+      try {
+        return cidr.parseCidr(network.cidr).prefix > 0;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  // Destinos da tabela de rotas (todas as tabelas), exceto default, broadcast e multicast
+  async getRouteDestinations(ignoreInterfaces = []) {
+    const routes = await routeTable.readRoutes();
+    return routes
+      .filter(route => !routeTable.isDefault(route))
+      .filter(route => !['broadcast', 'multicast'].includes(route.type))
+      .filter(route => !(route.iface && ignoreInterfaces.includes(route.iface)))
+      .map(route => ({ destination: route.destination, iface: route.iface }));
+  }
+
+  // Encontrar redes locais que se sobrepõem ao endereço
+  findConflicts(address, networks) {
+    return networks.filter(network => {
+      try {
+        return cidr.overlaps(address, network.cidr);
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  // Verificar se alguma rede local cobre o pool inteiro (nenhum candidato serviria)
+  coversPool(pool, networks) {
+    const range = cidr.parseCidr(pool);
+    return networks.some(network => {
+      try {
+        const other = cidr.parseCidr(network.cidr);
+        return other.family === range.family && other.start <= range.start && other.end >= range.end;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  // Candidato determinístico dentro do pool: hash(seed, tentativa) -> host
+  candidate(pool, seed, attempt) {
+    const range = cidr.parseCidr(pool);
+    const size = range.end - range.start + 1n;
+    // Evitar endereço de rede, o .1 (geralmente o servidor) e o broadcast
+    const usable = size > 4n ? size - 3n : size;
+    const digest = crypto.createHash('sha256').update(`${seed}:${attempt}`).digest('hex');
+    const offset = (BigInt(`0x${digest.slice(0, 16)}`) % usable) + (size > 4n ? 2n : 0n);
+    const hostBits = range.family === 4 ? 32 : 128;
+    return `${cidr.bigIntToIp(range.start + offset, range.family)}/${hostBits}`;
+  }
+
+  // Atribuir um endereço livre de um pool da família
+  assignFromPools(family, seed, networks, reserved) {
+    for (const pool of this.pools[family] || []) {
+      if (this.coversPool(pool, networks)) continue;
+      for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+        const address = this.candidate(pool, seed, attempt);
+        const taken = reserved.some(used => cidr.overlaps(used, address));
+        if (!taken && this.findConflicts(address, networks).length === 0) {
+          return address;
+        }
+      }
+    }
+    throw new Error(`Nenhum endereço IPv${family} livre nos pools configurados`);
+  }
+
+  // Validar endereços do perfil contra túneis ativos e interfaces locais
+  assertAvailable(addresses, networks, reserved) {
+    for (const address of addresses) {
+      const used = reserved.find(other => cidr.overlaps(other, address));
+      if (used) {
+        throw new Error(`Endereço do túnel ${address} já está em uso por outro túnel ativo (${used})`);
+      }
+      const local = this.findConflicts(address, networks).find(network => network.kind === 'interface');
+      if (local) {
+        throw new Error(`Endereço do túnel ${address} sobrepõe a rede ${local.cidr} da interface ${local.source}`);
+      }
+    }
+  }
+
+  // Resolver os endereços da interface do túnel para um perfil
+  async resolveAddresses(profile, options = {}) {
+    const { ignoreInterfaces = [], reserved = [] } = options;
+    const networks = await this.getLocalNetworks(ignoreInterfaces);
+    const assigned = profile.iface && profile.iface.address ? profile.iface.address : [];
+
+    // Endereço definido pelo servidor: recusado se já estiver em uso por outro
+    // túnel ou pela rede de uma interface local; sobreposição com rotas só é avisada
+    if (assigned.length > 0) {
+      this.assertAvailable(assigned, networks, reserved);
+      const conflicts = assigned.flatMap(address =>
+        this.findConflicts(address, networks).map(network => ({ address, ...network }))
+      );
+      for (const conflict of conflicts) {
+        console.warn(`Endereço do túnel ${conflict.address} sobrepõe ${conflict.cidr} (${conflict.source})`);
+      }
+      return { addresses: assigned, source: 'profile', conflicts };
+    }
+
+    const seed = profile.id || profile.name;
+    const addresses = [this.assignFromPools(4, seed, networks, reserved)];
+    if (this.enableIPv6) {
+      addresses.push(this.assignFromPools(6, seed, networks, reserved));
+    }
+    return { addresses, source: 'pool', conflicts: [] };
+  }
+}
+
+module.exports = new AddressManager();
@@ -0,0 +1,31 @@
+const WgQuickBackend = require('./wg-quick-backend');
+const NetlinkBackend = require('./netlink-backend');
+const SimulatedBackend = require('./simulated-backend');
+
+const BACKENDS = {
+  'wg-quick': WgQuickBackend,
+  netlink: NetlinkBackend,
+  simulated: SimulatedBackend
+};
+
+// Criar backend pelo nome
+function createBackend(name) {
+  const Backend = BACKENDS[name];
+  if (!Backend) {
+    throw new Error(`Backend de túnel desconhecido: ${name} (disponíveis: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return new Backend();
+}
+
+// Backend padrão: HIRAISHIN_BACKEND, simulado em desenvolvimento, senão wg-quick
+function defaultBackendName() {
+  if (process.env.HIRAISHIN_BACKEND) return process.env.HIRAISHIN_BACKEND;
+  if (process.env.NODE_ENV === 'development') return 'simulated';
+  return 'wg-quick';
+}
+
+module.exports = {
+  createBackend,
+  defaultBackendName,
+  backendNames: Object.keys(BACKENDS)
+};
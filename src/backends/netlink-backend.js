@@ -0,0 +1,185 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const TunnelBackend = require('./tunnel-backend');
+const wgConfig = require('../wg-config');
+const secretStore = require('../secret-store');
+
+const execAsync = promisify(exec);
+
+// Campos de [Interface] entendidos pelo `wg setconf` (o restante é do wg-quick)
+const WG_INTERFACE_FIELDS = ['PrivateKey', 'ListenPort', 'FwMark'];
+
+// Primeira tabela/fwmark tentada para rotas default, como no wg-quick; cada
+// túnel usa a primeira livre daqui para cima
+const DEFAULT_TABLE = 51820;
+
+// Backend que configura a interface diretamente com `wg` + `ip` (netlink), sem wg-quick
+class NetlinkBackend extends TunnelBackend {
+  constructor() {
+    super('netlink');
+    this.active = new Map();
+  }
+
+  async isAvailable() {
+    if (process.platform !== 'linux') return false;
+    try {
+      await execAsync('wg --version');
+      await execAsync('ip -V');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async run(command) {
+    return execAsync(`sudo ${command}`);
+  }
+
+  // Executar hooks PreUp/PostUp/PreDown/PostDown substituindo %i pelo nome da
+  // interface. Como no wg-quick, rodam como root e numa shell (podem ter `;`, `|`)
+  async runHooks(hooks, name) {
+    for (const hook of hooks || []) {
+      const command = hook.replace(/%i/g, name);
+      await this.run(`sh -c '${command.replace(/'/g, `'\\''`)}'`);
+    }
+  }
+
+  // Aplicar chaves e peers via `wg setconf` usando um arquivo temporário 0600
+  async setConf(tunnel) {
+    const iface = {};
+    for (const field of WG_INTERFACE_FIELDS) {
+      if (tunnel.config.iface[field] !== undefined) iface[field] = tunnel.config.iface[field];
+    }
+    const text = wgConfig.formatConfig({ iface, peers: tunnel.config.peers });
+    const tmpFile = path.join(os.tmpdir(), `hiraishin-${tunnel.name}-${process.pid}.conf`);
+    try {
+      fs.writeFileSync(tmpFile, text, { mode: 0o600 });
+      await this.run(`wg setconf ${tunnel.name} "${tmpFile}"`);
+    } finally {
+      secretStore.secureDelete(tmpFile);
+    }
+  }
+
+  // Tabela (e fwmark) das rotas default do túnel: o FwMark do config, se houver,
+  // senão a primeira a partir de 51820 sem rotas e sem outro túnel nosso nela
+  async pickDefaultTable(tunnel) {
+    const fwmark = tunnel.config.iface.FwMark;
+    if (fwmark && String(fwmark).toLowerCase() !== 'off') return Number(fwmark);
+
+    const taken = new Set([...this.active.values()].map(active => active.defaultTable));
+    for (let table = DEFAULT_TABLE; ; table++) {
+      if (taken.has(table)) continue;
+      const { stdout: routes4 } = await this.run(`ip -4 route show table ${table}`);
+      const { stdout: routes6 } = await this.run(`ip -6 route show table ${table}`);
+      if (!routes4.trim() && !routes6.trim()) return table;
+    }
+  }
+
+  // Rotas para os AllowedIPs; rotas default usam policy routing com fwmark.
+  // Retorna a tabela usada e os comandos que desfazem as regras.
+  async addRoutes(tunnel) {
+    const { iface, peers } = tunnel.config;
+    if (String(iface.Table || '').toLowerCase() === 'off') return { defaultTable: null, rules: [] };
+
+    const table = iface.Table && iface.Table !== 'auto' ? iface.Table : null;
+    const allowedIPs = [...new Set(peers.flatMap(peer => peer.AllowedIPs || []))];
+    const rules = [];
+    let defaultTable = null;
+
+    for (const cidr of allowedIPs) {
+      const family = cidr.includes(':') ? '-6' : '-4';
+      const isDefault = /\/0$/.test(cidr);
+
+      if (isDefault && !table) {
+        if (defaultTable === null) {
+          defaultTable = await this.pickDefaultTable(tunnel);
+          await this.run(`wg set ${tunnel.name} fwmark ${defaultTable}`);
+        }
+        await this.run(`ip ${family} route add ${cidr} dev ${tunnel.name} table ${defaultTable}`);
+        await this.run(`ip ${family} rule add not fwmark ${defaultTable} table ${defaultTable}`);
+        await this.run(`ip ${family} rule add table main suppress_prefixlength 0`);
+        rules.push(
+          `ip ${family} rule del not fwmark ${defaultTable} table ${defaultTable}`,
+          `ip ${family} rule del table main suppress_prefixlength 0`
+        );
+      } else {
+        await this.run(`ip ${family} route add ${cidr} dev ${tunnel.name}${table ? ` table ${table}` : ''}`);
+      }
+    }
+    return { defaultTable, rules };
+  }
+
+  // Configurar DNS por interface via systemd-resolved, quando disponível
+  async setDns(tunnel) {
+    const servers = (tunnel.config.iface.DNS || []).filter(server => /^[0-9a-fA-F:.]+$/.test(server));
+    if (servers.length === 0) return;
+    try {
+      await this.run(`resolvectl dns ${tunnel.name} ${servers.join(' ')}`);
+      await this.run(`resolvectl domain ${tunnel.name} "~."`);
+    } catch (error) {
+      console.warn(`Não foi possível configurar DNS em ${tunnel.name}: ${error.message}`);
+    }
+  }
+
+  async up(tunnel) {
+    const { iface } = tunnel.config;
+    await this.runHooks(iface.PreUp, tunnel.name);
+    await this.run(`ip link add dev ${tunnel.name} type wireguard`);
+
+    try {
+      await this.setConf(tunnel);
+      for (const address of iface.Address || []) {
+        await this.run(`ip ${address.includes(':') ? '-6' : '-4'} address add ${address} dev ${tunnel.name}`);
+      }
+      await this.run(`ip link set mtu ${iface.MTU || 1420} up dev ${tunnel.name}`);
+      const { defaultTable, rules } = await this.addRoutes(tunnel);
+      await this.setDns(tunnel);
+      await this.runHooks(iface.PostUp, tunnel.name);
+      this.active.set(tunnel.name, { ...tunnel, defaultTable, rules });
+      return true;
+    } catch (error) {
+      await this.run(`ip link del dev ${tunnel.name}`).catch(cleanupError => {
+        console.error(`Erro ao remover ${tunnel.name}:`, cleanupError.message);
+      });
+      throw new Error(`Erro ao configurar ${tunnel.name} via netlink: ${error.message}`);
+    }
+  }
+
+  async down(tunnel) {
+    const active = this.active.get(tunnel.name) || tunnel;
+    const iface = active.config ? active.config.iface : {};
+
+    await this.runHooks(iface.PreDown, tunnel.name);
+    for (const rule of active.rules || []) {
+      await this.run(rule).catch(error => {
+        console.error(`Erro ao remover regra (${rule}):`, error.message);
+      });
+    }
+    await this.run(`ip link del dev ${tunnel.name}`);
+    await this.runHooks(iface.PostDown, tunnel.name);
+    this.active.delete(tunnel.name);
+    return true;
+  }
+
+  async downAll() {
+    for (const tunnel of [...this.active.values()]) {
+      await this.down(tunnel);
+    }
+    return true;
+  }
+
+  async dump() {
+    const { stdout } = await this.run('wg show all dump');
+    return stdout;
+  }
+
+  async status() {
+    const { stdout } = await this.run('wg show');
+    return stdout;
+  }
+}
+
+module.exports = NetlinkBackend;
@@ -0,0 +1,164 @@
+const TunnelBackend = require('./tunnel-backend');
+const profileStore = require('../profile-store');
+
+// Intervalo de rekey do WireGuard (REKEY_AFTER_TIME)
+const REKEY_SECONDS = 120;
+// Tamanho de uma iniciação de handshake
+const HANDSHAKE_INITIATION_BYTES = 148;
+
+// Backend em memória que modela handshakes, contadores rx/tx e falhas,
+// para testar os fluxos de conexão sem root nem módulo do kernel
+class SimulatedBackend extends TunnelBackend {
+  constructor() {
+    super('simulated');
+    this.simulated = true;
+    this.tunnels = new Map();
+    this.failures = new Map();
+    // Interfaces cujo servidor não responde; continua valendo depois de um restart
+    this.unreachable = new Set();
+    this.rates = { rx: 125000, tx: 25000 }; // bytes/s
+    this.now = () => Date.now();
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  // Fazer a próxima chamada de `operation` (up, down, dump, status) falhar
+  failNext(operation, message = `Falha simulada em ${operation}`) {
+    this.failures.set(operation, new Error(message));
+  }
+
+  takeFailure(operation) {
+    const failure = this.failures.get(operation);
+    if (failure) {
+      this.failures.delete(operation);
+      throw failure;
+    }
+  }
+
+  // Tornar o servidor de um túnel alcançável ou não (handshakes param e rx
+  // congela); vale para a interface atual e para as próximas com o mesmo nome
+  setReachable(name, reachable) {
+    if (reachable) {
+      this.unreachable.delete(name);
+    } else {
+      this.unreachable.add(name);
+    }
+    const tunnel = this.tunnels.get(name);
+    if (tunnel) {
+      this.advance(tunnel);
+      tunnel.reachable = reachable;
+    }
+  }
+
+  // Avançar o estado do túnel até o instante atual
+  advance(tunnel) {
+    const now = this.now();
+    for (const peer of tunnel.peers) {
+      const elapsed = Math.max(0, (now - peer.lastUpdate) / 1000);
+      if (tunnel.reachable) {
+        peer.rx += Math.round(elapsed * this.rates.rx);
+        peer.tx += Math.round(elapsed * this.rates.tx);
+        if (!peer.lastHandshake || now - peer.lastHandshake >= REKEY_SECONDS * 1000) {
+          peer.lastHandshake = now;
+        }
+      } else {
+        // Sem resposta: só saem iniciações de handshake a cada 5 segundos
+        peer.tx += Math.floor(elapsed / 5) * HANDSHAKE_INITIATION_BYTES;
+      }
+      peer.lastUpdate = now;
+    }
+  }
+
+  async up(tunnel) {
+    this.takeFailure('up');
+    if (this.tunnels.has(tunnel.name)) {
+      throw new Error(`Interface simulada já existe: ${tunnel.name}`);
+    }
+
+    const now = this.now();
+    const { iface, peers } = tunnel.config;
+    const state = {
+      name: tunnel.name,
+      privateKey: iface.PrivateKey,
+      publicKey: profileStore.derivePublicKey(iface.PrivateKey),
+      listenPort: iface.ListenPort || 51820,
+      reachable: !this.unreachable.has(tunnel.name),
+      startedAt: now,
+      peers: peers.map(peer => ({
+        publicKey: peer.PublicKey,
+        presharedKey: peer.PresharedKey || null,
+        endpoint: peer.Endpoint || null,
+        allowedIPs: peer.AllowedIPs || [],
+        keepalive: Number(peer.PersistentKeepalive) || 0,
+        lastHandshake: 0,
+        rx: 0,
+        tx: 0,
+        lastUpdate: now
+      }))
+    };
+    this.advance(state);
+    this.tunnels.set(tunnel.name, state);
+    return true;
+  }
+
+  async down(tunnel) {
+    this.takeFailure('down');
+    if (!this.tunnels.has(tunnel.name)) {
+      throw new Error(`Interface simulada não existe: ${tunnel.name}`);
+    }
+    this.tunnels.delete(tunnel.name);
+    return true;
+  }
+
+  async downAll() {
+    this.tunnels.clear();
+    return true;
+  }
+
+  async dump() {
+    this.takeFailure('dump');
+    const lines = [];
+    for (const tunnel of this.tunnels.values()) {
+      this.advance(tunnel);
+      lines.push([tunnel.name, tunnel.privateKey, tunnel.publicKey, tunnel.listenPort, 'off'].join('\t'));
+      for (const peer of tunnel.peers) {
+        lines.push([
+          tunnel.name,
+          peer.publicKey,
+          peer.presharedKey || '(none)',
+          peer.endpoint || '(none)',
+          peer.allowedIPs.length > 0 ? peer.allowedIPs.join(',') : '(none)',
+          Math.floor(peer.lastHandshake / 1000),
+          peer.rx,
+          peer.tx,
+          peer.keepalive || 'off'
+        ].join('\t'));
+      }
+    }
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  async status() {
+    this.takeFailure('status');
+    const sections = [];
+    for (const tunnel of this.tunnels.values()) {
+      this.advance(tunnel);
+      let text = `interface: ${tunnel.name}\n  public key: ${tunnel.publicKey}\n  listening port: ${tunnel.listenPort}\n`;
+      for (const peer of tunnel.peers) {
+        text += `\npeer: ${peer.publicKey}\n`;
+        if (peer.endpoint) text += `  endpoint: ${peer.endpoint}\n`;
+        text += `  allowed ips: ${peer.allowedIPs.join(', ') || '(none)'}\n`;
+        if (peer.lastHandshake) {
+          text += `  latest handshake: ${Math.round((this.now() - peer.lastHandshake) / 1000)} seconds ago\n`;
+        }
+        text += `  transfer: ${peer.rx} B received, ${peer.tx} B sent\n`;
+      }
+      sections.push(text);
+    }
+    return sections.join('\n');
+  }
+}
+
+module.exports = SimulatedBackend;
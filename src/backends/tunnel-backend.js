@@ -0,0 +1,44 @@
+// Contrato comum dos backends de túnel usados pelo WireGuardController.
+//
+// Cada túnel é descrito por { name, configFile, config }, onde `name` é o nome
+// da interface, `configFile` o .conf gerado e `config` o modelo { iface, peers }
+// do wg-config.
+class TunnelBackend {
+  constructor(name) {
+    this.name = name;
+    // Backends simulados não tocam no sistema (firewall, DNS, interfaces)
+    this.simulated = false;
+  }
+
+  // Verificar se as ferramentas do backend estão disponíveis
+  async isAvailable() {
+    return false;
+  }
+
+  // Subir o túnel
+  async up(tunnel) {
+    throw new Error(`Backend ${this.name} não implementa up()`);
+  }
+
+  // Derrubar o túnel
+  async down(tunnel) {
+    throw new Error(`Backend ${this.name} não implementa down()`);
+  }
+
+  // Derrubar todos os túneis iniciados por este backend
+  async downAll() {
+    throw new Error(`Backend ${this.name} não implementa downAll()`);
+  }
+
+  // Saída no formato de `wg show all dump`
+  async dump() {
+    throw new Error(`Backend ${this.name} não implementa dump()`);
+  }
+
+  // Status legível (equivalente a `wg show`)
+  async status() {
+    throw new Error(`Backend ${this.name} não implementa status()`);
+  }
+}
+
+module.exports = TunnelBackend;
@@ -0,0 +1,75 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const TunnelBackend = require('./tunnel-backend');
+
+const execAsync = promisify(exec);
+
+// Backend baseado em wg-quick (Linux/macOS) e wireguard.exe (Windows)
+class WgQuickBackend extends TunnelBackend {
+  constructor() {
+    super('wg-quick');
+    this.active = new Map();
+  }
+
+  async isAvailable() {
+    try {
+      const command =
+        process.platform === 'win32'
+          ? 'wireguard.exe --version'
+          : 'wg --version';
+      await execAsync(command);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async up(tunnel) {
+    const command =
+      process.platform === 'win32'
+        ? `wireguard.exe /installtunnelservice "${tunnel.configFile}"`
+        : `sudo wg-quick up "${tunnel.configFile}"`;
+
+    const { stderr } = await execAsync(command);
+
+    // wg-quick escreve os comandos executados em stderr com prefixo "[#]"
+    const errors = (stderr || '')
+      .split('\n')
+      .filter(line => line.trim() && !line.startsWith('[#]') && !line.includes('Warning'));
+    if (errors.length > 0) {
+      throw new Error(`Erro ao iniciar WireGuard: ${errors.join('\n')}`);
+    }
+
+    this.active.set(tunnel.name, tunnel);
+    return true;
+  }
+
+  async down(tunnel) {
+    const command =
+      process.platform === 'win32'
+        ? `wireguard.exe /uninstalltunnelservice "${tunnel.name}"`
+        : `sudo wg-quick down "${tunnel.configFile}"`;
+    await execAsync(command);
+    this.active.delete(tunnel.name);
+    return true;
+  }
+
+  async downAll() {
+    for (const tunnel of [...this.active.values()]) {
+      await this.down(tunnel);
+    }
+    return true;
+  }
+
+  async dump() {
+    const { stdout } = await execAsync(process.platform === 'win32' ? 'wg show all dump' : 'sudo wg show all dump');
+    return stdout;
+  }
+
+  async status() {
+    const { stdout } = await execAsync(process.platform === 'win32' ? 'wg show' : 'sudo wg show');
+    return stdout;
+  }
+}
+
+module.exports = WgQuickBackend;
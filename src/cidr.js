@@ -0,0 +1,200 @@
+const net = require('net');
+
+// Utilitários de aritmética de endereços IPv4/IPv6 usando BigInt
+
+const BITS = { 4: 32, 6: 128 };
+
+// Converter IP textual em BigInt
+function ipToBigInt(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) {
+    return ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(Number(octet)), 0n);
+  }
+  if (family === 6) {
+    let address = ip.split('%')[0];
+    // IPv4 embutido (ex.: ::ffff:1.2.3.4)
+    const v4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4) {
+      const value = ipToBigInt(v4[1]);
+      address = address.replace(v4[1], `${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`);
+    }
+    const [head, tail] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const groups = address.includes('::')
+      ? [...headParts, ...Array(missing).fill('0'), ...tailParts]
+      : headParts;
+    return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+  }
+  throw new Error(`Endereço IP inválido: ${ip}`);
+}
+
+// Converter BigInt em IP textual (IPv6 na forma comprimida)
+function bigIntToIp(value, family) {
+  if (family === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+  }
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+  // Comprimir a maior sequência de zeros
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== '0') continue;
+    let j = i;
+    while (j < 8 && groups[j] === '0') j++;
+    if (j - i > bestLength && j - i > 1) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+  if (bestStart < 0) return groups.join(':');
+  const head = groups.slice(0, bestStart).join(':');
+  const tail = groups.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+// Ler "ip/prefixo" (prefixo opcional) como intervalo
+function parseCidr(cidr) {
+  const parts = String(cidr).trim().split('/');
+  const [ip, prefixText] = parts;
+  const family = net.isIP(ip);
+  if (!family || parts.length > 2) {
+    throw new Error(`CIDR inválido: ${cidr}`);
+  }
+  const bits = BITS[family];
+  // Só dígitos: Number('') e Number(' 8') também seriam inteiros
+  const prefix = prefixText === undefined ? bits : /^\d+$/.test(prefixText) ? Number(prefixText) : NaN;
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+    throw new Error(`Prefixo inválido: ${cidr}`);
+  }
+  const hostBits = BigInt(bits - prefix);
+  const start = (ipToBigInt(ip) >> hostBits) << hostBits;
+  const end = start + (1n << hostBits) - 1n;
+  return { family, prefix, start, end };
+}
+
+function formatCidr(range) {
+  return `${bigIntToIp(range.start, range.family)}/${range.prefix}`;
+}
+
+// Ordenar e unir intervalos sobrepostos ou adjacentes de uma mesma família
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => {
+    if (a.family !== b.family) return a.family - b.family;
+    return a.start < b.start ? -1 : a.start > b.start ? 1 : 0;
+  });
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && last.family === range.family && range.start <= last.end + 1n) {
+      if (range.end > last.end) last.end = range.end;
+    } else {
+      merged.push({ family: range.family, start: range.start, end: range.end });
+    }
+  }
+  return merged;
+}
+
+// Decompor um intervalo [start, end] no menor conjunto de blocos CIDR
+function rangeToCidrs(start, end, family) {
+  const bits = BigInt(BITS[family]);
+  const cidrs = [];
+  let current = start;
+  while (current <= end) {
+    let hostBits = 0n;
+    while (hostBits < bits) {
+      const size = 1n << (hostBits + 1n);
+      if (current % size !== 0n || current + size - 1n > end) break;
+      hostBits++;
+    }
+    cidrs.push(`${bigIntToIp(current, family)}/${bits - hostBits}`);
+    current += 1n << hostBits;
+  }
+  return cidrs;
+}
+
+function toRanges(cidrs) {
+  return cidrs.map(parseCidr);
+}
+
+function fromRanges(ranges) {
+  return mergeRanges(ranges).flatMap(range => rangeToCidrs(range.start, range.end, range.family));
+}
+
+// Remover de `base` todos os endereços cobertos por `excluded`
+function subtract(base, excluded) {
+  const removals = mergeRanges(toRanges(excluded));
+  const result = [];
+  for (const range of mergeRanges(toRanges(base))) {
+    let pieces = [range];
+    for (const cut of removals) {
+      if (cut.family !== range.family) continue;
+      pieces = pieces.flatMap(piece => {
+        if (cut.end < piece.start || cut.start > piece.end) return [piece];
+        const kept = [];
+        if (cut.start > piece.start) kept.push({ ...piece, end: cut.start - 1n });
+        if (cut.end < piece.end) kept.push({ ...piece, start: cut.end + 1n });
+        return kept;
+      });
+    }
+    result.push(...pieces);
+  }
+  return fromRanges(result);
+}
+
+// Interseção entre dois conjuntos de CIDRs
+function intersect(a, b) {
+  const right = mergeRanges(toRanges(b));
+  const result = [];
+  for (const range of mergeRanges(toRanges(a))) {
+    for (const other of right) {
+      if (other.family !== range.family) continue;
+      const start = range.start > other.start ? range.start : other.start;
+      const end = range.end < other.end ? range.end : other.end;
+      if (start <= end) result.push({ family: range.family, start, end });
+    }
+  }
+  return fromRanges(result);
+}
+
+// Verificar se dois CIDRs compartilham algum endereço
+function overlaps(a, b) {
+  const left = parseCidr(a);
+  const right = parseCidr(b);
+  return left.family === right.family && left.start <= right.end && right.start <= left.end;
+}
+
+// Verificar se o IP pertence ao CIDR
+function contains(cidr, ip) {
+  const range = parseCidr(cidr);
+  if (net.isIP(ip) !== range.family) return false;
+  const value = ipToBigInt(ip);
+  return value >= range.start && value <= range.end;
+}
+
+// Converter máscara de sub-rede (ex.: 255.255.255.0) em tamanho de prefixo
+function maskToPrefix(mask) {
+  if (!mask) return null;
+  if (/^\d+$/.test(String(mask))) return Number(mask);
+  const family = net.isIP(mask);
+  if (!family) return null;
+  return ipToBigInt(mask).toString(2).replace(/0+$/, '').length;
+}
+
+module.exports = {
+  ipToBigInt,
+  bigIntToIp,
+  parseCidr,
+  formatCidr,
+  rangeToCidrs,
+  subtract,
+  intersect,
+  overlaps,
+  contains,
+  maskToPrefix
+};
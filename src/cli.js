@@ -0,0 +1,503 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const util = require('util');
+const probe = require('./probe');
+const wgController = require('./wg-controller');
+const profileStore = require('./profile-store');
+const secretStore = require('./secret-store');
+const routeScorer = require('./route-score');
+const metricsHistory = require('./metrics-history');
+const settingsStore = require('./settings-store');
+const HealthMonitor = require('./health-monitor');
+
+// Códigos de saída estáveis para scripts
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NO_ROUTE: 3,
+  NOT_CONNECTED: 4
+};
+
+// Flags que recebem valor (`--flag valor` ou `--flag=valor`)
+const VALUE_FLAGS = ['interval', 'profile', 'name', 'scoring'];
+
+const USAGE = `Uso: hiraishin <comando> [opções]
+
+Comandos:
+  discover                     Listar uplinks e redes WiFi próximas
+  analyze [--once|--watch]     Medir as rotas e mostrar o ranking
+          [--interval ms]      (--watch: intervalo entre ciclos)
+          [--throughput]       Medir também a banda (baixa/envia até 25 MB)
+  routes                       Ranking pelo histórico salvo, sem medir de novo
+  connect [id|best]            Conectar o túnel à rota (padrão: best)
+          [--profile id] [--name iface]
+          [--detach]           Sair após subir o túnel (sem monitor de saúde)
+  disconnect [iface]           Derrubar um túnel (ou todos)
+  status                       Túneis ativos e handshakes
+
+Opções gerais:
+  --json                       Saída em JSON (uma linha por ciclo no --watch)
+  --scoring id                 Perfil de score (padrão: o ativo no app)
+  --verbose                    Mostrar os logs internos em stderr
+  -h, --help                   Esta ajuda
+
+Códigos de saída:
+  0 ok  1 erro  2 uso inválido  3 nenhuma rota utilizável/encontrada
+  4 nenhum túnel ativo (status, disconnect)
+`;
+
+// Interface de linha de comando sem Electron: reaproveita probe, wgController e
+// o score do app. Túneis criados aqui ficam registrados em ~/.hiraishin para
+// que `status` e `disconnect` funcionem em outra invocação.
+class HiraishinCli {
+  constructor() {
+    this.stateFile = path.join(os.homedir(), '.hiraishin', 'cli-tunnels.json');
+    this.flags = {};
+  }
+
+  // Separar comando, argumentos e flags
+  parseArgs(argv) {
+    const args = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+      const token = argv[i];
+      if (token === '-h') {
+        flags.help = true;
+      } else if (token.startsWith('--')) {
+        const [name, inline] = token.slice(2).split(/=(.*)/s);
+        if (VALUE_FLAGS.includes(name)) {
+          const value = inline !== undefined ? inline : argv[++i];
+          if (value === undefined) {
+            throw this.usageError(`--${name} precisa de um valor`);
+          }
+          flags[name] = value;
+        } else {
+          flags[name] = true;
+        }
+      } else {
+        args.push(token);
+      }
+    }
+    return { command: args.shift() || null, args, flags };
+  }
+
+  usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT.USAGE;
+    return error;
+  }
+
+  fail(message, exitCode) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+  }
+
+  // Executar a linha de comando; resolve com o código de saída
+  async run(argv) {
+    let parsed;
+    try {
+      parsed = this.parseArgs(argv);
+    } catch (error) {
+      process.stderr.write(`${error.message}\n\n${USAGE}`);
+      return EXIT.USAGE;
+    }
+
+    const { command, args, flags } = parsed;
+    this.flags = flags;
+    if (flags.help || command === 'help') {
+      process.stdout.write(USAGE);
+      return EXIT.OK;
+    }
+    this.quietInternalLogs(flags.verbose);
+
+    const commands = {
+      discover: () => this.discover(),
+      analyze: () => this.analyze(),
+      routes: () => this.routes(),
+      connect: () => this.connect(args[0] || 'best'),
+      disconnect: () => this.disconnect(args[0] || null),
+      status: () => this.status()
+    };
+    if (!commands[command]) {
+      process.stderr.write(`${command ? `Comando desconhecido: ${command}\n\n` : ''}${USAGE}`);
+      return EXIT.USAGE;
+    }
+
+    try {
+      this.applySettings();
+      return await commands[command]();
+    } catch (error) {
+      if (flags.json) {
+        this.print({ error: error.message });
+      }
+      process.stderr.write(`Erro: ${error.message}\n`);
+      return error.exitCode !== undefined ? error.exitCode : EXIT.ERROR;
+    }
+  }
+
+  // Os módulos registram progresso com console.log; a saída do comando
+  // fica limpa em stdout e os logs vão para stderr só com --verbose
+  quietInternalLogs(verbose) {
+    const toStderr = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+    console.log = verbose ? toStderr : () => {};
+    console.warn = verbose ? toStderr : () => {};
+    if (!verbose) {
+      console.error = () => {};
+    }
+  }
+
+  applySettings() {
+    const settings = settingsStore.load();
+    probe.applySettings(settings);
+    wgController.applySettings(settings);
+  }
+
+  print(data) {
+    process.stdout.write(`${typeof data === 'string' ? data : JSON.stringify(data)}\n`);
+  }
+
+  scoringProfile() {
+    if (!this.flags.scoring) return routeScorer.getActiveProfile();
+    routeScorer.load();
+    const profile = routeScorer.findProfile(this.flags.scoring);
+    if (!profile) {
+      throw this.usageError(`Perfil de score não encontrado: ${this.flags.scoring}`);
+    }
+    return profile;
+  }
+
+  // Mesmo critério do app: score pelo histórico suavizado quando existe
+  rankRoutes(routes, profile) {
+    for (const route of routes) {
+      route.history = metricsHistory.aggregate(route.id);
+      route.smoothedMetrics = metricsHistory.smoothedMetrics(route.id);
+      const metrics = route.smoothedMetrics || route.metrics;
+      route.score = metrics ? routeScorer.score(metrics, profile) : 0;
+    }
+    return routes.sort((a, b) => b.score - a.score);
+  }
+
+  async discoverRoutes() {
+    const routes = await probe.discoverRoutes();
+    if (routes.length === 0) {
+      throw this.fail('Nenhuma rota disponível', EXIT.NO_ROUTE);
+    }
+    return routes;
+  }
+
+  // Um ciclo de medição: métricas novas, histórico e ranking. A banda só é
+  // medida com --throughput, e só quando o último teste já venceu.
+  async analyzeCycle(routes, profile) {
+    if (this.flags.throughput) {
+      for (const route of routes) {
+        const family = route.metrics && route.metrics.preferredFamily;
+        if (probe.cachedThroughput(route, family || 4)) continue;
+        await probe.measureRouteThroughput(route, family).catch(error => {
+          process.stderr.write(`Aviso: teste de banda em ${route.id} falhou: ${error.message}\n`);
+        });
+      }
+    }
+    const results = await probe.analyzeRoutes(routes);
+    for (const route of routes) {
+      route.metrics = results.get(route.id) || { error: 'Rota não analisada' };
+      route.lastAnalyzed = new Date();
+      metricsHistory.record(route.id, route.metrics);
+    }
+    return this.rankRoutes(routes, profile);
+  }
+
+  async discover() {
+    const routes = await this.discoverRoutes();
+    const nearby = await probe.getNearbyWifi(routes);
+    if (this.flags.json) {
+      this.print({ routes, nearby });
+      return EXIT.OK;
+    }
+
+    this.print(this.formatTable(['ID', 'TIPO', 'IP', 'GATEWAYS', 'DEFAULT'], routes.map(route => [
+      route.id,
+      route.type,
+      [route.ip, route.ip6].filter(Boolean).join(' '),
+      route.gateways.map(gateway => gateway.gateway).join(' ') || '-',
+      route.isDefault ? 'sim' : ''
+    ])));
+    if (nearby.length > 0) {
+      this.print('');
+      this.print(this.formatTable(['WIFI PRÓXIMA', 'SINAL', 'SEGURANÇA'], nearby.map(network => [
+        network.name,
+        network.wifi ? `${network.wifi.signal}%` : '-',
+        network.wifi ? network.wifi.security || '-' : '-'
+      ])));
+    }
+    return EXIT.OK;
+  }
+
+  async analyze() {
+    if (this.flags.once && this.flags.watch) {
+      throw this.usageError('Use --once ou --watch, não os dois');
+    }
+    const profile = this.scoringProfile();
+    const routes = await this.discoverRoutes();
+
+    if (!this.flags.watch) {
+      this.printRanking(await this.analyzeCycle(routes, profile), profile);
+      return routes.some(route => route.score > 0) ? EXIT.OK : EXIT.NO_ROUTE;
+    }
+
+    const interval = this.flags.interval !== undefined
+      ? Number(this.flags.interval)
+      : settingsStore.get().analysis.interval;
+    if (!Number.isFinite(interval) || interval < 1000) {
+      throw this.usageError('--interval precisa ser um número de milissegundos >= 1000');
+    }
+
+    // Ciclos até SIGINT/SIGTERM; cada ciclo começa após o anterior terminar
+    let stopped = false;
+    const stop = () => { stopped = true; };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    while (!stopped) {
+      const started = Date.now();
+      this.printRanking(await this.analyzeCycle(routes, profile), profile);
+      while (!stopped && Date.now() - started < interval) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(250, interval)));
+      }
+    }
+    return EXIT.OK;
+  }
+
+  async routes() {
+    const profile = this.scoringProfile();
+    const routes = this.rankRoutes(await this.discoverRoutes(), profile);
+    if (!this.flags.json && routes.every(route => !route.history)) {
+      process.stderr.write('Sem histórico de medições; rode `hiraishin analyze` primeiro\n');
+    }
+    this.printRanking(routes, profile);
+    return routes.some(route => route.score > 0) ? EXIT.OK : EXIT.NO_ROUTE;
+  }
+
+  printRanking(routes, profile) {
+    if (this.flags.json) {
+      this.print({ timestamp: new Date(), scoringProfile: profile.id, routes });
+      return;
+    }
+
+    const ms = value => (value === null || value === undefined ? '-' : `${value.toFixed(1)}ms`);
+    this.print(`Perfil de score: ${profile.name} (${new Date().toLocaleTimeString()})`);
+    this.print(this.formatTable(['ID', 'SCORE', 'LATÊNCIA', 'JITTER', 'PERDA', 'DOWN', 'FAMÍLIA', 'UPTIME'], routes.map(route => {
+      const metrics = route.smoothedMetrics || route.metrics || {};
+      return [
+        route.id,
+        route.score.toFixed(1),
+        metrics.error ? metrics.error : ms(metrics.latency),
+        ms(metrics.jitter),
+        Number.isFinite(metrics.packetLoss) ? `${(metrics.packetLoss * 100).toFixed(1)}%` : '-',
+        Number.isFinite(metrics.throughput) ? `${metrics.throughput.toFixed(1)}Mbps` : '-',
+        route.metrics && route.metrics.preferredFamily ? `IPv${route.metrics.preferredFamily}` : '-',
+        route.history ? `${(route.history.uptime * 100).toFixed(0)}%` : '-'
+      ];
+    })));
+  }
+
+  formatTable(headers, rows) {
+    const widths = headers.map((header, column) =>
+      Math.max(header.length, ...rows.map(row => String(row[column]).length)));
+    return [headers, ...rows]
+      .map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd())
+      .join('\n');
+  }
+
+  // Túneis registrados por invocações anteriores
+  loadState() {
+    if (!fs.existsSync(this.stateFile)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      process.stderr.write(`Registro de túneis inválido (${this.stateFile}), ignorando\n`);
+      return [];
+    }
+  }
+
+  saveState(tunnels) {
+    const dir = path.dirname(this.stateFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    const tmpFile = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(tunnels, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, this.stateFile);
+  }
+
+  isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  async connect(target) {
+    try {
+      secretStore.unlock();
+    } catch (error) {
+      // Perfis sem segredos selados conectam mesmo com o cofre bloqueado
+      process.stderr.write(`Cofre de segredos bloqueado (${error.message}); defina HIRAISHIN_PASSPHRASE se o perfil usar segredos selados\n`);
+    }
+
+    const profile = this.flags.profile ? profileStore.getProfile(this.flags.profile) : profileStore.getActiveProfile();
+    if (!profile) {
+      throw this.fail(this.flags.profile ? `Perfil não encontrado: ${this.flags.profile}` : 'Nenhum perfil de peer configurado', EXIT.ERROR);
+    }
+    // O stub de DoT/DoH roda neste processo; sem ele o DNS do túnel para
+    if (this.flags.detach && profileStore.normalizeDnsSettings(profile.dnsSettings).mode !== 'plain') {
+      throw this.usageError(`O perfil ${profile.name} usa DNS cifrado, que precisa do processo ativo; conecte sem --detach`);
+    }
+
+    const routes = await this.analyzeCycle(await this.discoverRoutes(), this.scoringProfile());
+    const route = target === 'best'
+      ? routes.find(candidate => candidate.score > 0 && !(candidate.metrics && candidate.metrics.error))
+      : routes.find(candidate => candidate.id === target);
+    if (!route) {
+      throw this.fail(target === 'best' ? 'Nenhuma rota utilizável' : `Rota não encontrada: ${target}`, EXIT.NO_ROUTE);
+    }
+
+    const family = (route.metrics && route.metrics.preferredFamily) || null;
+    const mtu = await probe.tunnelMtuFor(route, { profileId: profile.id, family });
+    const tunnel = await wgController.connect(route, { profileId: profile.id, name: this.flags.name, mtu, family });
+    const { configFile } = wgController.getTunnel(tunnel.name);
+
+    const state = this.loadState().filter(entry => entry.name !== tunnel.name);
+    state.push({ ...tunnel, score: route.score, configFile, pid: this.flags.detach ? null : process.pid });
+    this.saveState(state);
+
+    if (this.flags.json) {
+      this.print({ tunnel, route: { id: route.id, name: route.name, score: route.score } });
+    } else {
+      this.print(`Conectado: ${tunnel.name} via ${route.id} (score ${route.score.toFixed(1)}, MTU ${tunnel.mtu})`);
+    }
+
+    return this.flags.detach ? EXIT.OK : this.holdTunnel(tunnel.name);
+  }
+
+  // Manter o túnel em primeiro plano com o monitor de saúde até SIGINT/SIGTERM
+  holdTunnel(name) {
+    return new Promise((resolve) => {
+      const monitor = new HealthMonitor();
+      let finishing = false;
+
+      const finish = async (exitCode, reason) => {
+        if (finishing) return;
+        finishing = true;
+        monitor.stop();
+        try {
+          await wgController.disconnect(name);
+        } catch (error) {
+          process.stderr.write(`Erro ao desconectar ${name}: ${error.message}\n`);
+          exitCode = EXIT.ERROR;
+        }
+        this.saveState(this.loadState().filter(entry => entry.name !== name));
+        if (this.flags.json) {
+          this.print({ disconnected: [name], reason });
+        } else {
+          this.print(`Desconectado: ${name} (${reason})`);
+        }
+        resolve(exitCode);
+      };
+
+      for (const type of ['unhealthy', 'reconnecting', 'reconnected', 'failed']) {
+        monitor.on(type, (data) => {
+          if (this.flags.json) {
+            this.print({ event: type, ...data });
+          } else {
+            process.stderr.write(`[${type}] ${data.tunnel}${data.reason ? `: ${data.reason}` : ''}\n`);
+          }
+          if (type === 'failed') finish(EXIT.ERROR, `túnel falhou: ${data.reason}`);
+        });
+      }
+      monitor.start({
+        tunnelName: name,
+        getStats: () => wgController.getTrafficStats(),
+        reconnect: () => wgController.restartTunnel(name)
+      });
+
+      process.once('SIGINT', () => finish(EXIT.OK, 'interrompido'));
+      process.once('SIGTERM', () => finish(EXIT.OK, 'encerrado'));
+    });
+  }
+
+  async disconnect(name) {
+    const state = this.loadState();
+    const targets = name ? state.filter(entry => entry.name === name) : state;
+    if (targets.length === 0) {
+      throw this.fail(name ? `Túnel não encontrado: ${name}` : 'Nenhum túnel ativo', EXIT.NOT_CONNECTED);
+    }
+
+    const disconnected = [];
+    for (const entry of targets) {
+      if (entry.pid && entry.pid !== process.pid && this.isAlive(entry.pid)) {
+        // Túnel em primeiro plano: o processo dono derruba e limpa o registro
+        process.kill(entry.pid, 'SIGTERM');
+        for (let waited = 0; waited < 10000 && this.isAlive(entry.pid); waited += 200) {
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        if (this.isAlive(entry.pid)) {
+          throw this.fail(`Processo ${entry.pid} não encerrou o túnel ${entry.name}`, EXIT.ERROR);
+        }
+      } else {
+        await wgController.stopWireGuard(entry.configFile).catch(error => {
+          process.stderr.write(`Aviso: ${entry.name}: ${error.message}\n`);
+        });
+        secretStore.secureDelete(entry.configFile);
+      }
+      disconnected.push(entry.name);
+    }
+
+    this.saveState(this.loadState().filter(entry => !disconnected.includes(entry.name)));
+    if (this.flags.json) {
+      this.print({ disconnected });
+    } else {
+      this.print(`Desconectado: ${disconnected.join(', ')}`);
+    }
+    return EXIT.OK;
+  }
+
+  async status() {
+    const stats = await wgController.getTrafficStats();
+    const tunnels = this.loadState().map(entry => {
+      const peers = stats ? stats.interfaces.filter(peer => peer.name === entry.name) : [];
+      const latestHandshake = peers.length > 0 ? Math.max(...peers.map(peer => peer.latestHandshake || 0)) : 0;
+      const { configFile, ...tunnel } = entry;
+      return {
+        ...tunnel,
+        up: peers.length > 0,
+        foreground: Boolean(entry.pid && this.isAlive(entry.pid)),
+        handshakeAge: latestHandshake > 0 ? Math.round(Date.now() / 1000 - latestHandshake) : null,
+        rx: peers.reduce((sum, peer) => sum + peer.rx, 0),
+        tx: peers.reduce((sum, peer) => sum + peer.tx, 0)
+      };
+    });
+    const connected = tunnels.some(tunnel => tunnel.up);
+
+    if (this.flags.json) {
+      this.print({ connected, tunnels });
+    } else if (tunnels.length === 0) {
+      this.print('Nenhum túnel ativo');
+    } else {
+      this.print(this.formatTable(['TÚNEL', 'ROTA', 'PERFIL', 'ESTADO', 'HANDSHAKE', 'RX/TX'], tunnels.map(tunnel => [
+        tunnel.name,
+        tunnel.routeId,
+        tunnel.profileName,
+        tunnel.up ? 'ativo' : 'inativo',
+        tunnel.handshakeAge !== null ? `${tunnel.handshakeAge}s atrás` : '-',
+        `${tunnel.rx}/${tunnel.tx}`
+      ])));
+    }
+    return connected ? EXIT.OK : EXIT.NOT_CONNECTED;
+  }
+}
+
+module.exports = new HiraishinCli();
@@ -0,0 +1,93 @@
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+const cidr = require('./cidr');
+
+class DnsLeakTest {
+  constructor() {
+    // Responde TXT com o IP do resolvedor recursivo que fez a consulta
+    this.probeName = 'o-o.myaddr.l.google.com';
+    this.timeout = 3000;
+    // Resolvedores do sistema e fábrica dos resolvedores consultados;
+    // substituíveis por chamada em `run` (testes, resolvedor próprio)
+    this.getServers = () => dns.getServers();
+    this.createResolver = options => new dns.promises.Resolver(options);
+  }
+
+  // Extrair o host de "ip", "ip:porta" ou "[ipv6]:porta"
+  serverHost(server) {
+    const text = String(server);
+    if (net.isIP(text)) return text;
+    const match = text.match(/^\[?([^\]]+?)\]?:\d+$/);
+    return match ? match[1] : text;
+  }
+
+  // Verificar se o resolvedor está na lista permitida (IPs ou CIDRs)
+  isAllowed(server, allowedResolvers) {
+    const host = this.serverHost(server);
+    return allowedResolvers.some(allowed => {
+      try {
+        return allowed.includes('/') ? cidr.contains(allowed, host) : this.serverHost(allowed) === host;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  // Consultar um resolvedor específico
+  async queryResolver(server, probeName, timeout, createResolver = this.createResolver) {
+    const resolver = createResolver({ timeout, tries: 1 });
+    const name = probeName.replace('{token}', crypto.randomBytes(6).toString('hex'));
+    const start = Date.now();
+
+    try {
+      resolver.setServers([server]);
+      const records = await resolver.resolveTxt(name);
+      const values = records.map(chunks => chunks.join(''));
+      return {
+        server,
+        answered: true,
+        rtt: Date.now() - start,
+        egress: values.map(value => value.trim()).filter(value => net.isIP(value)),
+        records: values
+      };
+    } catch (error) {
+      return {
+        server,
+        answered: false,
+        rtt: null,
+        egress: [],
+        error: error.code || error.message
+      };
+    }
+  }
+
+  // Executar o teste: quem respondeu e se algum resolvedor fora do túnel respondeu
+  async run(options = {}) {
+    const servers = options.servers || (options.getServers || this.getServers)();
+    const createResolver = options.createResolver || this.createResolver;
+    const probeName = options.probeName || this.probeName;
+    const allowedResolvers = options.allowedResolvers || [];
+    const timeout = options.timeout || this.timeout;
+
+    console.log(`Executando teste de vazamento DNS em ${servers.length} resolvedor(es)...`);
+
+    const results = await Promise.all(
+      servers.map(server => this.queryResolver(server, probeName, timeout, createResolver))
+    );
+    for (const result of results) {
+      result.allowed = this.isAllowed(result.server, allowedResolvers);
+    }
+
+    const leaks = results.filter(result => result.answered && !result.allowed);
+    return {
+      leaking: leaks.length > 0,
+      leaks: leaks.map(result => result.server),
+      probeName,
+      results,
+      timestamp: new Date()
+    };
+  }
+}
+
+module.exports = new DnsLeakTest();
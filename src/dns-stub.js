@@ -0,0 +1,259 @@
+const dgram = require('dgram');
+const tls = require('tls');
+const https = require('https');
+const dns = require('dns').promises;
+const net = require('net');
+
+class DnsStub {
+  constructor() {
+    this.socket = null;
+    // Consultas por TCP (repetição de respostas truncadas) na mesma porta
+    this.server = null;
+    this.upstreams = [];
+    this.listenAddress = '127.0.2.53';
+    // No Linux a porta 53 exige root: o stub escuta numa porta comum e o DNS do
+    // túnel (sempre na 53) chega até ele pelo DNAT do kill switch
+    this.port = process.platform === 'linux' ? 5053 : 53;
+    this.timeout = 5000;
+    this.stats = { queries: 0, failures: 0 };
+  }
+
+  // Ler upstream no formato tls://host[:porta][#nome-tls] ou https://host/caminho
+  parseUpstream(value) {
+    const text = String(value).trim();
+
+    if (text.startsWith('https://')) {
+      const url = new URL(text);
+      const host = url.hostname.replace(/^\[|\]$/g, '');
+      return {
+        type: 'doh',
+        url: text,
+        host,
+        port: Number(url.port) || 443,
+        path: `${url.pathname}${url.search}`,
+        servername: net.isIP(host) ? null : host
+      };
+    }
+
+    const match = text.match(/^tls:\/\/(\[[0-9a-fA-F:.]+\]|[^:#/]+)(?::(\d+))?(?:#(.+))?$/);
+    if (match) {
+      const host = match[1].replace(/^\[|\]$/g, '');
+      return {
+        type: 'dot',
+        url: text,
+        host,
+        port: Number(match[2] || 853),
+        servername: match[3] || (net.isIP(host) ? null : host)
+      };
+    }
+
+    throw new Error(`Upstream DNS inválido: ${value} (use tls://host#nome ou https://host/dns-query)`);
+  }
+
+  isRunning() {
+    return this.socket !== null;
+  }
+
+  // Iniciar o stub local encaminhando para os upstreams DoT/DoH
+  async start({ upstreams, listenAddress = this.listenAddress, port = this.port }) {
+    await this.stop();
+
+    // Resolver os upstreams agora, antes de o DNS do sistema apontar para o stub
+    this.upstreams = [];
+    for (const upstream of upstreams.map(value => this.parseUpstream(value))) {
+      const address = net.isIP(upstream.host) ? upstream.host : (await dns.lookup(upstream.host)).address;
+      this.upstreams.push({ ...upstream, address });
+    }
+
+    const socket = dgram.createSocket(net.isIP(listenAddress) === 6 ? 'udp6' : 'udp4');
+    await new Promise((resolve, reject) => {
+      socket.once('error', error => {
+        if (error.code === 'EACCES') {
+          reject(new Error(`Sem permissão para escutar em ${listenAddress}:${port} (porta privilegiada)`));
+        } else {
+          reject(error);
+        }
+      });
+      socket.bind(port, listenAddress, resolve);
+    });
+    socket.removeAllListeners('error');
+    socket.on('error', error => console.error('Erro no stub DNS:', error));
+    socket.on('message', (message, rinfo) => this.handleQuery(message, rinfo));
+    // Porta 0 (testes): o TCP usa a mesma porta sorteada para o UDP
+    const boundPort = socket.address().port;
+
+    const server = net.createServer(connection => this.handleTcpConnection(connection));
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(boundPort, listenAddress, resolve);
+      });
+    } catch (error) {
+      socket.close();
+      throw new Error(`Erro ao escutar TCP em ${listenAddress}:${boundPort}: ${error.message}`);
+    }
+    server.removeAllListeners('error');
+    server.on('error', error => console.error('Erro no stub DNS (TCP):', error));
+
+    this.socket = socket;
+    this.server = server;
+    this.listenAddress = listenAddress;
+    this.port = boundPort;
+    console.log(`Stub DNS escutando em ${listenAddress}:${port}`);
+    return true;
+  }
+
+  // Parar o stub
+  async stop() {
+    if (!this.socket) return true;
+    const socket = this.socket;
+    const server = this.server;
+    this.socket = null;
+    this.server = null;
+    await new Promise(resolve => socket.close(resolve));
+    if (server) {
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+    console.log('Stub DNS parado');
+    return true;
+  }
+
+  // Responder uma consulta UDP
+  async handleQuery(message, rinfo) {
+    const response = await this.resolveQuery(message);
+    if (response && this.socket) {
+      this.socket.send(response, rinfo.port, rinfo.address);
+    }
+  }
+
+  // DNS sobre TCP (RFC 7766): mensagens prefixadas com 2 bytes de tamanho,
+  // várias por conexão
+  handleTcpConnection(connection) {
+    let buffer = Buffer.alloc(0);
+    connection.setTimeout(this.timeout * 2, () => connection.destroy());
+    connection.on('error', error => console.error('Erro em conexão TCP do stub DNS:', error.message));
+    connection.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+        const message = buffer.subarray(2, 2 + buffer.readUInt16BE(0));
+        buffer = buffer.subarray(2 + message.length);
+        this.resolveQuery(message).then(response => {
+          if (!response || connection.destroyed) return;
+          const length = Buffer.alloc(2);
+          length.writeUInt16BE(response.length);
+          connection.write(Buffer.concat([length, response]));
+        });
+      }
+    });
+  }
+
+  // Encaminhar consulta, tentando os upstreams em ordem; SERVFAIL se todos falharem
+  async resolveQuery(message) {
+    this.stats.queries++;
+    for (const upstream of this.upstreams) {
+      try {
+        return await this.forward(upstream, message);
+      } catch (error) {
+        console.error(`Erro no upstream DNS ${upstream.url}:`, error.message);
+      }
+    }
+
+    this.stats.failures++;
+    return message.length >= 12 ? this.buildServfail(message) : null;
+  }
+
+  forward(upstream, message) {
+    return upstream.type === 'dot'
+      ? this.queryTls(upstream, message)
+      : this.queryHttps(upstream, message);
+  }
+
+  // DNS-over-TLS (RFC 7858): mensagem prefixada com 2 bytes de tamanho
+  queryTls(upstream, message) {
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host: upstream.address,
+        port: upstream.port,
+        servername: upstream.servername || undefined
+      });
+      let buffer = Buffer.alloc(0);
+
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error('Timeout no upstream DoT')));
+      socket.on('secureConnect', () => {
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(message.length);
+        socket.write(Buffer.concat([length, message]));
+      });
+      socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        if (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+          resolve(buffer.subarray(2, 2 + buffer.readUInt16BE(0)));
+          socket.end();
+        }
+      });
+      socket.on('error', reject);
+      socket.on('close', () => reject(new Error('Conexão DoT encerrada sem resposta')));
+    });
+  }
+
+  // DNS-over-HTTPS (RFC 8484) via POST application/dns-message
+  queryHttps(upstream, message) {
+    return new Promise((resolve, reject) => {
+      const request = https.request({
+        host: upstream.address,
+        port: upstream.port,
+        path: upstream.path,
+        method: 'POST',
+        servername: upstream.servername || undefined,
+        timeout: this.timeout,
+        headers: {
+          host: upstream.host,
+          'content-type': 'application/dns-message',
+          accept: 'application/dns-message',
+          'content-length': message.length
+        }
+      }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            reject(new Error(`Upstream DoH respondeu HTTP ${response.statusCode}`));
+          } else {
+            resolve(Buffer.concat(chunks));
+          }
+        });
+      });
+      request.on('timeout', () => request.destroy(new Error('Timeout no upstream DoH')));
+      request.on('error', reject);
+      request.end(message);
+    });
+  }
+
+  // Montar resposta SERVFAIL mantendo ID e pergunta da consulta
+  buildServfail(query) {
+    let offset = 12;
+    while (offset < query.length && query[offset] !== 0) {
+      offset += query[offset] + 1;
+    }
+    const questionEnd = Math.min(query.length, offset + 5);
+    const response = Buffer.from(query.subarray(0, questionEnd));
+    response[2] = (response[2] | 0x80) & 0xf9; // QR=1, sem AA/TC
+    response[3] = 0x80 | 0x02; // RA=1, RCODE=SERVFAIL
+    response.writeUInt16BE(0, 6);
+    response.writeUInt16BE(0, 8);
+    response.writeUInt16BE(0, 10);
+    return response;
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning(),
+      listenAddress: this.listenAddress,
+      port: this.port,
+      upstreams: this.upstreams.map(upstream => upstream.url),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new DnsStub();
@@ -0,0 +1,189 @@
+const EventEmitter = require('events');
+
+// Failover automático entre rotas: troca o túnel para uma rota melhor quando a
+// vantagem de score passa da margem por um tempo sustentado, com um intervalo
+// mínimo entre trocas contra oscilação. Falha da rota atual troca na hora.
+//
+// Com o kill switch armado as sondas das outras rotas saem fora do túnel e são
+// descartadas, então o failover fica suspenso enquanto `suspendedReason()` der
+// um motivo.
+//
+// Eventos: 'candidate', 'switching', 'switched', 'failed'
+class RouteFailover extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.now = options.now || (() => Date.now());
+    this.options = {
+      enabled: false,
+      // Pontos de score (0-100) que a outra rota precisa ter a mais
+      margin: 10,
+      sustain: 30000,
+      cooldown: 120000
+    };
+
+    this.switchRoute = null;
+    this.suspendedReason = () => null;
+    // Rota melhor que a atual sendo observada: { routeId, since }
+    this.pending = null;
+    this.lastSwitchAt = null;
+    this.lastSwitch = null;
+    this.switching = false;
+    this.configure(options);
+  }
+
+  // Ajustar opções; valores ausentes mantêm os atuais
+  configure(options = {}) {
+    const next = { ...this.options };
+    if (options.enabled !== undefined) next.enabled = Boolean(options.enabled);
+    for (const key of ['margin', 'sustain', 'cooldown']) {
+      if (options[key] === undefined) continue;
+      const value = Number(options[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Valor inválido para ${key} do failover: ${options[key]}`);
+      }
+      next[key] = value;
+    }
+    this.options = next;
+    if (!next.enabled) this.pending = null;
+    return this.getStatus();
+  }
+
+  // switchRoute(route, decision) troca os túneis de `decision.from` para `route`;
+  // suspendedReason() devolve o motivo para não trocar agora, ou null
+  start({ switchRoute, suspendedReason }) {
+    this.switchRoute = switchRoute;
+    if (suspendedReason) this.suspendedReason = suspendedReason;
+  }
+
+  // Esquecer a observação em curso (conexão manual, desconexão)
+  reset() {
+    this.pending = null;
+  }
+
+  // Motivo de falha grave da rota atual, ou null se ela ainda responde
+  failureReason(route) {
+    if (!route) return 'Rota atual não está mais disponível';
+    const metrics = route.metrics;
+    if (!metrics) return null;
+    if (metrics.error) return `Falha na medição: ${metrics.error}`;
+    if (metrics.received === 0) return 'Nenhum alvo respondeu na rota atual';
+    return null;
+  }
+
+  // Rota que responde e pode receber o túnel
+  isUsable(route) {
+    return route.kind !== 'candidate' && route.score > 0 && (!route.metrics || !route.metrics.error);
+  }
+
+  // Decidir se troca de rota. `failure` força a troca imediata (túnel caído).
+  // Retorna { action: 'stay' | 'wait' | 'switch', route?, reason }
+  evaluate(routes, currentRoute, { failure = null } = {}) {
+    if (!this.options.enabled || !currentRoute) {
+      return { action: 'stay', reason: 'Failover desativado ou sem rota ativa' };
+    }
+
+    const suspended = this.suspendedReason();
+    if (suspended) {
+      this.pending = null;
+      return { action: 'stay', suspended: true, reason: suspended };
+    }
+
+    const now = this.now();
+    const current = routes.find(route => route.id === currentRoute.id) || null;
+    const best = routes.find(route => route.id !== currentRoute.id && this.isUsable(route)) || null;
+    const hardFailure = failure || this.failureReason(current);
+
+    if (hardFailure) {
+      this.pending = null;
+      if (!best) {
+        return { action: 'stay', reason: `${hardFailure}; nenhuma outra rota disponível` };
+      }
+      return { action: 'switch', route: best, immediate: true, reason: hardFailure };
+    }
+
+    if (!best) {
+      this.pending = null;
+      return { action: 'stay', reason: 'Nenhuma outra rota disponível' };
+    }
+
+    const gap = best.score - current.score;
+    if (gap < this.options.margin) {
+      this.pending = null;
+      return { action: 'stay', reason: `Vantagem de ${gap.toFixed(1)} pontos abaixo da margem` };
+    }
+
+    if (!this.pending || this.pending.routeId !== best.id) {
+      this.pending = { routeId: best.id, since: now };
+      this.emit('candidate', { from: this.describe(current), to: this.describe(best), gap, sustain: this.options.sustain });
+    }
+
+    const sustained = now - this.pending.since;
+    if (sustained < this.options.sustain) {
+      return { action: 'wait', route: best, reason: `Aguardando vantagem sustentada (${Math.round(sustained / 1000)}s)` };
+    }
+
+    const cooldownLeft = this.lastSwitchAt !== null ? this.options.cooldown - (now - this.lastSwitchAt) : 0;
+    if (cooldownLeft > 0) {
+      return { action: 'wait', route: best, reason: `Intervalo entre trocas (${Math.ceil(cooldownLeft / 1000)}s restantes)` };
+    }
+
+    return {
+      action: 'switch',
+      route: best,
+      immediate: false,
+      reason: `${best.name} ${gap.toFixed(1)} pontos melhor por ${Math.round(sustained / 1000)}s`
+    };
+  }
+
+  // Avaliar e, se for o caso, executar a troca
+  async check(routes, currentRoute, options = {}) {
+    if (this.switching || !this.switchRoute) return null;
+
+    const decision = this.evaluate(routes, currentRoute, options);
+    if (decision.action !== 'switch') return decision;
+
+    const event = {
+      from: this.describe(routes.find(route => route.id === currentRoute.id) || currentRoute),
+      to: this.describe(decision.route),
+      reason: decision.reason,
+      immediate: decision.immediate
+    };
+
+    this.switching = true;
+    try {
+      this.emit('switching', event);
+      await this.switchRoute(decision.route, { ...decision, from: currentRoute });
+      this.lastSwitchAt = this.now();
+      this.lastSwitch = { ...event, at: new Date(this.lastSwitchAt) };
+      this.pending = null;
+      console.log(`Failover: ${event.from.name} -> ${event.to.name} (${event.reason})`);
+      this.emit('switched', event);
+    } catch (error) {
+      console.error('Erro no failover de rota:', error);
+      this.emit('failed', { ...event, error: error.message });
+    } finally {
+      this.switching = false;
+    }
+    return decision;
+  }
+
+  describe(route) {
+    return {
+      id: route ? route.id : null,
+      name: route ? route.name : null,
+      score: route && Number.isFinite(route.score) ? route.score : null
+    };
+  }
+
+  getStatus() {
+    return {
+      ...this.options,
+      switching: this.switching,
+      suspended: this.suspendedReason(),
+      pending: this.pending,
+      lastSwitch: this.lastSwitch
+    };
+  }
+}
+
+module.exports = RouteFailover;
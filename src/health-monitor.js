@@ -0,0 +1,221 @@
+const EventEmitter = require('events');
+
+// Monitor de saúde de um túnel: acompanha handshakes e contadores rx/tx do
+// `wg show all dump` e reconecta com backoff exponencial quando o túnel cai.
+//
+// Eventos: 'unhealthy', 'reconnecting', 'reconnected', 'failed'
+class HealthMonitor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.pollInterval = options.pollInterval || 10000;
+    // Sem handshake há mais de 180s (REJECT_AFTER_TIME) a sessão já expirou
+    this.staleHandshakeSeconds = options.staleHandshakeSeconds || 180;
+    this.stallSeconds = options.stallSeconds || 90;
+    // Após reiniciar, a reconexão só conta com um handshake novo dentro do prazo
+    this.confirmTimeout = options.confirmTimeout || 20000;
+    this.confirmInterval = options.confirmInterval || 1000;
+    // Tempo saudável depois de uma reconexão para zerar tentativas e backoff
+    this.stableSeconds = options.stableSeconds || 600;
+    this.backoff = {
+      initialDelay: 2000,
+      maxDelay: 60000,
+      factor: 2,
+      maxRetries: 5,
+      ...(options.backoff || {})
+    };
+    this.now = options.now || (() => Date.now());
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.timer = null;
+    this.tunnelName = null;
+    this.getStats = null;
+    this.reconnect = null;
+    this.recovering = false;
+    this.resetCounters();
+    this.resetRetries();
+  }
+
+  resetCounters() {
+    this.startedAt = this.now();
+    this.lastRx = null;
+    this.lastTx = null;
+    this.lastRxChange = this.now();
+    this.txSinceRx = false;
+    this.lastHandshake = null;
+    this.txAtHandshake = null;
+    this.lastStatus = null;
+  }
+
+  // Tentativas e backoff valem para episódios seguidos de falha
+  resetRetries() {
+    this.attempts = 0;
+    this.delay = this.backoff.initialDelay;
+    this.recoveredAt = null;
+  }
+
+  // Iniciar monitoramento; getStats() retorna o resultado de parseTrafficStats
+  start({ tunnelName, getStats, reconnect }) {
+    this.stop();
+    this.tunnelName = tunnelName;
+    this.getStats = getStats;
+    this.reconnect = reconnect;
+    this.resetCounters();
+    this.resetRetries();
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    console.log(`Monitor de saúde iniciado para ${tunnelName}`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log(`Monitor de saúde parado para ${this.tunnelName}`);
+    }
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  // Avaliar as estatísticas do túnel
+  evaluate(stats) {
+    const now = this.now();
+    const peers = stats ? stats.interfaces.filter(peer => peer.name === this.tunnelName) : [];
+
+    if (!stats) {
+      return { healthy: false, reason: 'Estatísticas do túnel indisponíveis' };
+    }
+    if (peers.length === 0) {
+      return { healthy: false, reason: `Interface ${this.tunnelName} não encontrada` };
+    }
+
+    const latestHandshake = Math.max(...peers.map(peer => peer.latestHandshake || 0));
+    const handshakeAge = latestHandshake > 0 ? Math.round(now / 1000 - latestHandshake) : null;
+    const rx = peers.reduce((sum, peer) => sum + peer.rx, 0);
+    const tx = peers.reduce((sum, peer) => sum + peer.tx, 0);
+
+    if (this.lastRx !== null) {
+      if (rx > this.lastRx) {
+        this.lastRxChange = now;
+        this.txSinceRx = false;
+      } else if (tx > this.lastTx) {
+        this.txSinceRx = true;
+      }
+    }
+    this.lastRx = rx;
+    this.lastTx = tx;
+
+    // Túnel ocioso sem PersistentKeepalive não renova o handshake: um handshake
+    // antigo só indica falha se algo foi enviado desde ele
+    if (latestHandshake !== this.lastHandshake) {
+      this.lastHandshake = latestHandshake;
+      this.txAtHandshake = tx;
+    }
+    const sentSinceHandshake = tx > this.txAtHandshake;
+
+    const status = { healthy: true, reason: null, handshakeAge, rx, tx };
+
+    if (handshakeAge === null) {
+      if (sentSinceHandshake && now - this.startedAt > this.staleHandshakeSeconds * 1000) {
+        return { ...status, healthy: false, reason: 'Nenhum handshake concluído' };
+      }
+    } else if (handshakeAge > this.staleHandshakeSeconds && sentSinceHandshake) {
+      return { ...status, healthy: false, reason: `Handshake expirado há ${handshakeAge}s` };
+    }
+
+    if (this.txSinceRx && now - this.lastRxChange > this.stallSeconds * 1000) {
+      return {
+        ...status,
+        healthy: false,
+        reason: `Sem tráfego recebido há ${Math.round((now - this.lastRxChange) / 1000)}s`
+      };
+    }
+
+    return status;
+  }
+
+  // Consultar estatísticas e iniciar recuperação se necessário
+  async poll() {
+    if (this.recovering || !this.getStats) return;
+
+    try {
+      const status = this.evaluate(await this.getStats());
+      this.lastStatus = status;
+      if (status.healthy && this.recoveredAt !== null && this.now() - this.recoveredAt >= this.stableSeconds * 1000) {
+        this.resetRetries();
+      }
+      if (!status.healthy) {
+        console.warn(`Túnel ${this.tunnelName} com problema: ${status.reason}`);
+        this.emit('unhealthy', { tunnel: this.tunnelName, reason: status.reason });
+        await this.recover(status.reason);
+      }
+    } catch (error) {
+      console.error('Erro no monitor de saúde:', error);
+    }
+  }
+
+  // Reconectar com backoff exponencial dentro do limite de tentativas. O
+  // restart (wg-quick up) funciona mesmo com o servidor fora do ar, então a
+  // tentativa só conta depois de um handshake novo. Tentativas e backoff não
+  // zeram entre episódios seguidos, só após `stableSeconds` de túnel saudável.
+  async recover(reason) {
+    this.recovering = true;
+
+    try {
+      while (this.attempts < this.backoff.maxRetries) {
+        const attempt = ++this.attempts;
+        const delay = this.delay;
+        this.delay = Math.min(delay * this.backoff.factor, this.backoff.maxDelay);
+        this.emit('reconnecting', { tunnel: this.tunnelName, attempt, delay, reason });
+        await this.sleep(delay);
+        if (!this.timer) return false;
+
+        try {
+          const restartedAt = this.now();
+          await this.reconnect();
+          await this.waitForHandshake(restartedAt);
+          this.resetCounters();
+          this.recoveredAt = this.now();
+          console.log(`Túnel ${this.tunnelName} reconectado na tentativa ${attempt}`);
+          this.emit('reconnected', { tunnel: this.tunnelName, attempts: attempt, reason });
+          return true;
+        } catch (error) {
+          console.error(`Tentativa ${attempt} de reconexão falhou:`, error.message);
+        }
+      }
+
+      this.stop();
+      this.emit('failed', { tunnel: this.tunnelName, attempts: this.attempts, reason });
+      return false;
+    } finally {
+      this.recovering = false;
+    }
+  }
+
+  // Aguardar um handshake concluído depois de `since` (ms), até confirmTimeout
+  async waitForHandshake(since) {
+    const deadline = this.now() + this.confirmTimeout;
+    for (;;) {
+      const stats = await this.getStats();
+      const peers = stats ? stats.interfaces.filter(peer => peer.name === this.tunnelName) : [];
+      if (peers.some(peer => peer.latestHandshake > 0 && peer.latestHandshake >= Math.floor(since / 1000))) {
+        return;
+      }
+      if (this.now() >= deadline) {
+        throw new Error(`Nenhum handshake em ${Math.round(this.confirmTimeout / 1000)}s após reiniciar o túnel`);
+      }
+      await this.sleep(this.confirmInterval);
+    }
+  }
+
+  getStatus() {
+    return {
+      tunnel: this.tunnelName,
+      running: this.isRunning(),
+      recovering: this.recovering,
+      ...(this.lastStatus || {})
+    };
+  }
+}
+
+module.exports = HealthMonitor;
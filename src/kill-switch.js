@@ -0,0 +1,266 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const dns = require('dns').promises;
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const splitTunnel = require('./split-tunnel');
+
+const execAsync = promisify(exec);
+
+class KillSwitch {
+  constructor() {
+    this.tableName = 'hiraishin_killswitch';
+    this.dnsTableName = 'hiraishin_dns';
+    this.redirectTableName = 'hiraishin_dns_redirect';
+    this.armed = false;
+    this.dnsBlocked = false;
+    this.dnsRedirect = null;
+    this.state = null;
+    this.simulated = false;
+    this.tables = new Map();
+    // Endpoints por nome já resolvidos. Com o kill switch armado o DNS do
+    // sistema fica bloqueado, então reconexões reaproveitam estes IPs.
+    this.resolvedHosts = new Map();
+  }
+
+  // Modo simulado: rulesets ficam só em memória (usado com o backend simulado)
+  setSimulated(simulated) {
+    this.simulated = Boolean(simulated);
+  }
+
+  // Verificar se a plataforma suporta o kill switch
+  isSupported() {
+    return this.simulated || process.platform === 'linux';
+  }
+
+  // Resolver endpoints "host:porta" em pares { ip, family, port }
+  async resolveEndpoints(endpoints) {
+    const resolved = [];
+    for (const endpoint of endpoints) {
+      const match = String(endpoint).match(/^\[?([^\]]+?)\]?:(\d+)$/);
+      if (!match) continue;
+      const [, host, port] = match;
+      if (net.isIP(host)) {
+        resolved.push({ ip: host, family: net.isIP(host), port: Number(port) });
+        continue;
+      }
+      if (this.armed && this.resolvedHosts.has(endpoint)) {
+        resolved.push(...this.resolvedHosts.get(endpoint));
+        continue;
+      }
+      const addresses = await dns.lookup(host, { all: true });
+      const entries = addresses.map(({ address, family }) => ({ ip: address, family, port: Number(port) }));
+      this.resolvedHosts.set(endpoint, entries);
+      resolved.push(...entries);
+    }
+    return resolved;
+  }
+
+  // Montar o ruleset nftables que só permite os túneis, os endpoints e (opcionalmente) a LAN
+  buildRuleset({ ifaces, endpoints, allowLan }) {
+    const endpointRules = endpoints.map(({ ip, family, port }) =>
+      `    ${family === 6 ? 'ip6' : 'ip'} daddr ${ip} udp dport ${port} accept`
+    );
+    const lan4 = splitTunnel.lanRanges.filter(range => !range.includes(':'));
+    const lan6 = splitTunnel.lanRanges.filter(range => range.includes(':'));
+    const lanOutput = allowLan
+      ? [`    ip daddr { ${lan4.join(', ')} } accept`, `    ip6 daddr { ${lan6.join(', ')} } accept`]
+      : [];
+    const lanInput = allowLan
+      ? [`    ip saddr { ${lan4.join(', ')} } accept`, `    ip6 saddr { ${lan6.join(', ')} } accept`]
+      : [];
+
+    // A definição vazia + delete torna a aplicação idempotente e atômica
+    return [
+      `table inet ${this.tableName} {}`,
+      `delete table inet ${this.tableName}`,
+      `table inet ${this.tableName} {`,
+      '  chain output {',
+      '    type filter hook output priority 0; policy drop;',
+      '    oifname "lo" accept',
+      ...ifaces.map(iface => `    oifname "${iface}" accept`),
+      ...endpointRules,
+      ...lanOutput,
+      '    udp sport 68 udp dport 67 accept',
+      '    udp sport 546 udp dport 547 accept',
+      '    icmpv6 type { nd-router-solicit, nd-neighbor-solicit, nd-neighbor-advert } accept',
+      '  }',
+      '  chain input {',
+      '    type filter hook input priority 0; policy drop;',
+      '    iifname "lo" accept',
+      '    ct state established,related accept',
+      ...ifaces.map(iface => `    iifname "${iface}" accept`),
+      ...lanInput,
+      '    icmpv6 type { nd-router-advert, nd-neighbor-solicit, nd-neighbor-advert } accept',
+      '  }',
+      '}',
+      ''
+    ].join('\n');
+  }
+
+  // Aplicar um ruleset nftables a partir de arquivo temporário
+  async applyRuleset(ruleset, name) {
+    if (this.simulated) {
+      this.tables.set(name, ruleset);
+      return;
+    }
+    const rulesFile = path.join(os.tmpdir(), `hiraishin-${name}-${process.pid}.nft`);
+    try {
+      fs.writeFileSync(rulesFile, ruleset, { mode: 0o600 });
+      await execAsync(`sudo nft -f "${rulesFile}"`);
+    } finally {
+      fs.rmSync(rulesFile, { force: true });
+    }
+  }
+
+  // Remover uma tabela nftables (tolerante a tabela inexistente)
+  async deleteTable(table) {
+    if (this.simulated) {
+      this.tables.delete({
+        [this.tableName]: 'killswitch',
+        [this.dnsTableName]: 'dns',
+        [this.redirectTableName]: 'dns-redirect'
+      }[table]);
+      return;
+    }
+    try {
+      await execAsync(`sudo nft delete table inet ${table}`);
+    } catch (error) {
+      if (!/No such file or directory|does not exist/i.test(error.message)) {
+        throw error;
+      }
+    }
+  }
+
+  // Armar (ou rearmar) o kill switch para as interfaces dos túneis ativos
+  async arm({ ifaces, endpoints = [], allowLan = false }) {
+    if (!this.isSupported()) {
+      throw new Error(`Kill switch não suportado nesta plataforma: ${process.platform}`);
+    }
+
+    const resolved = await this.resolveEndpoints(endpoints);
+    if (resolved.length === 0) {
+      throw new Error('Kill switch requer ao menos um endpoint resolvido');
+    }
+
+    try {
+      await this.applyRuleset(this.buildRuleset({ ifaces, endpoints: resolved, allowLan }), 'killswitch');
+      this.armed = true;
+      this.state = { ifaces, endpoints: resolved, allowLan, armedAt: new Date() };
+      console.log(`Kill switch armado para ${ifaces.join(', ')}`);
+      return true;
+    } catch (error) {
+      console.error('Erro ao armar kill switch:', error);
+      throw new Error(`Erro ao armar kill switch: ${error.message}`);
+    }
+  }
+
+  // Desarmar o kill switch
+  async disarm() {
+    if (!this.isSupported()) return true;
+
+    try {
+      await this.deleteTable(this.tableName);
+      console.log('Kill switch desarmado');
+    } catch (error) {
+      console.error('Erro ao desarmar kill switch:', error);
+      throw error;
+    }
+
+    this.armed = false;
+    this.state = null;
+    this.resolvedHosts.clear();
+    return true;
+  }
+
+  // Bloquear DNS (53/853) que não saia pelos túneis ou pelo stub local
+  async blockDns({ ifaces }) {
+    if (!this.isSupported()) {
+      throw new Error(`Bloqueio de DNS não suportado nesta plataforma: ${process.platform}`);
+    }
+
+    const ruleset = [
+      `table inet ${this.dnsTableName} {}`,
+      `delete table inet ${this.dnsTableName}`,
+      `table inet ${this.dnsTableName} {`,
+      '  chain output {',
+      '    type filter hook output priority -10; policy accept;',
+      '    oifname "lo" accept',
+      ...ifaces.map(iface => `    oifname "${iface}" accept`),
+      '    udp dport { 53, 853 } drop',
+      '    tcp dport { 53, 853 } drop',
+      '  }',
+      '}',
+      ''
+    ].join('\n');
+
+    await this.applyRuleset(ruleset, 'dns');
+    this.dnsBlocked = true;
+    console.log(`DNS fora do túnel bloqueado (${ifaces.join(', ')})`);
+    return true;
+  }
+
+  // Liberar DNS fora do túnel. Como no disarm, a tabela é removida mesmo sem
+  // bloqueio registrado: pode ter sobrado de uma execução que caiu
+  async unblockDns() {
+    if (!this.isSupported()) return true;
+    await this.deleteTable(this.dnsTableName);
+    if (this.dnsBlocked) {
+      console.log('Bloqueio de DNS removido');
+    }
+    this.dnsBlocked = false;
+    return true;
+  }
+
+  // Encaminhar o DNS enviado a address:53 para o stub em address:port (DNAT na
+  // saída local; `redirect` trocaria o destino por 127.0.0.1). O TCP também vai
+  // para o stub: sem ele, a repetição de respostas truncadas cairia no bloqueio.
+  async redirectDns({ address, port }) {
+    if (!this.isSupported()) {
+      throw new Error(`Redirecionamento de DNS não suportado nesta plataforma: ${process.platform}`);
+    }
+
+    const family = net.isIP(address) === 6 ? 'ip6' : 'ip';
+    const target = family === 'ip6' ? `[${address}]:${port}` : `${address}:${port}`;
+    const ruleset = [
+      `table inet ${this.redirectTableName} {}`,
+      `delete table inet ${this.redirectTableName}`,
+      `table inet ${this.redirectTableName} {`,
+      '  chain output {',
+      '    type nat hook output priority -100; policy accept;',
+      `    ${family} daddr ${address} udp dport 53 dnat ${family} to ${target}`,
+      `    ${family} daddr ${address} tcp dport 53 dnat ${family} to ${target}`,
+      '  }',
+      '}',
+      ''
+    ].join('\n');
+
+    await this.applyRuleset(ruleset, 'dns-redirect');
+    this.dnsRedirect = { address, port };
+    console.log(`DNS em ${address}:53 redirecionado para a porta ${port}`);
+    return true;
+  }
+
+  // Remover o redirecionamento do stub (tolerante a tabela inexistente)
+  async unredirectDns() {
+    if (!this.isSupported()) return true;
+    await this.deleteTable(this.redirectTableName);
+    this.dnsRedirect = null;
+    return true;
+  }
+
+  // Obter estado atual
+  getStatus() {
+    return {
+      supported: this.isSupported(),
+      armed: this.armed,
+      ifaces: this.state ? this.state.ifaces : [],
+      allowLan: this.state ? this.state.allowLan : false,
+      dnsBlocked: this.dnsBlocked
+    };
+  }
+}
+
+module.exports = new KillSwitch();
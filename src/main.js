@@ -1,15 +1,102 @@
 const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const probe = require('./probe');
+const probeTargets = require('./probe-targets');
 const wgController = require('./wg-controller');
+const profileStore = require('./profile-store');
+const secretStore = require('./secret-store');
+const routeScorer = require('./route-score');
+const metricsHistory = require('./metrics-history');
+const settingsStore = require('./settings-store');
+const HealthMonitor = require('./health-monitor');
+const RouteFailover = require('./failover');
 
 class HiraishinVPN {
   constructor() {
     this.mainWindow = null;
-    this.isConnected = false;
     this.currentRoute = null;
     this.analysisInterval = null;
+    this.isAnalyzingRoutes = false;
+    // Uplinks conectados (medidos e conectáveis) e redes WiFi apenas próximas
     this.routes = [];
+    this.nearbyNetworks = [];
+    // Um monitor de saúde por túnel, indexado pelo nome da interface
+    this.healthMonitors = new Map();
+    this.failover = new RouteFailover();
+    this.setupFailover();
+    this.settings = null;
+  }
+
+  // Carregar as configurações e acompanhar mudanças (pelo app ou no arquivo)
+  loadSettings() {
+    this.applySettings(settingsStore.load());
+    settingsStore.on('change', (settings) => this.applySettings(settings));
+    settingsStore.watch();
+  }
+
+  // Repassar as configurações aos módulos; o ciclo de análise em andamento é
+  // reagendado se o intervalo mudou
+  applySettings(settings) {
+    const previous = this.settings;
+    this.settings = settings;
+    probe.applySettings(settings);
+    wgController.applySettings(settings);
+    this.failover.configure(settings.failover);
+
+    if (previous && previous.analysis.interval !== settings.analysis.interval && this.analysisInterval) {
+      this.scheduleAnalysis();
+    }
+    this.sendToRenderer('settings-update', settings);
+  }
+
+  // Encaminhar os eventos do failover ao renderer e ligar a troca de rota
+  setupFailover() {
+    for (const type of ['candidate', 'switching', 'switched', 'failed']) {
+      this.failover.on(type, (data) => {
+        this.sendToRenderer('route-failover', { type, ...data });
+      });
+    }
+    this.failover.start({
+      switchRoute: (route, decision) => this.switchToRoute(route, decision.from),
+      suspendedReason: () => wgController.getKillSwitchStatus().armed
+        ? 'Kill switch armado: as medições das outras rotas são bloqueadas'
+        : null
+    });
+  }
+
+  get isConnected() {
+    return wgController.isConnected;
+  }
+
+  // Criar o monitor de um túnel e encaminhar seus eventos ao renderer
+  startHealthMonitor(tunnelName) {
+    const monitor = new HealthMonitor();
+    for (const type of ['unhealthy', 'reconnecting', 'reconnected', 'failed']) {
+      monitor.on(type, (data) => {
+        this.sendToRenderer('tunnel-health', { type, ...data });
+        if (type === 'failed') {
+          this.handleTunnelFailure(tunnelName, data.reason).catch(error => {
+            console.error(`Erro ao remover túnel ${tunnelName} após falha:`, error);
+          });
+        }
+      });
+    }
+    monitor.start({
+      tunnelName,
+      getStats: () => wgController.getTrafficStats(),
+      reconnect: () => wgController.restartTunnel(tunnelName)
+    });
+    this.healthMonitors.set(tunnelName, monitor);
+  }
+
+  stopHealthMonitor(tunnelName) {
+    const monitor = this.healthMonitors.get(tunnelName);
+    if (monitor) {
+      monitor.stop();
+      monitor.removeAllListeners();
+      this.healthMonitors.delete(tunnelName);
+    }
   }
 
   createWindow() {
@@ -76,10 +163,24 @@ class HiraishinVPN {
       }
     });
 
-    // Desconectar VPN
-    ipcMain.handle('disconnect', async () => {
+    // Conectar a uma rota específica, com perfil e nome de interface opcionais
+    ipcMain.handle('connect-route', async (event, { routeId, profileId, name } = {}) => {
+      try {
+        const route = this.routes.find(candidate => candidate.id === routeId);
+        if (!route) {
+          return { success: false, message: `Rota não encontrada: ${routeId}` };
+        }
+        const tunnel = await this.connectToRoute(route, { profileId, name });
+        return { success: true, route, tunnel };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Desconectar um túnel pelo nome, ou todos
+    ipcMain.handle('disconnect', async (event, name = null) => {
       try {
-        await this.disconnect();
+        await this.disconnect(name);
         return { success: true, message: 'Desconectado com sucesso' };
       } catch (error) {
         return { success: false, message: error.message };
@@ -91,10 +192,65 @@ class HiraishinVPN {
       return {
         isConnected: this.isConnected,
         currentRoute: this.currentRoute,
-        routes: this.routes
+        routes: this.routes,
+        nearbyNetworks: this.nearbyNetworks,
+        scoringProfile: routeScorer.getActiveProfile(),
+        tunnels: wgController.listTunnels(),
+        killSwitch: wgController.getKillSwitchStatus(),
+        failover: this.failover.getStatus()
       };
     });
 
+    // Ativar/desativar kill switch
+    ipcMain.handle('set-kill-switch', async (event, options) => {
+      try {
+        const killSwitch = await wgController.setKillSwitch(options);
+        this.sendUpdateToRenderer();
+        return { success: true, killSwitch };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Estado do failover automático
+    ipcMain.handle('get-failover', () => {
+      return { success: true, failover: this.failover.getStatus() };
+    });
+
+    // Ativar/desativar failover automático e ajustar margem, tempo e intervalo
+    ipcMain.handle('set-failover', (event, options) => {
+      try {
+        settingsStore.update({ failover: options });
+        this.sendUpdateToRenderer();
+        return { success: true, failover: this.failover.getStatus() };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Configurações atuais e o esquema usado pela página de configurações
+    ipcMain.handle('get-settings', () => {
+      return { success: true, settings: settingsStore.get(), schema: settingsStore.schema };
+    });
+
+    // Alterar configurações ({ seção: { chave: valor } })
+    ipcMain.handle('set-settings', (event, patch) => {
+      try {
+        return { success: true, settings: settingsStore.update(patch) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Voltar uma seção (ou todas) aos padrões
+    ipcMain.handle('reset-settings', (event, section = null) => {
+      try {
+        return { success: true, settings: settingsStore.reset(section) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
     // Obter estatísticas de rede
     ipcMain.handle('get-network-stats', async () => {
       try {
@@ -104,6 +260,238 @@ class HiraishinVPN {
         return { success: false, message: error.message };
       }
     });
+
+    // Obter chave pública da interface
+    ipcMain.handle('get-identity', () => {
+      try {
+        return { success: true, publicKey: profileStore.getPublicKey() };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Estado do cofre de segredos
+    ipcMain.handle('get-secrets-status', () => {
+      try {
+        return { success: true, secrets: secretStore.getStatus() };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Desbloquear (ou criar) o cofre de segredos com senha
+    ipcMain.handle('unlock-secrets', (event, passphrase) => {
+      try {
+        const secrets = secretStore.unlock(passphrase);
+        profileStore.sealPlaintextSecrets();
+        return { success: true, secrets };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Proteger a chave mestra com uma nova senha
+    ipcMain.handle('set-secrets-passphrase', (event, passphrase) => {
+      try {
+        return { success: true, secrets: secretStore.setPassphrase(passphrase) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Listar perfis de peer
+    ipcMain.handle('get-profiles', () => {
+      try {
+        const profiles = profileStore.listProfiles().map(profile => profileStore.toPublic(profile));
+        const active = profileStore.getActiveProfile();
+        return { success: true, profiles, activeProfileId: active ? active.id : null };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Salvar perfil de peer
+    ipcMain.handle('save-profile', (event, profile) => {
+      try {
+        const saved = profileStore.saveProfile(profile);
+        return { success: true, profile: profileStore.toPublic(saved) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Remover perfil de peer
+    ipcMain.handle('remove-profile', (event, id) => {
+      try {
+        profileStore.removeProfile(id);
+        return { success: true };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Importar arquivo .conf do wg-quick
+    ipcMain.handle('import-config', async (event, options = {}) => {
+      try {
+        let { text, name } = options;
+        if (!text) {
+          const result = await dialog.showOpenDialog(this.mainWindow, {
+            title: 'Importar configuração WireGuard',
+            filters: [{ name: 'WireGuard', extensions: ['conf'] }],
+            properties: ['openFile']
+          });
+          if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, message: 'Importação cancelada' };
+          }
+          text = fs.readFileSync(result.filePaths[0], 'utf8');
+          name = name || path.basename(result.filePaths[0], '.conf');
+        }
+        const profile = profileStore.importConfig(text, name || 'Configuração importada');
+        return { success: true, profile: profileStore.toPublic(profile) };
+      } catch (error) {
+        return { success: false, message: error.message, errors: error.errors || [] };
+      }
+    });
+
+    // Atualizar regras de split tunneling de um perfil
+    ipcMain.handle('update-split-tunnel', (event, id, rules) => {
+      try {
+        const profile = profileStore.updateSplitTunnel(id, rules);
+        return { success: true, profile: profileStore.toPublic(profile) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Atualizar configurações de DNS de um perfil
+    ipcMain.handle('update-dns-settings', (event, id, settings) => {
+      try {
+        const profile = profileStore.updateDnsSettings(id, settings);
+        return { success: true, profile: profileStore.toPublic(profile) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Executar teste de vazamento de DNS
+    ipcMain.handle('run-dns-leak-test', async (event, options = {}) => {
+      try {
+        const result = await wgController.runDnsLeakTest(options);
+        return { success: true, result };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Selecionar perfil ativo
+    ipcMain.handle('set-active-profile', (event, id) => {
+      try {
+        profileStore.setActiveProfile(id);
+        return { success: true };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Listar perfis de score e o ativo
+    ipcMain.handle('get-scoring-profiles', () => {
+      try {
+        return { success: true, profiles: routeScorer.listProfiles(), active: routeScorer.getActiveProfile().id };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Trocar o perfil de score e reordenar as rotas
+    ipcMain.handle('set-scoring-profile', (event, id) => {
+      try {
+        const profile = routeScorer.setActiveProfile(id);
+        this.sortRoutes();
+        this.sendUpdateToRenderer();
+        return { success: true, profile };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Criar ou atualizar perfil de score personalizado
+    ipcMain.handle('save-scoring-profile', (event, profile) => {
+      try {
+        const saved = routeScorer.saveCustomProfile(profile);
+        this.sortRoutes();
+        this.sendUpdateToRenderer();
+        return { success: true, profile: saved };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Remover perfil de score personalizado
+    ipcMain.handle('remove-scoring-profile', (event, id) => {
+      try {
+        routeScorer.removeCustomProfile(id);
+        this.sortRoutes();
+        this.sendUpdateToRenderer();
+        return { success: true };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Medir a banda de uma rota agora (o teste fica fora do ciclo de análise)
+    ipcMain.handle('measure-throughput', async (event, { routeId } = {}) => {
+      try {
+        const route = this.routes.find(candidate => candidate.id === routeId);
+        if (!route) {
+          return { success: false, message: `Rota não encontrada: ${routeId}` };
+        }
+        const throughput = await probe.measureRouteThroughput(route);
+        if (route.metrics && !route.metrics.error) {
+          route.metrics.throughput = throughput.download;
+          route.metrics.uploadThroughput = throughput.upload;
+          route.metrics.throughputMeasuredAt = throughput.measuredAt;
+        }
+        this.sortRoutes();
+        this.sendUpdateToRenderer();
+        return { success: true, route, throughput };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Agregados do histórico de uma rota numa janela (ms)
+    ipcMain.handle('get-route-history', (event, { routeId, window } = {}) => {
+      try {
+        return {
+          success: true,
+          aggregate: metricsHistory.aggregate(routeId, { window }),
+          samples: metricsHistory.getSamples(routeId, window)
+        };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Listar alvos de medição
+    ipcMain.handle('get-probe-targets', () => {
+      try {
+        return { success: true, targets: probeTargets.getTargets() };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    // Substituir o catálogo de alvos de medição
+    ipcMain.handle('set-probe-targets', (event, targets) => {
+      try {
+        const saved = probeTargets.setTargets(targets);
+        // Métricas em cache foram medidas contra o catálogo anterior
+        probe.cache.clear();
+        return { success: true, targets: saved };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
   }
 
   async startNetworkAnalysis() {
@@ -111,18 +499,30 @@ class HiraishinVPN {
     
     // Obter rotas disponíveis
     this.routes = await probe.discoverRoutes();
+    this.nearbyNetworks = await probe.getNearbyWifi(this.routes);
     
     // Iniciar monitoramento contínuo
+    this.scheduleAnalysis();
+
+    return true;
+  }
+
+  // (Re)agendar o ciclo de análise no intervalo configurado
+  scheduleAnalysis() {
+    if (this.analysisInterval) {
+      clearInterval(this.analysisInterval);
+    }
     this.analysisInterval = setInterval(async () => {
       try {
         await this.analyzeRoutes();
+        if (this.isConnected) {
+          await this.failover.check(this.routes, this.currentRoute);
+        }
         this.sendUpdateToRenderer();
       } catch (error) {
         console.error('Erro na análise de rotas:', error);
       }
-    }, 5000); // Analisar a cada 5 segundos
-
-    return true;
+    }, this.settings ? this.settings.analysis.interval : 5000);
   }
 
   async stopNetworkAnalysis() {
@@ -134,37 +534,36 @@ class HiraishinVPN {
   }
 
   async analyzeRoutes() {
+    // Um ciclo lento não deve se sobrepor ao próximo
+    if (this.isAnalyzingRoutes) return;
+    this.isAnalyzingRoutes = true;
     console.log('Analisando rotas disponíveis...');
     
-    for (let route of this.routes) {
-      try {
-        const metrics = await probe.analyzeRoute(route);
-        route.metrics = metrics;
+    try {
+      const results = await probe.analyzeRoutes(this.routes);
+      for (const route of this.routes) {
+        route.metrics = results.get(route.id) || { error: 'Rota não analisada' };
         route.lastAnalyzed = new Date();
-      } catch (error) {
-        console.error(`Erro ao analisar rota ${route.name}:`, error);
-        route.metrics = { error: error.message };
+        metricsHistory.record(route.id, route.metrics);
       }
+    } finally {
+      this.isAnalyzingRoutes = false;
     }
 
-    // Ordenar rotas por qualidade
-    this.routes.sort((a, b) => {
-      if (!a.metrics || !b.metrics) return 0;
-      const scoreA = this.calculateRouteScore(a.metrics);
-      const scoreB = this.calculateRouteScore(b.metrics);
-      return scoreB - scoreA;
-    });
+    this.sortRoutes();
   }
 
-  calculateRouteScore(metrics) {
-    if (metrics.error) return 0;
-    
-    // Score baseado em latência, throughput e estabilidade
-    const latencyScore = Math.max(0, 100 - metrics.latency);
-    const throughputScore = Math.min(100, metrics.throughput / 10);
-    const stabilityScore = metrics.stability * 100;
-    
-    return (latencyScore * 0.4 + throughputScore * 0.4 + stabilityScore * 0.2);
+  // Pontuar e ordenar as rotas pelo perfil de score ativo, usando o histórico
+  // suavizado (EWMA) quando existe, para uma medição isolada não reordenar tudo
+  sortRoutes() {
+    const profile = routeScorer.getActiveProfile();
+    for (const route of this.routes) {
+      route.history = metricsHistory.aggregate(route.id);
+      route.smoothedMetrics = metricsHistory.smoothedMetrics(route.id);
+      const metrics = route.smoothedMetrics || route.metrics;
+      route.score = metrics ? routeScorer.score(metrics, profile) : 0;
+    }
+    this.routes.sort((a, b) => b.score - a.score);
   }
 
   async findBestRoute() {
@@ -176,24 +575,69 @@ class HiraishinVPN {
     return this.routes[0];
   }
 
-  async connectToRoute(route) {
+  async connectToRoute(route, options = {}) {
     try {
       console.log(`Conectando à rota: ${route.name}`);
-      await wgController.connect(route);
-      this.isConnected = true;
+      // Família do endpoint WireGuard escolhida pelas métricas IPv4/IPv6 da rota
+      const family = options.family || (route.metrics && route.metrics.preferredFamily) || null;
+      const mtu = options.mtu || await probe.tunnelMtuFor(route, { profileId: options.profileId, family });
+      const tunnel = await wgController.connect(route, { ...options, mtu, family });
       this.currentRoute = route;
-      return true;
+      this.failover.reset();
+      this.startHealthMonitor(tunnel.name);
+      this.sendUpdateToRenderer();
+      return tunnel;
     } catch (error) {
       console.error('Erro ao conectar:', error);
       throw error;
     }
   }
 
-  async disconnect() {
+  // Levar os túneis de uma rota (a atual por padrão) para outra; usado pelo failover
+  async switchToRoute(route, from = this.currentRoute) {
+    const tunnels = wgController.listTunnels().filter(tunnel => !from || tunnel.routeId === from.id);
+    const family = (route.metrics && route.metrics.preferredFamily) || null;
+
+    for (const tunnel of tunnels) {
+      const mtu = await probe.tunnelMtuFor(route, { profileId: tunnel.profileId, family });
+      await wgController.switchRoute(tunnel.name, route, { mtu, family });
+      // Contadores do monitor de saúde recomeçam na rota nova
+      this.stopHealthMonitor(tunnel.name);
+      this.startHealthMonitor(tunnel.name);
+    }
+    this.currentRoute = route;
+    this.sendUpdateToRenderer();
+  }
+
+  // Túnel que não se recuperou: com failover ativo tenta outra rota na hora,
+  // senão (ou se não houver para onde ir) o túnel é removido
+  async handleTunnelFailure(tunnelName, reason) {
+    const tunnel = wgController.listTunnels().find(candidate => candidate.name === tunnelName);
+    const route = tunnel ? this.routes.find(candidate => candidate.id === tunnel.routeId) : null;
+    if (route) {
+      const decision = await this.failover.check(this.routes, route, { failure: `Túnel ${tunnelName} falhou: ${reason}` });
+      if (decision && decision.action === 'switch' && this.currentRoute && this.currentRoute.id !== route.id) {
+        return;
+      }
+    }
+    await this.disconnect(tunnelName);
+  }
+
+  // Desconectar um túnel pelo nome, ou todos se nenhum for informado
+  async disconnect(name = null) {
     try {
-      await wgController.disconnect();
-      this.isConnected = false;
-      this.currentRoute = null;
+      const names = name ? [name] : [...this.healthMonitors.keys()];
+      for (const tunnelName of names) {
+        this.stopHealthMonitor(tunnelName);
+      }
+      await wgController.disconnect(name);
+      this.failover.reset();
+
+      // A rota atual passa a ser a do último túnel que continua ativo
+      const remaining = wgController.listTunnels();
+      const last = remaining[remaining.length - 1];
+      this.currentRoute = last ? this.routes.find(route => route.id === last.routeId) || null : null;
+      this.sendUpdateToRenderer();
       console.log('Desconectado com sucesso');
     } catch (error) {
       console.error('Erro ao desconectar:', error);
@@ -201,12 +645,23 @@ class HiraishinVPN {
     }
   }
 
+  sendToRenderer(channel, data) {
+    if (this.mainWindow && this.mainWindow.webContents) {
+      this.mainWindow.webContents.send(channel, data);
+    }
+  }
+
   sendUpdateToRenderer() {
     if (this.mainWindow && this.mainWindow.webContents) {
       this.mainWindow.webContents.send('network-update', {
         routes: this.routes,
+        nearbyNetworks: this.nearbyNetworks,
+        scoringProfile: routeScorer.getActiveProfile(),
         isConnected: this.isConnected,
-        currentRoute: this.currentRoute
+        currentRoute: this.currentRoute,
+        tunnels: wgController.listTunnels(),
+        killSwitch: wgController.getKillSwitchStatus(),
+        failover: this.failover.getStatus()
       });
     }
   }
@@ -216,6 +671,15 @@ class HiraishinVPN {
 const hiraishin = new HiraishinVPN();
 
 app.whenReady().then(() => {
+  // Tentar desbloquear os segredos pelo chaveiro do sistema; senão o renderer pede a senha
+  try {
+    secretStore.unlock();
+    profileStore.sealPlaintextSecrets();
+  } catch (error) {
+    console.log(`Cofre de segredos aguardando desbloqueio: ${error.message}`);
+  }
+  hiraishin.loadSettings();
+
   hiraishin.createWindow();
 
   app.on('activate', () => {
@@ -231,13 +695,34 @@ app.on('window-all-closed', () => {
   }
 });
 
-app.on('before-quit', async () => {
-  if (hiraishin.isConnected) {
-    await hiraishin.disconnect();
-  }
+let isQuitting = false;
+
+app.on('before-quit', async (event) => {
+  if (isQuitting) return;
+
+  // Segurar o encerramento até o túnel e o kill switch serem desfeitos
+  event.preventDefault();
+  isQuitting = true;
+
   if (hiraishin.analysisInterval) {
     clearInterval(hiraishin.analysisInterval);
   }
+  settingsStore.unwatch();
+  try {
+    if (hiraishin.isConnected) {
+      await hiraishin.disconnect();
+    }
+  } catch (error) {
+    console.error('Erro ao desconectar no encerramento:', error);
+  }
+  try {
+    // Para túneis que sobraram, o stub e as tabelas de DNS, e desarma o kill switch
+    await wgController.cleanup();
+  } catch (error) {
+    console.error('Erro ao limpar túneis no encerramento:', error);
+  }
+  secretStore.lock();
+  app.quit();
 });
 
 // Exportar para uso em outros módulos
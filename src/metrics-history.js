@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const qualityMetrics = require('./quality-metrics');
+
+// Métricas guardadas por amostra e suavizadas por EWMA
+const FIELDS = ['latency', 'p95', 'jitter', 'packetLoss', 'mos', 'throughput', 'uploadThroughput', 'stability'];
+
+// Histórico de métricas por rota: cada amostra é anexada em JSON Lines em
+// ~/.hiraishin/metrics-history.jsonl. A memória guarda só a janela recente,
+// usada para EWMA, percentis e uptime; o arquivo é compactado na carga.
+class MetricsHistory {
+  constructor() {
+    this.basePath = path.join(os.homedir(), '.hiraishin');
+    this.historyFile = path.join(this.basePath, 'metrics-history.jsonl');
+    this.retention = 7 * 24 * 60 * 60 * 1000;
+    this.memoryWindow = 24 * 60 * 60 * 1000;
+    // Janela padrão dos agregados e meia-vida do EWMA
+    this.window = 15 * 60 * 1000;
+    this.halfLife = 5 * 60 * 1000;
+    this.samples = null;
+    this.lastRecorded = new Map();
+  }
+
+  // Carregar a janela recente e descartar do arquivo o que passou da retenção
+  load() {
+    if (this.samples) return this.samples;
+    this.samples = new Map();
+    if (!fs.existsSync(this.historyFile)) return this.samples;
+
+    const now = Date.now();
+    const kept = [];
+    let dropped = 0;
+    try {
+      for (const line of fs.readFileSync(this.historyFile, 'utf8').split('\n')) {
+        if (!line) continue;
+        let sample;
+        try {
+          sample = JSON.parse(line);
+        } catch {
+          // Linha parcial de uma escrita interrompida
+          dropped++;
+          continue;
+        }
+        if (now - sample.t > this.retention) {
+          dropped++;
+          continue;
+        }
+        kept.push(line);
+        if (now - sample.t <= this.memoryWindow) {
+          this.remember(sample);
+        }
+      }
+
+      if (dropped > 0) {
+        const tmpFile = `${this.historyFile}.tmp`;
+        fs.writeFileSync(tmpFile, kept.length > 0 ? `${kept.join('\n')}\n` : '');
+        fs.renameSync(tmpFile, this.historyFile);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar histórico de métricas:', error);
+    }
+    return this.samples;
+  }
+
+  remember(sample) {
+    if (!this.samples.has(sample.route)) {
+      this.samples.set(sample.route, []);
+    }
+    this.samples.get(sample.route).push(sample);
+  }
+
+  // Registrar a medição de uma rota; métricas repetidas (cache do probe) são ignoradas
+  record(routeId, metrics, at = Date.now()) {
+    this.load();
+    const measuredAt = metrics.timestamp ? new Date(metrics.timestamp).getTime() : at;
+    if (this.lastRecorded.get(routeId) === measuredAt) return null;
+    this.lastRecorded.set(routeId, measuredAt);
+
+    const sample = { t: measuredAt, route: routeId, ok: !metrics.error };
+    if (metrics.error) {
+      sample.error = metrics.error;
+    } else {
+      sample.received = metrics.received;
+      for (const field of FIELDS) {
+        if (metrics[field] !== null && metrics[field] !== undefined && Number.isFinite(metrics[field])) {
+          sample[field] = Math.round(metrics[field] * 1000) / 1000;
+        }
+      }
+    }
+
+    try {
+      if (!fs.existsSync(this.basePath)) {
+        fs.mkdirSync(this.basePath, { recursive: true, mode: 0o700 });
+      }
+      fs.appendFileSync(this.historyFile, `${JSON.stringify(sample)}\n`);
+    } catch (error) {
+      console.error('Erro ao gravar histórico de métricas:', error);
+    }
+
+    this.remember(sample);
+    this.prune(routeId, at);
+    return sample;
+  }
+
+  // Manter em memória só a janela recente da rota
+  prune(routeId, now = Date.now()) {
+    const samples = this.samples.get(routeId) || [];
+    const firstKept = samples.findIndex(sample => now - sample.t <= this.memoryWindow);
+    if (firstKept > 0) samples.splice(0, firstKept);
+    if (firstKept === -1) samples.length = 0;
+  }
+
+  // Amostras da rota dentro da janela (ms) terminando agora
+  getSamples(routeId, window = this.window, now = Date.now()) {
+    return (this.load().get(routeId) || []).filter(sample => now - sample.t <= window);
+  }
+
+  // EWMA com decaimento pelo tempo: cada amostra pesa 2^(-idade/meia-vida)
+  ewma(samples, field, now = Date.now()) {
+    let sum = 0;
+    let weights = 0;
+    for (const sample of samples) {
+      const value = sample.ok ? sample[field] : this.failureValue(field);
+      if (value === null || value === undefined) continue;
+      const weight = Math.pow(2, -(now - sample.t) / this.halfLife);
+      sum += value * weight;
+      weights += weight;
+    }
+    return weights > 0 ? sum / weights : null;
+  }
+
+  // Uma medição que falhou conta como perda total e qualidade mínima
+  failureValue(field) {
+    return { packetLoss: 1, mos: 1, stability: 0, throughput: 0, uploadThroughput: 0 }[field] ?? null;
+  }
+
+  // Agregados da janela: EWMA por métrica, percentis de latência e uptime
+  aggregate(routeId, { window = this.window, now = Date.now() } = {}) {
+    const samples = this.getSamples(routeId, window, now);
+    if (samples.length === 0) return null;
+
+    const up = samples.filter(sample => sample.ok && sample.received !== 0);
+    const latencies = up.map(sample => sample.latency).filter(value => value !== undefined);
+    const ewma = {};
+    for (const field of FIELDS) {
+      // Latência e jitter só fazem sentido nas amostras com resposta
+      ewma[field] = ['latency', 'p95', 'jitter'].includes(field)
+        ? this.ewma(up, field, now)
+        : this.ewma(samples, field, now);
+    }
+
+    return {
+      window,
+      samples: samples.length,
+      from: new Date(samples[0].t),
+      to: new Date(samples[samples.length - 1].t),
+      uptime: up.length / samples.length,
+      ewma,
+      latencyP50: qualityMetrics.percentile(latencies, 50),
+      latencyP95: qualityMetrics.percentile(latencies, 95),
+      latencyP99: qualityMetrics.percentile(latencies, 99)
+    };
+  }
+
+  // Métricas suavizadas no formato de uma medição, para o score
+  smoothedMetrics(routeId, options = {}) {
+    const aggregate = this.aggregate(routeId, options);
+    if (!aggregate) return null;
+    if (aggregate.uptime === 0) {
+      return { error: 'Rota sem resposta na janela do histórico', uptime: 0 };
+    }
+    return {
+      ...aggregate.ewma,
+      received: 1,
+      uptime: aggregate.uptime,
+      samples: aggregate.samples
+    };
+  }
+
+  // Apagar o histórico (de uma rota ou de todas)
+  clear(routeId = null) {
+    this.load();
+    if (routeId) {
+      this.samples.delete(routeId);
+      if (!fs.existsSync(this.historyFile)) return;
+      const lines = fs.readFileSync(this.historyFile, 'utf8').split('\n').filter(line => {
+        if (!line) return false;
+        try {
+          return JSON.parse(line).route !== routeId;
+        } catch {
+          return false;
+        }
+      });
+      fs.writeFileSync(this.historyFile, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    } else {
+      this.samples.clear();
+      fs.rmSync(this.historyFile, { force: true });
+    }
+  }
+}
+
+module.exports = new MetricsHistory();
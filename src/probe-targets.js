@@ -0,0 +1,428 @@
+const net = require('net');
+const dgram = require('dgram');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ping = require('ping');
+const wgHandshake = require('./wg-handshake');
+const profileStore = require('./profile-store');
+const wgController = require('./wg-controller');
+
+const TARGET_TYPES = ['icmp', 'tcp', 'udp', 'dns', 'http', 'wireguard'];
+
+// Erros que significam "sem resposta pela rede" (contam como perda). Os demais
+// são problemas locais (endereço de origem inválido, permissão) e descartam o alvo.
+const LOSS_ERRORS = [
+  'ETIMEDOUT', 'ETIMEOUT', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH',
+  'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ECONNABORTED'
+];
+
+// Catálogo de alvos de medição: cada rota é medida contra todos os alvos e o
+// resultado é agregado pelo peso de cada um.
+class ProbeTargets {
+  constructor() {
+    this.basePath = path.join(os.homedir(), '.hiraishin');
+    this.targetsFile = path.join(this.basePath, 'probe-targets.json');
+    this.defaults = [
+      { id: 'icmp-google-dns', type: 'icmp', host: '8.8.8.8', weight: 1 },
+      { id: 'icmp-google-dns-v6', type: 'icmp', host: '2001:4860:4860::8888', weight: 1 },
+      { id: 'tcp-cloudflare-https', type: 'tcp', host: '1.1.1.1', port: 443, weight: 1 },
+      { id: 'tcp-cloudflare-https-v6', type: 'tcp', host: '2606:4700:4700::1111', port: 443, weight: 1 },
+      { id: 'dns-cloudflare', type: 'dns', host: '1.1.1.1', port: 53, name: 'example.com', weight: 1 },
+      { id: 'dns-cloudflare-v6', type: 'dns', host: '2606:4700:4700::1111', port: 53, name: 'example.com', weight: 1 },
+      // Alvos por nome valem para as duas famílias (resolvidos na família medida)
+      { id: 'http-cloudflare-trace', type: 'http', url: 'https://www.cloudflare.com/cdn-cgi/trace', weight: 1 },
+      // Endpoints dos peers do perfil ativo (profileId null) via handshake WireGuard
+      { id: 'wireguard-active-profile', type: 'wireguard', profileId: null, weight: 2 }
+    ];
+    this.targets = null;
+    this.count = 5;
+    this.interval = 100;
+    this.timeout = 2000;
+  }
+
+  // Carregar catálogo do disco (ou os padrões)
+  load() {
+    if (this.targets) return this.targets;
+
+    if (fs.existsSync(this.targetsFile)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(this.targetsFile, 'utf8'));
+        this.targets = stored.map((target, index) => this.normalizeTarget(target, index));
+      } catch (error) {
+        console.error(`Catálogo de alvos inválido (${this.targetsFile}), usando padrões:`, error.message);
+        this.targets = this.defaults.map((target, index) => this.normalizeTarget(target, index));
+      }
+    } else {
+      this.targets = this.defaults.map((target, index) => this.normalizeTarget(target, index));
+    }
+    return this.targets;
+  }
+
+  getTargets() {
+    return this.load();
+  }
+
+  // Substituir o catálogo, validando cada alvo
+  setTargets(targets) {
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error('Informe ao menos um alvo de medição');
+    }
+    const normalized = targets.map((target, index) => this.normalizeTarget(target, index));
+    const ids = new Set(normalized.map(target => target.id));
+    if (ids.size !== normalized.length) {
+      throw new Error('Ids de alvos duplicados');
+    }
+
+    if (!fs.existsSync(this.basePath)) {
+      fs.mkdirSync(this.basePath, { recursive: true, mode: 0o700 });
+    }
+    const tmpFile = `${this.targetsFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(normalized, null, 2));
+    fs.renameSync(tmpFile, this.targetsFile);
+    this.targets = normalized;
+    return normalized;
+  }
+
+  resetTargets() {
+    fs.rmSync(this.targetsFile, { force: true });
+    this.targets = null;
+    return this.load();
+  }
+
+  // Validar um alvo conforme o tipo
+  normalizeTarget(target, index) {
+    const label = `Alvo ${index + 1}`;
+    if (!target || !TARGET_TYPES.includes(target.type)) {
+      throw new Error(`${label}: tipo inválido (use ${TARGET_TYPES.join(', ')})`);
+    }
+
+    const weight = target.weight === undefined ? 1 : Number(target.weight);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`${label}: peso inválido`);
+    }
+
+    const normalized = {
+      id: target.id || `${target.type}-${index + 1}`,
+      type: target.type,
+      weight
+    };
+    if (target.count !== undefined) {
+      normalized.count = Math.max(1, Math.floor(Number(target.count)));
+    }
+
+    switch (target.type) {
+      case 'icmp':
+        if (!target.host) throw new Error(`${label}: host obrigatório`);
+        normalized.host = target.host;
+        break;
+      case 'tcp':
+      case 'udp':
+      case 'dns': {
+        if (!target.host) throw new Error(`${label}: host obrigatório`);
+        const port = Number(target.port || (target.type === 'dns' ? 53 : 0));
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+          throw new Error(`${label}: porta inválida`);
+        }
+        normalized.host = target.host;
+        normalized.port = port;
+        if (target.type === 'dns') {
+          if (!net.isIP(target.host)) {
+            throw new Error(`${label}: servidor DNS precisa ser um endereço IP`);
+          }
+          normalized.name = target.name || 'example.com';
+          normalized.recordType = target.recordType || 'A';
+        }
+        break;
+      }
+      case 'http': {
+        let url;
+        try {
+          url = new URL(target.url);
+        } catch {
+          throw new Error(`${label}: URL inválida`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error(`${label}: URL precisa ser http ou https`);
+        }
+        normalized.url = url.toString();
+        break;
+      }
+      case 'wireguard':
+        normalized.profileId = target.profileId || null;
+        break;
+    }
+
+    return normalized;
+  }
+
+  // Descrição curta do alvo para logs e para o renderer
+  describe(target) {
+    switch (target.type) {
+      case 'http':
+        return target.url;
+      case 'wireguard':
+        return target.endpoint || (target.profileId ? `perfil ${target.profileId}` : 'perfil ativo');
+      case 'icmp':
+        return target.host;
+      default:
+        return net.isIPv6(target.host) ? `[${target.host}]:${target.port}` : `${target.host}:${target.port}`;
+    }
+  }
+
+  // Família fixa do alvo (4 ou 6) quando o destino é um IP literal; 0 vale para as duas
+  targetFamily(target) {
+    if (target.type === 'http') {
+      return net.isIP(new URL(target.url).hostname.replace(/^\[|\]$/g, ''));
+    }
+    return target.host ? net.isIP(target.host) : 0;
+  }
+
+  isLoss(error) {
+    return LOSS_ERRORS.includes(error.code) || /tempo esgotado/i.test(error.message);
+  }
+
+  // Repetir `attempt` `count` vezes; cada tentativa devolve o RTT em ms ou null (perda)
+  async repeat(count, attempt) {
+    const times = [];
+    for (let i = 0; i < count; i++) {
+      const rtt = await attempt(i);
+      if (rtt !== null) times.push(rtt);
+      if (i < count - 1) await new Promise(resolve => setTimeout(resolve, this.interval));
+    }
+    return { sent: count, times };
+  }
+
+  elapsed(startedAt) {
+    return Number(process.hrtime.bigint() - startedAt) / 1e6;
+  }
+
+  // ICMP: rajada de pings saindo pela interface/origem da rota
+  async measureIcmp(target, binding, burst) {
+    const count = target.count || burst.count;
+    const bindArgs = process.platform === 'linux' ? ['-I', binding.iface] : ['-S', binding.localAddress];
+    const extra = [
+      ...(process.platform === 'win32' ? [] : ['-i', String(burst.interval)]),
+      ...bindArgs
+    ];
+
+    const result = await ping.promise.probe(target.host, {
+      v6: binding.family === 6,
+      min_reply: count,
+      timeout: burst.timeout,
+      deadline: Math.ceil(count * burst.interval + burst.timeout),
+      extra
+    });
+
+    const times = (result.times || []).map(Number).filter(time => Number.isFinite(time));
+    return { sent: count, times };
+  }
+
+  // TCP: tempo do handshake (connect)
+  measureTcp(target, binding) {
+    return this.repeat(target.count || this.count, () => new Promise((resolve, reject) => {
+      const startedAt = process.hrtime.bigint();
+      const socket = net.connect({ host: target.host, port: target.port, localAddress: binding.localAddress, family: binding.family });
+      socket.setTimeout(this.timeout);
+      socket.once('connect', () => {
+        resolve(this.elapsed(startedAt));
+        socket.destroy();
+      });
+      socket.once('timeout', () => {
+        socket.destroy();
+        resolve(null);
+      });
+      socket.once('error', error => (this.isLoss(error) ? resolve(null) : reject(error)));
+    }));
+  }
+
+  // UDP: servidor de eco (RFC 862) devolve o datagrama enviado
+  async measureUdp(target, binding) {
+    const socket = dgram.createSocket(binding.family === 6 ? 'udp6' : 'udp4');
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind({ address: binding.localAddress }, resolve);
+    });
+
+    try {
+      return await this.repeat(target.count || this.count, () => new Promise(resolve => {
+        const payload = crypto.randomBytes(16);
+        const startedAt = process.hrtime.bigint();
+        const timer = setTimeout(() => done(null), this.timeout);
+        const onMessage = message => {
+          if (message.equals(payload)) done(this.elapsed(startedAt));
+        };
+        const done = value => {
+          clearTimeout(timer);
+          socket.off('message', onMessage);
+          resolve(value);
+        };
+        socket.on('message', onMessage);
+        socket.send(payload, target.port, target.host, error => {
+          if (error) done(null);
+        });
+      }));
+    } finally {
+      socket.close();
+    }
+  }
+
+  // DNS: tempo de resposta do resolvedor; NXDOMAIN/NODATA também são respostas
+  measureDns(target, binding) {
+    const resolver = new dns.promises.Resolver({ timeout: this.timeout, tries: 1 });
+    resolver.setServers([net.isIPv6(target.host) ? `[${target.host}]:${target.port}` : `${target.host}:${target.port}`]);
+    if (binding.family === 6) {
+      resolver.setLocalAddress('0.0.0.0', binding.localAddress);
+    } else {
+      resolver.setLocalAddress(binding.localAddress);
+    }
+
+    return this.repeat(target.count || this.count, async () => {
+      const startedAt = process.hrtime.bigint();
+      try {
+        await resolver.resolve(target.name, target.recordType);
+        return this.elapsed(startedAt);
+      } catch (error) {
+        if (['ENOTFOUND', 'ENODATA', 'ESERVFAIL', 'EREFUSED'].includes(error.code)) {
+          return this.elapsed(startedAt);
+        }
+        if (error.code === 'ETIMEOUT' || error.code === 'ECONNREFUSED') return null;
+        throw error;
+      }
+    });
+  }
+
+  // HTTP(S): tempo até o primeiro byte da resposta (inclui TCP e TLS)
+  measureHttp(target, binding) {
+    const client = target.url.startsWith('https:') ? https : http;
+    return this.repeat(target.count || this.count, () => new Promise((resolve, reject) => {
+      const startedAt = process.hrtime.bigint();
+      const req = client.get(target.url, {
+        agent: false,
+        localAddress: binding.localAddress,
+        family: binding.family,
+        timeout: this.timeout,
+        headers: { 'Cache-Control': 'no-cache' }
+      }, res => {
+        resolve(this.elapsed(startedAt));
+        res.destroy();
+      });
+      req.once('timeout', () => {
+        req.destroy();
+        resolve(null);
+      });
+      req.once('error', error => (this.isLoss(error) ? resolve(null) : reject(error)));
+    }));
+  }
+
+  // Expandir um alvo wireguard nos peers (com endpoint) do perfil indicado
+  expandWireguard(target) {
+    const profile = target.profileId ? profileStore.getProfile(target.profileId) : profileStore.getActiveProfile();
+    if (!profile) return [];
+
+    return profile.peers
+      .filter(peer => peer.endpoint)
+      .map(peer => ({
+        ...target,
+        id: `${target.id}:${peer.endpoint}`,
+        endpoint: peer.endpoint,
+        peerPublicKey: peer.publicKey,
+        profile
+      }));
+  }
+
+  // WireGuard: RTT da resposta de handshake do endpoint
+  async measureWireguard(target, binding) {
+    // Um handshake autenticado faria o servidor trocar o endpoint de um túnel
+    // ativo para o socket da sonda; peers já conectados não são sondados.
+    const connected = [...wgController.tunnels.values()].some(tunnel =>
+      tunnel.config.peers.some(peer => peer.PublicKey === target.peerPublicKey)
+    );
+    if (connected) {
+      const error = new Error('Peer com túnel ativo: handshake não sondado');
+      error.skipped = true;
+      throw error;
+    }
+
+    // Endpoint sem endereço na família medida não é sondado por esta família
+    let resolved;
+    try {
+      resolved = await wgHandshake.resolveEndpoint(target.endpoint, binding.family);
+    } catch (error) {
+      error.skipped = true;
+      throw error;
+    }
+    if (resolved.family !== binding.family) {
+      const error = new Error(`Endpoint sem endereço IPv${binding.family}`);
+      error.skipped = true;
+      throw error;
+    }
+
+    const config = profileStore.toConfigModel(target.profile);
+    const privateKey = config.iface.PrivateKey || profileStore.getIdentity().privateKey;
+    return wgHandshake.probe({
+      endpoint: target.endpoint,
+      family: binding.family,
+      privateKey,
+      peerPublicKey: target.peerPublicKey,
+      count: target.count || 3,
+      timeout: this.timeout,
+      localAddress: binding.localAddress
+    });
+  }
+
+  async measure(target, binding, burst) {
+    switch (target.type) {
+      case 'icmp':
+        return this.measureIcmp(target, binding, burst);
+      case 'tcp':
+        return this.measureTcp(target, binding);
+      case 'udp':
+        return this.measureUdp(target, binding);
+      case 'dns':
+        return this.measureDns(target, binding);
+      case 'http':
+        return this.measureHttp(target, binding);
+      case 'wireguard':
+        return this.measureWireguard(target, binding);
+      default:
+        throw new Error(`Tipo de alvo desconhecido: ${target.type}`);
+    }
+  }
+
+  // Medir em paralelo os alvos da família da rota; falhas locais viram `error`
+  async measureAll(binding, burst) {
+    const family = binding.family || 4;
+    const compatible = this.load().filter(target => {
+      const targetFamily = this.targetFamily(target);
+      return !targetFamily || targetFamily === family;
+    });
+    const targets = compatible.flatMap(target => {
+      if (target.type !== 'wireguard') return [target];
+      try {
+        return this.expandWireguard(target);
+      } catch (error) {
+        return [{ ...target, expandError: error }];
+      }
+    });
+
+    return Promise.all(targets.map(async target => {
+      const entry = { id: target.id, type: target.type, weight: target.weight, target: this.describe(target) };
+      try {
+        if (target.expandError) throw target.expandError;
+        return { ...entry, sample: await this.measure(target, binding, burst) };
+      } catch (error) {
+        if (!error.skipped) {
+          console.error(`Erro ao medir alvo ${entry.id}:`, error.message);
+        }
+        return { ...entry, error: error.message };
+      }
+    }));
+  }
+}
+
+module.exports = new ProbeTargets();
@@ -1,8 +1,17 @@
 const ping = require('ping');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const os = require('os');
 const si = require('systeminformation');
 const wifi = require('node-wifi');
+const throughputTest = require('./throughput-test');
+const qualityMetrics = require('./quality-metrics');
+const probeTargets = require('./probe-targets');
+const profileStore = require('./profile-store');
+const wgHandshake = require('./wg-handshake');
+const traceroute = require('./traceroute');
+const routeTable = require('./route-table');
+const wgController = require('./wg-controller');
 
 const execAsync = promisify(exec);
 
@@ -10,69 +19,123 @@ class NetworkProbe {
   constructor() {
     this.cache = new Map();
     this.cacheTimeout = 30000; // 30 segundos
+    // Teste de banda ativo; HIRAISHIN_THROUGHPUT_URL aponta para um servidor próprio
+    // (ex.: `node src/throughput-server.js`) em vez do speed.cloudflare.com
+    this.throughputOptions = {
+      url: process.env.HIRAISHIN_THROUGHPUT_URL || throughputTest.defaults.url,
+      direction: 'both',
+      duration: 6000,
+      warmup: 1000,
+      streams: 4,
+      maxBytes: 25 * 1024 * 1024
+    };
+    this.throughputQueue = Promise.resolve();
+    // O teste de banda fica fora do ciclo de análise: roda sob demanda ou, com
+    // `throughputAuto`, em segundo plano quando o último resultado vence
+    this.throughputCache = new Map();
+    this.throughputCacheTimeout = 60 * 60 * 1000;
+    this.throughputAuto = false;
+    this.throughputRunning = new Map();
+    // Rajada dos alvos ICMP: `count` pings a cada `interval` segundos
+    this.burst = { count: 20, interval: 0.2, timeout: 2 };
+    this.concurrency = 4;
+    // Path MTU muda raramente; cada rota/destino é redescoberto a cada 10 minutos
+    this.mtuCache = new Map();
+    this.mtuCacheTimeout = 10 * 60 * 1000;
+    // Último traçado de cada rota, para detectar mudanças de caminho entre ciclos
+    this.paths = new Map();
+    this.traceOptions = { queries: 5, maxHops: 20, wait: 1 };
+    // O traceroute também roda em segundo plano: a cada `traceInterval` ou quando
+    // latência/perda mudam desde o último traçado (no máximo um por minuto)
+    this.traceInterval = 10 * 60 * 1000;
+    this.traceMinGap = 60 * 1000;
+    this.traceAttempts = new Map();
+    this.tracing = new Set();
   }
 
-  // Descobrir rotas disponíveis
+  // Aplicar as seções `analysis` e `probe` das configurações; métricas em cache
+  // medidas com a configuração anterior são descartadas
+  applySettings(settings) {
+    const { analysis, probe } = settings;
+    this.cacheTimeout = analysis.cacheTimeout;
+    this.concurrency = analysis.concurrency;
+    this.burst = { count: probe.pingCount, interval: probe.pingInterval, timeout: probe.pingTimeout };
+    this.mtuCacheTimeout = probe.mtuCacheTimeout;
+    this.traceOptions = { ...this.traceOptions, queries: probe.traceQueries, maxHops: probe.traceMaxHops };
+    this.traceInterval = probe.traceInterval;
+    this.throughputAuto = probe.throughputAuto;
+    this.throughputCacheTimeout = probe.throughputCacheTimeout;
+    this.cache.clear();
+  }
+
+  // Descobrir rotas disponíveis: um uplink por interface ativa com endereço,
+  // ligado aos seus gateways default e à rede WiFi associada (se houver)
   async discoverRoutes() {
     console.log('Descobrindo rotas de rede...');
     
-    const routes = [];
-    
     try {
-      // Obter interfaces de rede
-      const networkInterfaces = await si.networkInterfaces();
-      
-      // Obter redes WiFi disponíveis
-      const wifiNetworks = await this.getWifiNetworks();
+      const [networkInterfaces, defaultRoutes, connections] = await Promise.all([
+        si.networkInterfaces(),
+        this.getSystemRoutes(),
+        this.getWifiConnections()
+      ]);
       
-      // Obter rotas do sistema
-      const systemRoutes = await this.getSystemRoutes();
-      
-      // Criar rotas baseadas nas interfaces
+      const routes = [];
       for (const iface of networkInterfaces) {
-        if (iface.operstate === 'up' && iface.type !== 'loopback') {
-          routes.push({
-            id: iface.iface,
-            name: `${iface.iface} (${iface.type})`,
-            type: iface.type,
-            ip: iface.ip4,
-            mac: iface.mac,
-            speed: iface.speed,
-            iface: iface.iface,
-            metrics: null,
-            lastAnalyzed: null
-          });
-        }
-      }
-      
-      // Adicionar redes WiFi
-      for (const network of wifiNetworks) {
-        routes.push({
-          id: `wifi-${network.ssid}`,
-          name: `WiFi: ${network.ssid}`,
-          type: 'wifi',
-          ssid: network.ssid,
-          signal: network.signal,
-          security: network.security,
-          iface: 'wlan0',
-          metrics: null,
-          lastAnalyzed: null
-        });
-      }
-      
-      // Adicionar rotas do sistema
-      for (const route of systemRoutes) {
+        if (iface.operstate !== 'up' || iface.internal || iface.type === 'loopback') continue;
+        // Túneis abertos pelo próprio app não são caminhos de saída
+        if (wgController.tunnels.has(iface.iface)) continue;
+
+        const ip6 = this.globalIpv6(iface.iface);
+        if (!iface.ip4 && !ip6) continue;
+
+        const association = connections.find(connection => connection.iface === iface.iface && connection.ssid);
+        const gateways = defaultRoutes
+          .filter(route => route.iface === iface.iface)
+          .map(route => ({
+            family: route.family,
+            gateway: route.gateway,
+            metric: route.metric,
+            protocol: route.protocol
+          }));
+        const type = association ? 'wifi' : this.linkType(iface);
+
         routes.push({
-          id: `route-${route.destination}`,
-          name: `Rota: ${route.destination}`,
-          type: 'route',
-          destination: route.destination,
-          gateway: route.gateway,
-          iface: route.iface,
+          id: `uplink:${iface.iface}`,
+          kind: 'uplink',
+          name: association ? `WiFi: ${association.ssid} (${iface.iface})` : `${iface.iface} (${type})`,
+          type,
+          iface: iface.iface,
+          ip: iface.ip4 || null,
+          ip6,
+          mac: iface.mac,
+          speed: iface.speed,
+          gateways,
+          isDefault: gateways.length > 0,
+          wifi: association ? {
+            ssid: association.ssid,
+            bssid: association.bssid || null,
+            signal: association.signal_level,
+            security: association.security || null,
+            channel: association.channel || null
+          } : null,
           metrics: null,
           lastAnalyzed: null
         });
       }
+
+      // Uplinks com rota default primeiro, pela menor métrica
+      // (Infinity - Infinity dá NaN e bagunça a ordenação: sem rota default vai
+      // para o fim sem subtrair)
+      const bestMetric = route => Math.min(...route.gateways.map(gateway => gateway.metric || 0), Infinity);
+      routes.sort((a, b) => {
+        const left = bestMetric(a);
+        const right = bestMetric(b);
+        if (left === right) return 0;
+        if (left === Infinity) return 1;
+        if (right === Infinity) return -1;
+        return left - right;
+      });
       
       console.log(`Encontradas ${routes.length} rotas disponíveis`);
       return routes;
@@ -83,10 +146,61 @@ class NetworkProbe {
     }
   }
 
+  // Tipo do enlace da interface
+  linkType(iface) {
+    if (iface.type === 'wireless') return 'wifi';
+    if (/^(wwan|rmnet|ccmni)/.test(iface.iface)) return 'cellular';
+    if (/^ppp/.test(iface.iface)) return 'ppp';
+    if (iface.virtual) return 'virtual';
+    return 'wired';
+  }
+
+  // Redes WiFi próximas às quais o host não está associado (candidatas, não medíveis)
+  async getNearbyWifi(uplinks = []) {
+    const joined = new Set(uplinks.filter(route => route.wifi).map(route => route.wifi.ssid));
+    const networks = await this.getWifiNetworks();
+    const bySsid = new Map();
+    
+    // Um SSID pode ter vários pontos de acesso; fica o de sinal mais forte
+    for (const network of networks) {
+      if (joined.has(network.ssid)) continue;
+      const current = bySsid.get(network.ssid);
+      if (!current || network.signal_level > current.signal_level) {
+        bySsid.set(network.ssid, network);
+      }
+    }
+    
+    return [...bySsid.values()].map(network => ({
+      id: `wifi:${network.ssid}`,
+      kind: 'candidate',
+      name: `WiFi: ${network.ssid}`,
+      type: 'wifi',
+      ssid: network.ssid,
+      bssid: network.bssid || null,
+      signal: network.signal_level,
+      security: network.security || null,
+      channel: network.channel || null
+    })).sort((a, b) => b.signal - a.signal);
+  }
+
+  // Analisar várias rotas em paralelo, com no máximo `concurrency` ao mesmo tempo
+  async analyzeRoutes(routes, concurrency = this.concurrency) {
+    const results = new Map();
+    const queue = [...routes];
+    const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+      while (queue.length > 0) {
+        const route = queue.shift();
+        const metrics = await this.analyzeRoute(route);
+        results.set(route.id, metrics);
+        this.scheduleBackground(route, metrics);
+      }
+    });
+    await Promise.all(workers);
+    return results;
+  }
+
   // Analisar uma rota específica
   async analyzeRoute(route) {
-    const cacheKey = `${route.id}-${Date.now()}`;
-    
     // Verificar cache
     if (this.cache.has(route.id)) {
       const cached = this.cache.get(route.id);
@@ -98,12 +212,32 @@ class NetworkProbe {
     console.log(`Analisando rota: ${route.name}`);
     
     try {
+      // IPv4 e IPv6 medidos separadamente; a família preferida alimenta o
+      // score, o MTU, o traçado e a escolha do endereço do endpoint WireGuard
+      const families = await this.sampleFamilies(route);
+      const preferredFamily = this.preferredFamily(families);
+      const preferred = families[`ipv${preferredFamily}`];
+      const binding = preferred.binding;
+
+      const pathMtu = await this.discoverPathMtu(route, binding);
+      // Banda e caminho vêm dos últimos resultados em segundo plano (ou null)
+      const throughput = this.cachedThroughput(route, binding.family);
       const metrics = {
-        latency: await this.measureLatency(route),
-        throughput: await this.measureThroughput(route),
-        stability: await this.measureStability(route),
-        packetLoss: await this.measurePacketLoss(route),
-        jitter: await this.measureJitter(route),
+        ...preferred.metrics,
+        targets: preferred.targets,
+        families: Object.fromEntries(Object.entries(families).map(([key, family]) => [key, {
+          ...(family.metrics || {}),
+          targets: family.targets,
+          binding: family.binding,
+          ...(family.error ? { error: family.error } : {})
+        }])),
+        preferredFamily,
+        pathMtu,
+        path: this.paths.get(route.id) || null,
+        throughput: throughput ? throughput.download : null,
+        uploadThroughput: throughput ? throughput.upload : null,
+        throughputMeasuredAt: throughput ? throughput.measuredAt : null,
+        binding,
         timestamp: new Date()
       };
       
@@ -124,134 +258,363 @@ class NetworkProbe {
     }
   }
 
-  // Medir latência
-  async measureLatency(route) {
-    try {
-      let target = '8.8.8.8'; // Google DNS como padrão
-      
-      if (route.gateway) {
-        target = route.gateway;
-      } else if (route.ip) {
-        target = route.ip;
+  // Medir a rota em cada família com endereço na interface
+  async sampleFamilies(route) {
+    const families = {};
+    let bindingError = null;
+    for (const family of [4, 6]) {
+      let binding;
+      try {
+        binding = await this.bindingFor(route, family);
+      } catch (error) {
+        bindingError = bindingError || error;
+        continue;
       }
-      
-      const result = await ping.promise.probe(target, {
-        timeout: 3,
-        extra: ['-c', '3']
-      });
-      
-      return result.alive ? parseFloat(result.time) : 999;
-      
-    } catch (error) {
-      console.error('Erro ao medir latência:', error);
-      return 999;
+      try {
+        families[`ipv${family}`] = { ...(await this.sampleTargets(binding)), binding };
+      } catch (error) {
+        families[`ipv${family}`] = { error: error.message, binding };
+      }
+    }
+
+    const measured = Object.values(families);
+    if (measured.length === 0) {
+      throw bindingError;
+    }
+    if (measured.every(family => family.error)) {
+      throw new Error(measured.map(family => family.error).join('; '));
     }
+    return families;
   }
 
-  // Medir throughput
-  async measureThroughput(route) {
-    try {
-      // Simular teste de throughput baseado na interface
-      const interfaceInfo = await si.networkInterfaceStats(route.iface);
-      
-      if (interfaceInfo) {
-        // Calcular throughput baseado na velocidade da interface
-        const speed = route.speed || 100; // Mbps
-        const utilization = interfaceInfo.rx_sec / (speed * 1024 * 1024 / 8); // Conversão para MB/s
-        
-        return Math.max(0, speed * (1 - utilization));
-      }
-      
-      return 0;
-      
-    } catch (error) {
-      console.error('Erro ao medir throughput:', error);
-      return 0;
+  // Família com menos perda e, no empate, menor latência
+  preferredFamily(families) {
+    const candidates = [4, 6].filter(family => families[`ipv${family}`] && families[`ipv${family}`].metrics);
+    candidates.sort((a, b) => {
+      const ma = families[`ipv${a}`].metrics;
+      const mb = families[`ipv${b}`].metrics;
+      if (Math.abs(ma.packetLoss - mb.packetLoss) > 0.01) return ma.packetLoss - mb.packetLoss;
+      return ma.latency - mb.latency;
+    });
+    return candidates[0];
+  }
+
+  // Endereço IPv6 global da interface (ignora link-local fe80::/10)
+  globalIpv6(ifaceName) {
+    const addresses = os.networkInterfaces()[ifaceName] || [];
+    const address = addresses.find(candidate =>
+      (candidate.family === 'IPv6' || candidate.family === 6) &&
+      !candidate.internal &&
+      !/^fe[89ab]/i.test(candidate.address)
+    );
+    return address ? address.address : null;
+  }
+
+  // Interface e endereço de origem que prendem as medições ao caminho da rota.
+  // ICMP usa `ping -I <iface>` (Linux) ou `-S <origem>`; TCP/UDP usam `localAddress`.
+  async bindingFor(route, family = 4) {
+    // Redes WiFi apenas próximas não têm caminho a medir
+    if (route.kind === 'candidate') {
+      throw new Error(`Rede WiFi ${route.ssid} não está conectada`);
+    }
+    const ifaceName = route.iface;
+
+    const interfaces = await si.networkInterfaces();
+    const iface = interfaces.find(candidate => candidate.iface === ifaceName);
+    const localAddress = iface && (family === 6 ? this.globalIpv6(iface.iface) : iface.ip4);
+    if (!iface || iface.operstate !== 'up' || !localAddress) {
+      throw new Error(`Interface ${ifaceName} sem endereço IPv${family} ativo`);
+    }
+
+    return { iface: iface.iface, family, localAddress, mtu: iface.mtu || null };
+  }
+
+  // Medir todos os alvos do catálogo e agregar as métricas pelo peso de cada alvo
+  async sampleTargets(binding) {
+    const results = await probeTargets.measureAll(binding, this.burst);
+    const targets = results.map(result => ({
+      ...result,
+      metrics: result.sample ? qualityMetrics.summarize(result.sample) : null
+    }));
+
+    const measured = targets.filter(target => target.metrics);
+    if (measured.length === 0) {
+      throw new Error(`Nenhum alvo de medição respondeu (${targets.map(target => target.error).join('; ')})`);
     }
+
+    const metrics = qualityMetrics.aggregate(targets);
+    if (!metrics) {
+      throw new Error('Todos os alvos medidos têm peso zero');
+    }
+
+    return {
+      metrics,
+      targets: targets.map(({ id, type, target, weight, metrics: result, error }) => ({
+        id,
+        type,
+        target,
+        weight,
+        ...(result
+          ? { latency: result.latency, packetLoss: result.packetLoss, p95: result.p95, received: result.received, sent: result.sent }
+          : { error })
+      }))
+    };
   }
 
-  // Medir estabilidade
-  async measureStability(route) {
-    try {
-      const samples = [];
-      const target = route.gateway || '8.8.8.8';
-      
-      // Fazer 5 pings para medir estabilidade
-      for (let i = 0; i < 5; i++) {
-        const result = await ping.promise.probe(target, {
-          timeout: 2,
-          extra: ['-c', '1']
+  // Disparar traceroute e teste de banda vencidos sem segurar o ciclo
+  scheduleBackground(route, metrics) {
+    if (!metrics || metrics.error || !metrics.binding) return;
+    if (this.needsTrace(route, metrics)) {
+      this.refreshTrace(route, metrics);
+    }
+    if (this.throughputAuto && !this.cachedThroughput(route, metrics.binding.family)) {
+      this.refreshThroughput(route, metrics.binding).catch(() => {});
+    }
+  }
+
+  // Resultado do teste de banda ainda válido para a rota/família, ou null
+  cachedThroughput(route, family) {
+    const cached = this.throughputCache.get(`${route.id}|${family}`);
+    if (cached && Date.now() - cached.timestamp < this.throughputCacheTimeout) {
+      return cached.data;
+    }
+    return null;
+  }
+
+  // Medir a banda da rota agora (pedido do usuário), na família preferida
+  async measureRouteThroughput(route, family = null) {
+    const binding = await this.bindingFor(route, family || (route.metrics && route.metrics.preferredFamily) || 4);
+    return this.refreshThroughput(route, binding);
+  }
+
+  // Testar a banda e guardar o resultado; pedidos repetidos da mesma rota e
+  // família aguardam o teste em andamento
+  refreshThroughput(route, binding) {
+    const key = `${route.id}|${binding.family}`;
+    if (this.throughputRunning.has(key)) {
+      return this.throughputRunning.get(key);
+    }
+
+    const run = this.measureThroughput(route, binding)
+      .then((result) => {
+        const data = { ...result, measuredAt: new Date() };
+        this.throughputCache.set(key, { data, timestamp: Date.now() });
+        // Atualizar a análise em cache para o resultado aparecer já no próximo envio
+        const cached = this.cache.get(route.id);
+        if (cached && cached.data.binding && cached.data.binding.family === binding.family) {
+          cached.data.throughput = data.download;
+          cached.data.uploadThroughput = data.upload;
+          cached.data.throughputMeasuredAt = data.measuredAt;
+        }
+        return data;
+      })
+      .finally(() => this.throughputRunning.delete(key));
+    this.throughputRunning.set(key, run);
+    return run;
+  }
+
+  // Medir throughput com download/upload reais (Mbps); um teste por vez, já que
+  // testes simultâneos disputariam a mesma banda
+  async measureThroughput(route, binding) {
+    const run = this.throughputQueue.catch(() => {}).then(async () => {
+      try {
+        const result = await throughputTest.run({
+          ...this.throughputOptions,
+          localAddress: binding.localAddress,
+          family: binding.family
         });
+        return {
+          download: result.download ? result.download.mbps : 0,
+          upload: result.upload ? result.upload.mbps : 0
+        };
         
-        if (result.alive) {
-          samples.push(parseFloat(result.time));
-        } else {
-          samples.push(999);
+      } catch (error) {
+        console.error(`Erro ao medir throughput em ${route.name}:`, error.message);
+        throw error;
+      }
+    });
+    this.throughputQueue = run;
+    return run;
+  }
+
+  // Endpoint WireGuard (primeiro peer com endpoint) do perfil informado ou do
+  // ativo, resolvido na família da medição
+  async mtuDestination(profileId = null, family = 4) {
+    const profile = profileId ? profileStore.getProfile(profileId) : profileStore.getActiveProfile();
+    const peer = profile && profile.peers.find(candidate => candidate.endpoint);
+    if (!peer) return null;
+    const resolved = await wgHandshake.resolveEndpoint(peer.endpoint, family);
+    if (resolved.family !== family) return null;
+    return { endpoint: peer.endpoint, address: resolved.address, family };
+  }
+
+  // Enviar um único ping com DF ligado e `payload` bytes de dados
+  async pingDontFragment(destination, binding, payload) {
+    const dontFragment = {
+      linux: ['-M', 'do', '-I', binding.iface],
+      darwin: ['-D', '-S', binding.localAddress],
+      win32: ['-f', '-S', binding.localAddress]
+    }[process.platform] || ['-S', binding.localAddress];
+
+    const result = await ping.promise.probe(destination.address, {
+      v6: destination.family === 6,
+      packetSize: payload,
+      min_reply: 1,
+      timeout: 1,
+      extra: dontFragment
+    });
+    return result.alive;
+  }
+
+  // Path MTU até o endpoint WireGuard pela rota: busca binária do maior ping que
+  // passa com DF (Don't Fragment). O MTU do túnel desconta o overhead do WireGuard
+  // (IP + UDP + 32 bytes de cabeçalho/tag: 60 em IPv4, 80 em IPv6).
+  async discoverPathMtu(route, binding, options = {}) {
+    try {
+      const destination = await this.mtuDestination(options.profileId, binding.family);
+      if (!destination) {
+        return null;
+      }
+
+      const key = `${route.id}|${destination.address}`;
+      const cached = this.mtuCache.get(key);
+      if (cached && Date.now() - cached.timestamp < this.mtuCacheTimeout) {
+        return cached.data;
+      }
+
+      // Cabeçalhos IP + ICMP somados ao payload do ping
+      const headers = destination.family === 6 ? 48 : 28;
+      const overhead = destination.family === 6 ? 80 : 60;
+      const minimum = destination.family === 6 ? 1280 : 576;
+
+      let low = minimum - headers;
+      let high = (binding.mtu || 1500) - headers;
+      if (!(await this.pingDontFragment(destination, binding, low))) {
+        throw new Error(`Endpoint ${destination.endpoint} não responde a ping`);
+      }
+
+      // Invariante: `low` passa; procurar o maior tamanho que passa até `high`
+      if (await this.pingDontFragment(destination, binding, high)) {
+        low = high;
+      } else {
+        high -= 1;
+        while (low < high) {
+          const middle = Math.ceil((low + high) / 2);
+          if (await this.pingDontFragment(destination, binding, middle)) {
+            low = middle;
+          } else {
+            high = middle - 1;
+          }
         }
-        
-        await new Promise(resolve => setTimeout(resolve, 200));
       }
-      
-      const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
-      const variance = samples.reduce((sum, time) => sum + Math.pow(time - avg, 2), 0) / samples.length;
-      const stability = Math.max(0, 1 - (variance / avg));
-      
-      return Math.min(1, stability);
-      
+
+      const pathMtu = low + headers;
+      const data = {
+        endpoint: destination.endpoint,
+        pathMtu,
+        tunnelMtu: Math.max(pathMtu - overhead, 576)
+      };
+      this.mtuCache.set(key, { data, timestamp: Date.now() });
+      console.log(`Path MTU via ${route.name} até ${destination.endpoint}: ${pathMtu} (túnel ${data.tunnelMtu})`);
+      return data;
     } catch (error) {
-      console.error('Erro ao medir estabilidade:', error);
-      return 0;
+      console.error(`Erro ao descobrir path MTU em ${route.name}:`, error.message);
+      return null;
     }
   }
 
-  // Medir perda de pacotes
-  async measurePacketLoss(route) {
+  // MTU do túnel para conectar pela rota (null mantém o padrão do WireGuard)
+  async tunnelMtuFor(route, options = {}) {
     try {
-      const target = route.gateway || '8.8.8.8';
-      const result = await ping.promise.probe(target, {
-        timeout: 3,
-        extra: ['-c', '10']
-      });
-      
-      return result.alive ? 0 : 1;
-      
+      const family = options.family || (route.metrics && route.metrics.preferredFamily) || 4;
+      const binding = await this.bindingFor(route, family);
+      const result = await this.discoverPathMtu(route, binding, options);
+      return result ? result.tunnelMtu : null;
     } catch (error) {
-      console.error('Erro ao medir perda de pacotes:', error);
-      return 1;
+      console.error(`Erro ao obter MTU do túnel para ${route.name}:`, error.message);
+      return null;
     }
   }
 
-  // Medir jitter
-  async measureJitter(route) {
+  // Destino do traceroute: o endpoint WireGuard (caminho real do túnel) ou o
+  // primeiro alvo de medição com host
+  async traceDestination(family = 4) {
+    const destination = await this.mtuDestination(null, family).catch(() => null);
+    if (destination) return destination.address;
+    const target = probeTargets.getTargets().find(candidate => candidate.host && probeTargets.targetFamily(candidate) === family);
+    return target ? target.host : (family === 6 ? '2001:4860:4860::8888' : '8.8.8.8');
+  }
+
+  // Traçar de novo quando o último traçado venceu ou quando latência/perda
+  // mudaram bastante desde ele
+  needsTrace(route, metrics) {
+    if (this.tracing.has(route.id)) return false;
+    const attemptedAt = this.traceAttempts.get(route.id);
+    if (!attemptedAt || Date.now() - attemptedAt >= this.traceInterval) return true;
+    if (Date.now() - attemptedAt < this.traceMinGap) return false;
+
+    const previous = this.paths.get(route.id);
+    const baseline = previous && previous.baseline;
+    if (!baseline || !Number.isFinite(metrics.latency) || !Number.isFinite(baseline.latency)) return false;
+    return Math.abs(metrics.latency - baseline.latency) > Math.max(10, baseline.latency * 0.3) ||
+      Math.abs(metrics.packetLoss - baseline.packetLoss) > 0.05;
+  }
+
+  // Traçar em segundo plano e atualizar a análise em cache com o caminho novo
+  refreshTrace(route, metrics) {
+    this.tracing.add(route.id);
+    this.traceAttempts.set(route.id, Date.now());
+    this.traceRoute(route, metrics.binding, { latency: metrics.latency, packetLoss: metrics.packetLoss })
+      .then((path) => {
+        const cached = this.cache.get(route.id);
+        if (path && cached) {
+          cached.data.path = path;
+        }
+      })
+      .finally(() => this.tracing.delete(route.id));
+  }
+
+  // Traçar o caminho da rota salto a salto (RTT e perda por salto) e comparar
+  // com o traçado anterior. `baseline` guarda latência/perda da rota no momento
+  // do traçado, para decidir quando traçar de novo.
+  async traceRoute(route, binding, baseline = null) {
     try {
-      const samples = [];
-      const target = route.gateway || '8.8.8.8';
-      
-      for (let i = 0; i < 10; i++) {
-        const result = await ping.promise.probe(target, {
-          timeout: 1,
-          extra: ['-c', '1']
+      const target = await this.traceDestination(binding.family);
+      const { queries, maxHops, wait } = this.traceOptions;
+      const command = traceroute.buildCommand(target, binding, this.traceOptions);
+      // traceroute sai com erro quando o destino não responde, mas a saída ainda vale
+      const { stdout } = await execAsync(command, { timeout: (maxHops * wait * queries + 5) * 1000 })
+        .catch(error => {
+          if (!error.stdout) throw error;
+          return { stdout: error.stdout };
         });
-        
-        if (result.alive) {
-          samples.push(parseFloat(result.time));
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 100));
+
+      const hops = traceroute.parseOutput(stdout, { queries });
+      if (hops.length === 0) {
+        throw new Error('traceroute não retornou saltos');
       }
-      
-      if (samples.length < 2) return 0;
-      
-      let jitter = 0;
-      for (let i = 1; i < samples.length; i++) {
-        jitter += Math.abs(samples[i] - samples[i-1]);
+
+      const previous = this.paths.get(route.id);
+      const change = previous && previous.target === target
+        ? traceroute.comparePaths(previous.hops, hops)
+        : null;
+      if (change) {
+        console.log(`Caminho da rota ${route.name} mudou no salto ${change.hop}: ${change.from} -> ${change.to}`);
       }
-      
-      return jitter / (samples.length - 1);
-      
+
+      const path = {
+        target,
+        hops,
+        tracedAt: new Date(),
+        change,
+        lastChange: change ? { ...change, at: new Date() } : (previous ? previous.lastChange : null),
+        baseline
+      };
+      this.paths.set(route.id, path);
+      return path;
     } catch (error) {
-      console.error('Erro ao medir jitter:', error);
-      return 0;
+      console.error(`Erro ao traçar caminho da rota ${route.name}:`, error.message);
+      return null;
     }
   }
 
@@ -268,70 +631,22 @@ class NetworkProbe {
     }
   }
 
-  // Obter rotas do sistema
-  async getSystemRoutes() {
+  // Conexões WiFi ativas (SSID e interface)
+  async getWifiConnections() {
     try {
-      let command;
-      let parseFunction;
-      
-      if (process.platform === 'win32') {
-        command = 'route print';
-        parseFunction = this.parseWindowsRoutes;
-      } else {
-        command = 'ip route show';
-        parseFunction = this.parseLinuxRoutes;
-      }
-      
-      const { stdout } = await execAsync(command);
-      return parseFunction(stdout);
+      wifi.init({ iface: null });
+      return await wifi.getCurrentConnections();
       
     } catch (error) {
-      console.error('Erro ao obter rotas do sistema:', error);
+      console.error('Erro ao obter conexões WiFi:', error);
       return [];
     }
   }
 
-  // Parsear rotas do Windows
-  parseWindowsRoutes(output) {
-    const routes = [];
-    const lines = output.split('\n');
-    
-    for (const line of lines) {
-      if (line.includes('0.0.0.0') && line.includes('Gateway')) {
-        const parts = line.trim().split(/\s+/);
-        if (parts.length >= 3) {
-          routes.push({
-            destination: '0.0.0.0/0',
-            gateway: parts[2],
-            iface: parts[3] || 'Unknown'
-          });
-        }
-      }
-    }
-    
-    return routes;
-  }
-
-  // Parsear rotas do Linux
-  parseLinuxRoutes(output) {
-    const routes = [];
-    const lines = output.split('\n');
-    
-    for (const line of lines) {
-      if (line.includes('default')) {
-        const parts = line.trim().split(/\s+/);
-        const gateway = parts[2];
-        const iface = parts[4];
-        
-        routes.push({
-          destination: '0.0.0.0/0',
-          gateway: gateway,
-          iface: iface
-        });
-      }
-    }
-    
-    return routes;
+  // Obter rotas default do sistema (IPv4 e IPv6) pelas regras de roteamento,
+  // sem contar os túneis do próprio app
+  async getSystemRoutes() {
+    return routeTable.getDefaultRoutes({ excludeIfaces: [...wgController.tunnels.keys()] });
   }
 
   // Obter estatísticas gerais da rede
@@ -0,0 +1,437 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const net = require('net');
+const wgConfig = require('./wg-config');
+const splitTunnel = require('./split-tunnel');
+const dnsStub = require('./dns-stub');
+const secretStore = require('./secret-store');
+
+// Prefixo DER PKCS#8 para chaves privadas X25519 brutas (32 bytes)
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+// Correspondência entre campos do wg-quick e campos do perfil
+const IFACE_FIELD_MAP = {
+  PrivateKey: 'privateKey',
+  Address: 'address',
+  DNS: 'dns',
+  MTU: 'mtu',
+  ListenPort: 'listenPort',
+  Table: 'table',
+  FwMark: 'fwMark',
+  PreUp: 'preUp',
+  PostUp: 'postUp',
+  PreDown: 'preDown',
+  PostDown: 'postDown',
+  SaveConfig: 'saveConfig'
+};
+
+const PEER_FIELD_MAP = {
+  PublicKey: 'publicKey',
+  PresharedKey: 'presharedKey',
+  Endpoint: 'endpoint',
+  AllowedIPs: 'allowedIPs',
+  PersistentKeepalive: 'persistentKeepalive'
+};
+
+const LIST_FIELDS = ['address', 'dns', 'allowedIPs', 'preUp', 'postUp', 'preDown', 'postDown'];
+
+// Valor que o renderer recebe no lugar de segredos já gravados (toPublic)
+const SECRET_MASK = '(definida)';
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+class ProfileStore {
+  constructor() {
+    this.basePath = path.join(os.homedir(), '.hiraishin');
+    this.storeFile = path.join(this.basePath, 'profiles.json');
+    this.data = null;
+  }
+
+  // Carregar perfis do disco
+  load() {
+    if (this.data) return this.data;
+
+    if (!fs.existsSync(this.basePath)) {
+      fs.mkdirSync(this.basePath, { recursive: true, mode: 0o700 });
+    }
+
+    if (fs.existsSync(this.storeFile)) {
+      try {
+        this.data = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Arquivo de perfis corrompido (${this.storeFile}): ${error.message}`);
+      }
+    } else {
+      this.data = { version: 1, identity: null, activeProfileId: null, profiles: [] };
+    }
+
+    this.data.profiles = this.data.profiles || [];
+    if (secretStore.isUnlocked()) {
+      this.sealPlaintextSecrets();
+    }
+    return this.data;
+  }
+
+  // Cifrar segredos ainda gravados em texto puro (perfis de versões anteriores)
+  sealPlaintextSecrets() {
+    const data = this.load();
+    let changed = false;
+    const sealField = (owner, field) => {
+      if (owner && owner[field] && !secretStore.isSealed(owner[field])) {
+        owner[field] = secretStore.seal(owner[field]);
+        changed = true;
+      }
+    };
+
+    sealField(data.identity, 'privateKey');
+    for (const profile of data.profiles) {
+      sealField(profile.iface, 'privateKey');
+      for (const peer of profile.peers || []) {
+        sealField(peer, 'presharedKey');
+      }
+    }
+
+    if (changed) {
+      this.save();
+      console.log('Segredos dos perfis cifrados em disco');
+    }
+    return changed;
+  }
+
+  // Validar um segredo novo e cifrá-lo; valores já cifrados são mantidos
+  sealKey(key, field) {
+    if (secretStore.isSealed(key)) return key;
+    this.assertKey(key, field);
+    return secretStore.seal(key);
+  }
+
+  // Salvar perfis no disco (somente leitura/escrita do usuário)
+  save() {
+    const tmpFile = `${this.storeFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, this.storeFile);
+  }
+
+  // Obter identidade da interface, gerando o par de chaves na primeira vez
+  getIdentity() {
+    const data = this.load();
+    if (!data.identity || !data.identity.privateKey) {
+      const keyPair = this.generateKeyPair();
+      data.identity = {
+        privateKey: secretStore.seal(keyPair.privateKey),
+        publicKey: keyPair.publicKey,
+        createdAt: new Date().toISOString()
+      };
+      this.save();
+      console.log('Nova identidade WireGuard gerada');
+    }
+    return { ...data.identity, privateKey: secretStore.reveal(data.identity.privateKey) };
+  }
+
+  // Chave pública da interface (não exige o cofre desbloqueado se já existir)
+  getPublicKey() {
+    const data = this.load();
+    return data.identity && data.identity.publicKey ? data.identity.publicKey : this.getIdentity().publicKey;
+  }
+
+  // Substituir a chave privada da interface (ex.: importada de outro cliente)
+  setIdentity(privateKey) {
+    this.assertKey(privateKey, 'PrivateKey');
+    const data = this.load();
+    data.identity = {
+      privateKey: secretStore.seal(privateKey),
+      publicKey: this.derivePublicKey(privateKey),
+      createdAt: new Date().toISOString()
+    };
+    this.save();
+    return { ...data.identity, privateKey };
+  }
+
+  // Gerar par de chaves Curve25519 no formato do WireGuard
+  generateKeyPair() {
+    const raw = crypto.randomBytes(32);
+    // Clamping igual ao `wg genkey`
+    raw[0] &= 248;
+    raw[31] = (raw[31] & 127) | 64;
+    const privateKey = raw.toString('base64');
+    return { privateKey, publicKey: this.derivePublicKey(privateKey) };
+  }
+
+  // Derivar chave pública a partir da chave privada (equivalente a `wg pubkey`)
+  derivePublicKey(privateKey) {
+    this.assertKey(privateKey, 'PrivateKey');
+    const keyObject = crypto.createPrivateKey({
+      key: Buffer.concat([X25519_PKCS8_PREFIX, Buffer.from(privateKey, 'base64')]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    const spki = crypto.createPublicKey(keyObject).export({ format: 'der', type: 'spki' });
+    return spki.subarray(spki.length - 32).toString('base64');
+  }
+
+  // Gerar chave pré-compartilhada (equivalente a `wg genpsk`)
+  generatePresharedKey() {
+    return crypto.randomBytes(32).toString('base64');
+  }
+
+  assertKey(key, field) {
+    if (typeof key !== 'string' || !wgConfig.isValidKey(key)) {
+      throw new Error(`${field} inválida: esperado 32 bytes em base64`);
+    }
+  }
+
+  // Validar e normalizar os campos de interface do perfil
+  normalizeIface(iface = {}) {
+    const normalized = {};
+    for (const field of Object.values(IFACE_FIELD_MAP)) {
+      if (iface[field] === undefined || iface[field] === null || iface[field] === '') continue;
+      normalized[field] = LIST_FIELDS.includes(field) ? toList(iface[field]) : iface[field];
+    }
+    if (normalized.privateKey) {
+      normalized.privateKey = this.sealKey(normalized.privateKey, 'Interface: PrivateKey');
+    }
+    const invalid = (normalized.address || []).find(address => !wgConfig.isValidCidr(address));
+    if (invalid) {
+      throw new Error(`Interface: endereço inválido: ${invalid}`);
+    }
+    return normalized;
+  }
+
+  // Validar e normalizar um peer
+  normalizePeer(peer, index) {
+    const label = `Peer ${index + 1}`;
+    if (!peer || typeof peer !== 'object') {
+      throw new Error(`${label}: definição inválida`);
+    }
+    this.assertKey(peer.publicKey, `${label}: PublicKey`);
+    const presharedKey = peer.presharedKey ? this.sealKey(peer.presharedKey, `${label}: PresharedKey`) : null;
+    if (peer.endpoint && !wgConfig.isValidEndpoint(peer.endpoint)) {
+      throw new Error(`${label}: Endpoint inválido (use host:porta)`);
+    }
+
+    const allowedIPs = toList(peer.allowedIPs);
+    const invalid = allowedIPs.find(ip => !wgConfig.isValidCidr(ip));
+    if (invalid) {
+      throw new Error(`${label}: AllowedIPs inválido: ${invalid}`);
+    }
+
+    return {
+      publicKey: peer.publicKey,
+      presharedKey,
+      endpoint: peer.endpoint || null,
+      allowedIPs,
+      persistentKeepalive: peer.persistentKeepalive === 'off'
+        ? 'off'
+        : peer.persistentKeepalive != null ? Number(peer.persistentKeepalive) : 25
+    };
+  }
+
+  // Validar configurações de DNS do perfil (plain, DoT ou DoH via stub local)
+  normalizeDnsSettings(settings = {}) {
+    const mode = settings.mode || 'plain';
+    if (!['plain', 'dot', 'doh'].includes(mode)) {
+      throw new Error(`Modo de DNS inválido: ${mode}`);
+    }
+
+    const servers = toList(settings.servers);
+    const invalidServer = servers.find(server => !net.isIP(server));
+    if (invalidServer) {
+      throw new Error(`Servidor DNS inválido: ${invalidServer}`);
+    }
+
+    const upstreams = toList(settings.upstreams);
+    for (const upstream of upstreams) {
+      const parsed = dnsStub.parseUpstream(upstream);
+      if (mode !== 'plain' && parsed.type !== mode) {
+        throw new Error(`Upstream ${upstream} não corresponde ao modo ${mode.toUpperCase()}`);
+      }
+    }
+    if (mode !== 'plain' && upstreams.length === 0) {
+      throw new Error(`Modo ${mode.toUpperCase()} requer ao menos um upstream`);
+    }
+
+    return { mode, servers, upstreams, blockOutside: settings.blockOutside !== false };
+  }
+
+  // Listar perfis de peer
+  listProfiles() {
+    return this.load().profiles;
+  }
+
+  // Obter perfil por id
+  getProfile(id) {
+    return this.load().profiles.find(profile => profile.id === id) || null;
+  }
+
+  // Obter perfil ativo (ou o primeiro cadastrado)
+  getActiveProfile() {
+    const data = this.load();
+    return this.getProfile(data.activeProfileId) || data.profiles[0] || null;
+  }
+
+  // Definir perfil ativo
+  setActiveProfile(id) {
+    if (!this.getProfile(id)) {
+      throw new Error(`Perfil não encontrado: ${id}`);
+    }
+    this.load().activeProfileId = id;
+    this.save();
+  }
+
+  // Segredos mascarados (SECRET_MASK) ou omitidos num perfil editado mantêm o
+  // valor selado gravado; null ou '' removem. Peers são casados pela PublicKey.
+  withStoredSecrets(profile) {
+    const existing = profile.id ? this.getProfile(profile.id) : null;
+    const keep = (value, stored) => (value === undefined || value === SECRET_MASK ? stored : value);
+    const iface = profile.iface || {};
+
+    return {
+      ...profile,
+      iface: { ...iface, privateKey: keep(iface.privateKey, existing ? existing.iface.privateKey : undefined) },
+      peers: profile.peers.map(peer => {
+        if (!peer || typeof peer !== 'object') return peer;
+        const stored = existing && existing.peers.find(candidate => candidate.publicKey === peer.publicKey);
+        return { ...peer, presharedKey: keep(peer.presharedKey, stored ? stored.presharedKey : null) };
+      })
+    };
+  }
+
+  // Criar ou atualizar perfil
+  saveProfile(input) {
+    if (!input || !input.name) {
+      throw new Error('Perfil precisa de um nome');
+    }
+    if (!Array.isArray(input.peers) || input.peers.length === 0) {
+      throw new Error('Perfil precisa de ao menos um peer');
+    }
+
+    const data = this.load();
+    const profile = this.withStoredSecrets(input);
+    const normalized = {
+      id: profile.id || crypto.randomUUID(),
+      name: profile.name,
+      iface: this.normalizeIface(profile.iface),
+      peers: profile.peers.map((peer, index) => this.normalizePeer(peer, index)),
+      splitTunnel: splitTunnel.normalizeRules(profile.splitTunnel),
+      dnsSettings: this.normalizeDnsSettings(profile.dnsSettings),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (!normalized.peers.some(peer => peer.endpoint)) {
+      throw new Error('Perfil precisa de ao menos um peer com Endpoint');
+    }
+
+    const index = data.profiles.findIndex(existing => existing.id === normalized.id);
+    if (index >= 0) {
+      data.profiles[index] = normalized;
+    } else {
+      data.profiles.push(normalized);
+    }
+    if (!data.activeProfileId) {
+      data.activeProfileId = normalized.id;
+    }
+
+    this.save();
+    return normalized;
+  }
+
+  // Atualizar regras de split tunneling de um perfil
+  updateSplitTunnel(id, rules) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      throw new Error(`Perfil não encontrado: ${id}`);
+    }
+    return this.saveProfile({ ...profile, splitTunnel: rules });
+  }
+
+  // Atualizar configurações de DNS de um perfil
+  updateDnsSettings(id, settings) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      throw new Error(`Perfil não encontrado: ${id}`);
+    }
+    return this.saveProfile({ ...profile, dnsSettings: settings });
+  }
+
+  // Remover perfil
+  removeProfile(id) {
+    const data = this.load();
+    data.profiles = data.profiles.filter(profile => profile.id !== id);
+    if (data.activeProfileId === id) {
+      data.activeProfileId = data.profiles[0] ? data.profiles[0].id : null;
+    }
+    this.save();
+  }
+
+  // Importar um arquivo .conf do wg-quick como novo perfil
+  importConfig(text, name) {
+    const parsed = wgConfig.parseConfig(text);
+
+    const iface = {};
+    for (const [key, field] of Object.entries(IFACE_FIELD_MAP)) {
+      if (parsed.iface[key] !== undefined) iface[field] = parsed.iface[key];
+    }
+
+    const peers = parsed.peers.map(peer => {
+      const mapped = { persistentKeepalive: 0 };
+      for (const [key, field] of Object.entries(PEER_FIELD_MAP)) {
+        if (peer[key] !== undefined) mapped[field] = peer[key];
+      }
+      return mapped;
+    });
+
+    const profile = this.saveProfile({ name, iface, peers });
+    console.log(`Configuração importada como perfil: ${profile.name}`);
+    return profile;
+  }
+
+  // Converter perfil para o modelo { iface, peers } do wg-config (segredos decifrados)
+  toConfigModel(profile) {
+    const config = { iface: {}, peers: [] };
+    for (const [key, field] of Object.entries(IFACE_FIELD_MAP)) {
+      if (profile.iface[field] !== undefined) config.iface[key] = profile.iface[field];
+    }
+    config.peers = profile.peers.map(peer => {
+      const mapped = {};
+      for (const [key, field] of Object.entries(PEER_FIELD_MAP)) {
+        if (peer[field] !== undefined && peer[field] !== null) mapped[key] = peer[field];
+      }
+      if (mapped.PresharedKey) mapped.PresharedKey = secretStore.reveal(mapped.PresharedKey);
+      return mapped;
+    });
+    if (config.iface.PrivateKey) config.iface.PrivateKey = secretStore.reveal(config.iface.PrivateKey);
+    return config;
+  }
+
+  // Exportar perfil como texto .conf
+  exportConfig(id) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      throw new Error(`Perfil não encontrado: ${id}`);
+    }
+    const config = this.toConfigModel(profile);
+    config.iface.PrivateKey = config.iface.PrivateKey || this.getIdentity().privateKey;
+    return wgConfig.formatConfig(config);
+  }
+
+  // Versão segura do perfil para o renderer (sem segredos)
+  toPublic(profile) {
+    return {
+      ...profile,
+      iface: { ...profile.iface, privateKey: profile.iface.privateKey ? SECRET_MASK : undefined },
+      peers: profile.peers.map(peer => ({
+        ...peer,
+        presharedKey: peer.presharedKey ? SECRET_MASK : null
+      }))
+    };
+  }
+}
+
+module.exports = new ProfileStore();
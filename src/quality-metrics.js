@@ -0,0 +1,142 @@
+// Estatísticas de qualidade de rota a partir das amostras de RTT (ms)
+
+// Percentil com interpolação linear entre as amostras ordenadas
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Jitter entre chegadas da RFC 3550 (seção 6.4.1): J += (|D| - J) / 16.
+// Com pings enviados em intervalo fixo, D é a diferença entre RTTs consecutivos.
+function rfc3550Jitter(times) {
+  let jitter = 0;
+  for (let i = 1; i < times.length; i++) {
+    jitter += (Math.abs(times[i] - times[i - 1]) - jitter) / 16;
+  }
+  return jitter;
+}
+
+// Fator R simplificado do E-model (ITU-T G.107), como usado em monitores de VoIP
+function estimateRFactor({ latency, jitter, packetLoss }) {
+  const effectiveLatency = latency + jitter * 2 + 10;
+  const delayImpairment = effectiveLatency < 160
+    ? effectiveLatency / 40
+    : (effectiveLatency - 120) / 10;
+  const r = 93.2 - delayImpairment - packetLoss * 100 * 2.5;
+  return Math.max(0, Math.min(100, r));
+}
+
+// Converter fator R em MOS (1 a 4.5)
+function rFactorToMos(r) {
+  if (r <= 0) return 1;
+  if (r >= 100) return 4.5;
+  return Math.min(4.5, 1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r));
+}
+
+// Resumo completo de uma rajada: `sent` pacotes enviados, `times` RTTs recebidos
+function summarize({ sent, times }) {
+  const received = times.length;
+  const packetLoss = sent > 0 ? Math.max(0, 1 - received / sent) : 1;
+
+  if (received === 0) {
+    return {
+      sent,
+      received,
+      samples: [],
+      packetLoss: 1,
+      latency: 999,
+      min: null,
+      max: null,
+      p50: null,
+      p95: null,
+      p99: null,
+      jitter: 0,
+      stability: 0,
+      rFactor: 0,
+      mos: 1
+    };
+  }
+
+  const avg = times.reduce((a, b) => a + b, 0) / received;
+  const stddev = Math.sqrt(times.reduce((sum, time) => sum + Math.pow(time - avg, 2), 0) / received);
+  const jitter = rfc3550Jitter(times);
+  const rFactor = estimateRFactor({ latency: avg, jitter, packetLoss });
+
+  return {
+    sent,
+    received,
+    samples: times,
+    packetLoss,
+    latency: avg,
+    min: Math.min(...times),
+    max: Math.max(...times),
+    p50: percentile(times, 50),
+    p95: percentile(times, 95),
+    p99: percentile(times, 99),
+    jitter,
+    // Estabilidade cai com a variação relativa dos RTTs e com a perda
+    stability: Math.min(1, Math.max(0, 1 - stddev / avg)) * (1 - packetLoss),
+    rFactor,
+    mos: rFactorToMos(rFactor)
+  };
+}
+
+// Agregar as métricas de vários alvos pelo peso de cada um. Latências vêm só
+// dos alvos que responderam; perda e estabilidade contam todos os alvos.
+function aggregate(entries) {
+  const weighted = entries.filter(entry => entry.weight > 0 && entry.metrics);
+  if (weighted.length === 0) return null;
+
+  const mean = (list, field) => {
+    let sum = 0;
+    let weights = 0;
+    for (const entry of list) {
+      if (entry.metrics[field] === null || entry.metrics[field] === undefined) continue;
+      sum += entry.metrics[field] * entry.weight;
+      weights += entry.weight;
+    }
+    return weights > 0 ? sum / weights : null;
+  };
+
+  const sent = weighted.reduce((total, entry) => total + entry.metrics.sent, 0);
+  const received = weighted.reduce((total, entry) => total + entry.metrics.received, 0);
+  const packetLoss = mean(weighted, 'packetLoss');
+  const responsive = weighted.filter(entry => entry.metrics.received > 0);
+
+  if (responsive.length === 0) {
+    return { ...summarize({ sent, times: [] }), received };
+  }
+
+  const latency = mean(responsive, 'latency');
+  const jitter = mean(responsive, 'jitter');
+  const rFactor = estimateRFactor({ latency, jitter, packetLoss });
+
+  return {
+    sent,
+    received,
+    packetLoss,
+    latency,
+    min: mean(responsive, 'min'),
+    max: mean(responsive, 'max'),
+    p50: mean(responsive, 'p50'),
+    p95: mean(responsive, 'p95'),
+    p99: mean(responsive, 'p99'),
+    jitter,
+    stability: mean(weighted, 'stability'),
+    rFactor,
+    mos: rFactorToMos(rFactor)
+  };
+}
+
+module.exports = {
+  aggregate,
+  percentile,
+  rfc3550Jitter,
+  estimateRFactor,
+  rFactorToMos,
+  summarize
+};
@@ -1,12 +1,22 @@
 const { ipcRenderer } = require('electron');
+const routeScorer = require('./route-score');
 
 class HiraishinRenderer {
   constructor() {
     this.isAnalyzing = false;
     this.isConnected = false;
     this.routes = [];
+    this.nearbyNetworks = [];
+    this.scoringProfile = null;
     this.currentRoute = null;
+    this.tunnels = [];
     this.networkStats = null;
+    // Rotas com a visão de saltos expandida (mantida entre atualizações)
+    this.expandedPaths = new Set();
+    // Configurações persistentes e o esquema que monta a página de configurações
+    this.settings = null;
+    this.settingsSchema = null;
+    this.statsTimer = null;
     
     this.initializeUI();
     this.setupEventListeners();
@@ -22,10 +32,28 @@ class HiraishinRenderer {
       analyzeBtn: document.getElementById('analyze-btn'),
       connectBtn: document.getElementById('connect-btn'),
       disconnectBtn: document.getElementById('disconnect-btn'),
+      dnsLeakBtn: document.getElementById('dns-leak-btn'),
       routesList: document.getElementById('routes-list'),
+      tunnelsList: document.getElementById('tunnels-list'),
+      nearbyList: document.getElementById('nearby-list'),
+      scoringProfileSelect: document.getElementById('scoring-profile-select'),
       networkStats: document.getElementById('network-stats'),
       progressBar: document.getElementById('progress-bar'),
-      logOutput: document.getElementById('log-output')
+      logOutput: document.getElementById('log-output'),
+      killSwitchStatus: document.getElementById('killswitch-status'),
+      killSwitchToggle: document.getElementById('killswitch-toggle'),
+      killSwitchLanToggle: document.getElementById('killswitch-lan-toggle'),
+      failoverToggle: document.getElementById('failover-toggle'),
+      failoverSuspended: document.getElementById('failover-suspended'),
+      settingsLink: document.getElementById('settings-link'),
+      settingsSection: document.getElementById('settings-section'),
+      settingsForm: document.getElementById('settings-form'),
+      settingsSaveBtn: document.getElementById('settings-save-btn'),
+      settingsResetBtn: document.getElementById('settings-reset-btn'),
+      secretsPanel: document.getElementById('secrets-panel'),
+      secretsMessage: document.getElementById('secrets-message'),
+      secretsPassphrase: document.getElementById('secrets-passphrase'),
+      secretsUnlockBtn: document.getElementById('secrets-unlock-btn')
     };
 
     // Atualizar estado inicial
@@ -54,15 +82,102 @@ class HiraishinRenderer {
       this.disconnect();
     });
 
+    // Perfil de score (reordena as rotas no processo principal)
+    this.elements.scoringProfileSelect.addEventListener('change', (event) => {
+      this.setScoringProfile(event.target.value);
+    });
+
+    // Conectar/desconectar túneis individuais (botões criados dinamicamente)
+    this.elements.routesList.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-connect-route]');
+      if (button) {
+        this.connectToRoute(button.dataset.connectRoute);
+        return;
+      }
+      const toggle = event.target.closest('[data-toggle-path]');
+      if (toggle) {
+        this.togglePath(toggle.dataset.togglePath);
+        return;
+      }
+      const measure = event.target.closest('[data-measure-throughput]');
+      if (measure) {
+        this.measureThroughput(measure.dataset.measureThroughput);
+      }
+    });
+    this.elements.tunnelsList.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-disconnect-tunnel]');
+      if (button) {
+        this.disconnect(button.dataset.disconnectTunnel);
+      }
+    });
+
+    // Botão de teste de vazamento DNS
+    this.elements.dnsLeakBtn.addEventListener('click', () => {
+      this.runDnsLeakTest();
+    });
+
+    // Opções do kill switch
+    this.elements.killSwitchToggle.addEventListener('change', () => {
+      this.setKillSwitch();
+    });
+    this.elements.killSwitchLanToggle.addEventListener('change', () => {
+      this.setKillSwitch();
+    });
+
+    // Failover automático entre rotas
+    this.elements.failoverToggle.addEventListener('change', () => {
+      this.setFailover();
+    });
+
+    // Desbloqueio do cofre de chaves
+    this.elements.secretsUnlockBtn.addEventListener('click', () => {
+      this.unlockSecrets();
+    });
+    this.elements.secretsPassphrase.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') this.unlockSecrets();
+    });
+
     // IPC listeners
     ipcRenderer.on('network-update', (event, data) => {
       this.handleNetworkUpdate(data);
     });
 
-    // Atualizar dados a cada 2 segundos
-    setInterval(() => {
+    ipcRenderer.on('tunnel-health', (event, data) => {
+      this.handleTunnelHealth(data);
+    });
+
+    ipcRenderer.on('route-failover', (event, data) => {
+      this.handleRouteFailover(data);
+    });
+
+    // Página de configurações
+    this.elements.settingsLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      this.toggleSettings();
+    });
+    this.elements.settingsSaveBtn.addEventListener('click', () => {
+      this.saveSettings();
+    });
+    this.elements.settingsResetBtn.addEventListener('click', () => {
+      this.resetSettings();
+    });
+
+    ipcRenderer.on('settings-update', (event, settings) => {
+      this.handleSettingsUpdate(settings);
+    });
+
+    // Atualizar estatísticas no intervalo padrão até as configurações chegarem
+    this.startStatsPolling(2000);
+  }
+
+  // (Re)iniciar a atualização periódica das estatísticas
+  startStatsPolling(interval) {
+    if (this.statsTimer) {
+      clearInterval(this.statsTimer);
+    }
+    this.statsTimer = setInterval(() => {
       this.updateNetworkStats();
-    }, 2000);
+    }, interval);
   }
 
   // Carregar dados iniciais
@@ -71,11 +186,25 @@ class HiraishinRenderer {
       const status = await ipcRenderer.invoke('get-status');
       this.updateConnectionStatus(status.isConnected);
       this.routes = status.routes || [];
+      this.nearbyNetworks = status.nearbyNetworks || [];
+      this.scoringProfile = status.scoringProfile || null;
       this.currentRoute = status.currentRoute;
+      this.tunnels = status.tunnels || [];
+      this.updateKillSwitchStatus(status.killSwitch);
+      this.updateFailoverStatus(status.failover);
       
+      this.updateTunnelsList();
       this.updateRoutesList();
+      this.updateNearbyList();
+      await this.loadScoringProfiles();
+      await this.loadSettings();
       this.updateNetworkStats();
       
+      const secrets = await ipcRenderer.invoke('get-secrets-status');
+      if (secrets.success) {
+        this.updateSecretsStatus(secrets.secrets);
+      }
+      
     } catch (error) {
       console.error('Erro ao carregar dados iniciais:', error);
       this.showError('Erro ao carregar dados iniciais');
@@ -151,19 +280,57 @@ class HiraishinRenderer {
     }
   }
 
-  // Desconectar
-  async disconnect() {
+  // Teste de banda sob demanda (baixa/envia dados de verdade)
+  async measureThroughput(routeId) {
+    try {
+      this.showProgress('Medindo banda...');
+
+      const result = await ipcRenderer.invoke('measure-throughput', { routeId });
+
+      if (result.success) {
+        const { download, upload } = result.throughput;
+        this.showSuccess(`Banda de ${result.route.name}: ${download.toFixed(1)} / ${upload.toFixed(1)} Mbps`);
+        this.logMessage(`Banda de ${result.route.name}: download ${download.toFixed(1)} Mbps, upload ${upload.toFixed(1)} Mbps`);
+      } else {
+        this.showError(`Erro ao medir banda: ${result.message}`);
+      }
+
+    } catch (error) {
+      console.error('Erro ao medir banda:', error);
+      this.showError('Erro ao medir banda');
+    }
+  }
+
+  // Abrir um túnel adicional para uma rota específica
+  async connectToRoute(routeId) {
+    try {
+      this.showProgress('Conectando túnel...');
+      
+      const result = await ipcRenderer.invoke('connect-route', { routeId });
+      
+      if (result.success) {
+        this.showSuccess(`Túnel ${result.tunnel.name} conectado à rota: ${result.route.name}`);
+        this.logMessage(`Túnel ${result.tunnel.name} conectado à rota: ${result.route.name}`);
+      } else {
+        this.showError(`Erro ao conectar: ${result.message}`);
+      }
+      
+    } catch (error) {
+      console.error('Erro ao conectar túnel:', error);
+      this.showError('Erro ao conectar túnel');
+    }
+  }
+
+  // Desconectar um túnel pelo nome, ou todos
+  async disconnect(name = null) {
     try {
       this.showProgress('Desconectando...');
       
-      const result = await ipcRenderer.invoke('disconnect');
+      const result = await ipcRenderer.invoke('disconnect', name);
       
       if (result.success) {
-        this.isConnected = false;
-        this.currentRoute = null;
-        this.updateConnectionStatus(false);
         this.showSuccess('Desconectado com sucesso');
-        this.logMessage('Desconectado da VPN');
+        this.logMessage(name ? `Túnel ${name} desconectado` : 'Desconectado da VPN');
       } else {
         this.showError(`Erro ao desconectar: ${result.message}`);
       }
@@ -174,6 +341,66 @@ class HiraishinRenderer {
     }
   }
 
+  // Desbloquear (ou criar, na primeira vez) o cofre de chaves com a senha digitada
+  async unlockSecrets() {
+    try {
+      const result = await ipcRenderer.invoke('unlock-secrets', this.elements.secretsPassphrase.value);
+      this.elements.secretsPassphrase.value = '';
+      
+      if (result.success) {
+        this.updateSecretsStatus(result.secrets);
+        this.showSuccess('Cofre de chaves desbloqueado');
+        this.logMessage('Cofre de chaves desbloqueado');
+      } else {
+        this.showError(result.message);
+      }
+      
+    } catch (error) {
+      console.error('Erro ao desbloquear cofre:', error);
+      this.showError('Erro ao desbloquear cofre de chaves');
+    }
+  }
+
+  // Mostrar o pedido de senha enquanto o cofre estiver bloqueado
+  updateSecretsStatus(status) {
+    this.elements.secretsPanel.style.display = status.unlocked ? 'none' : 'flex';
+    this.elements.secretsMessage.textContent = status.configured
+      ? 'Cofre de chaves bloqueado'
+      : 'Defina uma senha para cifrar as chaves';
+  }
+
+  // Executar teste de vazamento DNS
+  async runDnsLeakTest() {
+    try {
+      this.showProgress('Testando vazamento de DNS...');
+      
+      const result = await ipcRenderer.invoke('run-dns-leak-test');
+      
+      if (!result.success) {
+        this.showError(`Erro no teste de DNS: ${result.message}`);
+        return;
+      }
+      
+      for (const entry of result.result.results) {
+        const origin = entry.egress.length > 0 ? ` via ${entry.egress.join(', ')}` : '';
+        const state = entry.answered
+          ? `respondeu${origin} em ${entry.rtt}ms${entry.allowed ? '' : ' (fora do túnel)'}`
+          : `sem resposta (${entry.error})`;
+        this.logMessage(`DNS ${entry.server}: ${state}`);
+      }
+      
+      if (result.result.leaking) {
+        this.showError(`Vazamento de DNS detectado: ${result.result.leaks.join(', ')}`);
+      } else {
+        this.showSuccess('Nenhum vazamento de DNS detectado');
+      }
+      
+    } catch (error) {
+      console.error('Erro no teste de vazamento DNS:', error);
+      this.showError('Erro ao testar vazamento de DNS');
+    }
+  }
+
   // Atualizar estatísticas de rede
   async updateNetworkStats() {
     try {
@@ -192,11 +419,147 @@ class HiraishinRenderer {
   // Manipular atualização de rede
   handleNetworkUpdate(data) {
     this.routes = data.routes || [];
+    this.nearbyNetworks = data.nearbyNetworks || [];
+    this.scoringProfile = data.scoringProfile || this.scoringProfile;
     this.isConnected = data.isConnected;
     this.currentRoute = data.currentRoute;
+    this.tunnels = data.tunnels || [];
     
+    this.updateTunnelsList();
     this.updateRoutesList();
+    this.updateNearbyList();
     this.updateConnectionStatus(this.isConnected);
+    this.updateKillSwitchStatus(data.killSwitch);
+    this.updateFailoverStatus(data.failover);
+  }
+
+  // Manipular eventos do monitor de saúde do túnel
+  handleTunnelHealth(data) {
+    switch (data.type) {
+      case 'unhealthy':
+        this.logMessage(`Túnel ${data.tunnel} com problema: ${data.reason}`);
+        break;
+      case 'reconnecting':
+        this.logMessage(`Reconectando ${data.tunnel} (tentativa ${data.attempt}, aguardando ${Math.round(data.delay / 1000)}s)`);
+        this.showProgress(`Reconectando túnel (tentativa ${data.attempt})...`);
+        break;
+      case 'reconnected':
+        this.logMessage(`Túnel ${data.tunnel} reconectado após ${data.attempts} tentativa(s)`);
+        this.showSuccess('Túnel reconectado');
+        break;
+      case 'failed':
+        this.logMessage(`Falha ao reconectar ${data.tunnel} após ${data.attempts} tentativas: ${data.reason}`);
+        this.showError(`Não foi possível reconectar o túnel ${data.tunnel}`);
+        break;
+    }
+  }
+
+  // Explicar cada passo do failover automático no log
+  handleRouteFailover(data) {
+    const score = value => (value === null ? '-' : value.toFixed(1));
+    switch (data.type) {
+      case 'candidate':
+        this.logMessage(`Failover: ${data.to.name} (${score(data.to.score)}) está ${data.gap.toFixed(1)} pontos à frente de ${data.from.name}; aguardando ${Math.round(data.sustain / 1000)}s`);
+        break;
+      case 'switching':
+        this.logMessage(`Failover${data.immediate ? ' imediato' : ''}: trocando ${data.from.name} por ${data.to.name} (${data.reason})`);
+        this.showProgress(`Trocando para ${data.to.name}...`);
+        break;
+      case 'switched':
+        this.logMessage(`Failover concluído: agora em ${data.to.name}`);
+        this.showSuccess(`Rota trocada para ${data.to.name}`);
+        break;
+      case 'failed':
+        this.logMessage(`Failover para ${data.to.name} falhou: ${data.error}`);
+        this.showError(`Não foi possível trocar para ${data.to.name}`);
+        break;
+    }
+  }
+
+  // Ativar/desativar failover automático
+  async setFailover() {
+    try {
+      const result = await ipcRenderer.invoke('set-failover', {
+        enabled: this.elements.failoverToggle.checked
+      });
+
+      if (result.success) {
+        this.updateFailoverStatus(result.failover);
+        this.logMessage(`Failover automático ${result.failover.enabled ? 'ativado' : 'desativado'}`);
+      } else {
+        this.showError(`Erro no failover: ${result.message}`);
+      }
+
+    } catch (error) {
+      console.error('Erro ao configurar failover:', error);
+      this.showError('Erro ao configurar failover');
+    }
+  }
+
+  updateFailoverStatus(status) {
+    if (!status) return;
+    this.elements.failoverToggle.checked = status.enabled;
+    this.elements.failoverSuspended.style.display = status.enabled && status.suspended ? 'inline' : 'none';
+    this.elements.failoverToggle.parentElement.title = status.suspended
+      ? status.suspended
+      : `Troca quando outra rota fica ${status.margin} pontos à frente por ${Math.round(status.sustain / 1000)}s; ` +
+        `no máximo uma troca a cada ${Math.round(status.cooldown / 1000)}s`;
+  }
+
+  // Ativar/desativar kill switch
+  async setKillSwitch() {
+    try {
+      const result = await ipcRenderer.invoke('set-kill-switch', {
+        enabled: this.elements.killSwitchToggle.checked,
+        allowLan: this.elements.killSwitchLanToggle.checked
+      });
+      
+      if (result.success) {
+        this.updateKillSwitchStatus(result.killSwitch);
+        this.logMessage(`Kill switch ${result.killSwitch.enabled ? 'ativado' : 'desativado'}`);
+      } else {
+        this.showError(`Erro no kill switch: ${result.message}`);
+      }
+      
+    } catch (error) {
+      console.error('Erro ao configurar kill switch:', error);
+      this.showError('Erro ao configurar kill switch');
+    }
+  }
+
+  // Atualizar indicador do kill switch
+  updateKillSwitchStatus(status) {
+    if (!status) return;
+    
+    const indicator = this.elements.killSwitchStatus;
+    indicator.className = `killswitch-status ${status.armed ? 'armed' : 'disarmed'}`;
+    indicator.querySelector('span').textContent = !status.supported
+      ? 'Kill switch indisponível'
+      : status.armed ? 'Kill switch armado' : 'Kill switch desarmado';
+    
+    this.elements.killSwitchToggle.checked = status.enabled;
+    this.elements.killSwitchToggle.disabled = !status.supported;
+    this.elements.killSwitchLanToggle.checked = status.allowLan;
+  }
+
+  // Atualizar lista de túneis ativos
+  updateTunnelsList() {
+    const tunnelsList = this.elements.tunnelsList;
+    
+    if (this.tunnels.length === 0) {
+      tunnelsList.innerHTML = '<div class="no-tunnels">Nenhum túnel ativo</div>';
+      return;
+    }
+    
+    tunnelsList.innerHTML = this.tunnels.map(tunnel => `
+      <div class="tunnel-item">
+        <div>
+          <div class="tunnel-name">${tunnel.name}</div>
+          <div class="metric-label">${tunnel.routeName} · ${tunnel.profileName} · ${tunnel.addresses.join(', ')}</div>
+        </div>
+        <button class="btn btn-danger btn-sm" data-disconnect-tunnel="${tunnel.name}">Desconectar</button>
+      </div>
+    `).join('');
   }
 
   // Atualizar lista de rotas
@@ -215,39 +578,240 @@ class HiraishinRenderer {
     });
   }
 
+  // Listar redes WiFi próximas (não associadas): só informativas, sem medição
+  updateNearbyList() {
+    const nearbyList = this.elements.nearbyList;
+    if (this.nearbyNetworks.length === 0) {
+      nearbyList.innerHTML = '<div class="no-nearby">Nenhuma rede próxima encontrada</div>';
+      return;
+    }
+
+    nearbyList.innerHTML = this.nearbyNetworks.map(network => `
+      <div class="nearby-item">
+        <span class="nearby-ssid">${network.ssid}</span>
+        <span class="nearby-details">${network.signal} dBm · ${network.security || 'aberta'}${network.channel ? ` · canal ${network.channel}` : ''}</span>
+      </div>
+    `).join('');
+  }
+
+  // Gateways default do uplink (IPv4/IPv6, métrica e origem)
+  formatGateways(route) {
+    if (!route.gateways || route.gateways.length === 0) {
+      return '<div class="route-gateways">Sem rota default</div>';
+    }
+    const gateways = route.gateways.map(gateway =>
+      `${gateway.gateway || 'on-link'} (IPv${gateway.family}, métrica ${gateway.metric}${gateway.protocol ? `, ${gateway.protocol}` : ''})`
+    );
+    return `<div class="route-gateways">Gateway: ${gateways.join(', ')}</div>`;
+  }
+
   // Criar elemento de rota
   createRouteElement(route, index) {
     const div = document.createElement('div');
-    div.className = `route-item ${route === this.currentRoute ? 'active' : ''}`;
+    const tunnels = this.tunnels.filter(tunnel => tunnel.routeId === route.id);
+    div.className = `route-item ${tunnels.length > 0 ? 'active' : ''}`;
     
-    const score = route.metrics ? this.calculateRouteScore(route.metrics) : 0;
+    const profile = this.scoringProfile || routeScorer.getActiveProfile();
+    // Score pelo histórico suavizado quando houver, senão pela última medição
+    const scoredMetrics = route.smoothedMetrics || route.metrics;
+    const score = scoredMetrics ? routeScorer.score(scoredMetrics, profile) : 0;
     const scoreColor = this.getScoreColor(score);
     
     div.innerHTML = `
       <div class="route-header">
         <h3>${route.name}</h3>
-        <div class="route-score" style="background-color: ${scoreColor}">
+        <div class="route-score" style="background-color: ${scoreColor}" title="${this.formatScoreBreakdown(scoredMetrics, profile)}">
           ${score.toFixed(1)}
         </div>
       </div>
       <div class="route-details">
-        <div class="route-type">${route.type}</div>
+        <div class="route-type">${route.type}${route.wifi ? ` · ${route.wifi.signal} dBm` : ''}</div>
+        ${this.formatGateways(route)}
+        ${tunnels.map(tunnel => this.formatTunnelAddresses(tunnel) + this.formatAllowedIPs(tunnel.allowedIPs)).join('')}
         ${route.metrics ? this.formatMetrics(route.metrics) : '<div class="no-metrics">Métricas não disponíveis</div>'}
+        ${route.history ? this.formatHistory(route.history) : ''}
+        ${route.metrics && route.metrics.path ? this.formatPath(route.id, route.metrics.path) : ''}
+      </div>
+      <div class="route-actions">
+        <button class="btn btn-secondary btn-sm" data-connect-route="${route.id}">Abrir túnel</button>
+        <button class="btn btn-secondary btn-sm" data-measure-throughput="${route.id}">Medir banda</button>
+        ${route.metrics && route.metrics.path ? `
+        <button class="btn btn-secondary btn-sm" data-toggle-path="${route.id}">
+          ${this.expandedPaths.has(route.id) ? 'Ocultar saltos' : 'Ver saltos'}
+        </button>` : ''}
       </div>
     `;
     
     return div;
   }
 
-  // Calcular score da rota
-  calculateRouteScore(metrics) {
-    if (metrics.error) return 0;
-    
-    const latencyScore = Math.max(0, 100 - metrics.latency);
-    const throughputScore = Math.min(100, metrics.throughput / 10);
-    const stabilityScore = metrics.stability * 100;
-    
-    return (latencyScore * 0.4 + throughputScore * 0.4 + stabilityScore * 0.2);
+  // Carregar configurações e esquema
+  async loadSettings() {
+    try {
+      const result = await ipcRenderer.invoke('get-settings');
+      if (!result.success) {
+        this.showError(`Erro ao carregar configurações: ${result.message}`);
+        return;
+      }
+      this.settingsSchema = result.schema;
+      this.handleSettingsUpdate(result.settings);
+    } catch (error) {
+      console.error('Erro ao carregar configurações:', error);
+    }
+  }
+
+  // Configurações mudaram (por esta página, outra janela ou edição do arquivo)
+  handleSettingsUpdate(settings) {
+    const previous = this.settings;
+    this.settings = settings;
+    if (!previous || previous.ui.statsInterval !== settings.ui.statsInterval) {
+      this.startStatsPolling(settings.ui.statsInterval);
+    }
+    this.updateFailoverStatus(settings.failover);
+    this.renderSettingsForm();
+  }
+
+  toggleSettings() {
+    const section = this.elements.settingsSection;
+    const hidden = section.style.display === 'none';
+    section.style.display = hidden ? 'block' : 'none';
+    if (hidden) {
+      this.renderSettingsForm();
+      section.scrollIntoView({ behavior: 'smooth' });
+    }
+  }
+
+  // Montar o formulário a partir do esquema: um grupo por seção
+  renderSettingsForm() {
+    if (!this.settingsSchema || !this.settings) return;
+    // Não apagar o que o usuário está digitando
+    if (this.elements.settingsForm.contains(document.activeElement)) return;
+
+    this.elements.settingsForm.innerHTML = Object.entries(this.settingsSchema).map(([section, { label, fields }]) => `
+      <fieldset class="settings-group">
+        <legend>${label}</legend>
+        ${Object.entries(fields).map(([key, field]) => this.formatSettingsField(section, key, field)).join('')}
+      </fieldset>
+    `).join('');
+  }
+
+  formatSettingsField(section, key, field) {
+    const value = this.settings[section][key];
+    const id = `setting-${section}-${key}`;
+    const unit = field.unit ? ` (${field.unit})` : '';
+    const data = `id="${id}" data-section="${section}" data-key="${key}" data-type="${field.type}"`;
+
+    if (field.type === 'boolean') {
+      return `
+        <label class="settings-field toggle-option" for="${id}">
+          <input type="checkbox" ${data} ${value ? 'checked' : ''}>
+          ${field.label}
+        </label>
+      `;
+    }
+
+    const input = ['ipList', 'cidrList'].includes(field.type)
+      ? `<input type="text" ${data} value="${value.join(', ')}">`
+      : `<input type="number" ${data} value="${value === null ? '' : value}" min="${field.min}" max="${field.max}" step="${field.type === 'integer' ? 1 : 'any'}">`;
+    return `
+      <div class="settings-field">
+        <label for="${id}">${field.label}${unit}</label>
+        ${input}
+      </div>
+    `;
+  }
+
+  // Ler o formulário como { seção: { chave: valor } }
+  readSettingsForm() {
+    const patch = {};
+    for (const input of this.elements.settingsForm.querySelectorAll('[data-section]')) {
+      const { section, key, type } = input.dataset;
+      patch[section] = patch[section] || {};
+      if (type === 'boolean') {
+        patch[section][key] = input.checked;
+      } else if (type === 'ipList' || type === 'cidrList') {
+        patch[section][key] = input.value;
+      } else {
+        patch[section][key] = input.value === '' ? null : Number(input.value);
+      }
+    }
+    return patch;
+  }
+
+  async saveSettings() {
+    try {
+      const result = await ipcRenderer.invoke('set-settings', this.readSettingsForm());
+      if (result.success) {
+        document.activeElement.blur();
+        this.handleSettingsUpdate(result.settings);
+        this.showSuccess('Configurações salvas');
+        this.logMessage('Configurações atualizadas');
+      } else {
+        this.showError(result.message);
+      }
+    } catch (error) {
+      console.error('Erro ao salvar configurações:', error);
+      this.showError('Erro ao salvar configurações');
+    }
+  }
+
+  async resetSettings() {
+    if (!confirm('Restaurar todas as configurações para os valores padrão?')) return;
+    try {
+      const result = await ipcRenderer.invoke('reset-settings');
+      if (result.success) {
+        this.handleSettingsUpdate(result.settings);
+        this.showSuccess('Configurações restauradas');
+        this.logMessage('Configurações restauradas para os padrões');
+      } else {
+        this.showError(result.message);
+      }
+    } catch (error) {
+      console.error('Erro ao restaurar configurações:', error);
+      this.showError('Erro ao restaurar configurações');
+    }
+  }
+
+  // Carregar perfis de score no seletor
+  async loadScoringProfiles() {
+    try {
+      const result = await ipcRenderer.invoke('get-scoring-profiles');
+      if (!result.success) {
+        this.showError(`Erro ao carregar perfis de score: ${result.message}`);
+        return;
+      }
+      this.elements.scoringProfileSelect.innerHTML = result.profiles
+        .map(profile => `<option value="${profile.id}" ${profile.id === result.active ? 'selected' : ''}>${profile.name}${profile.builtin ? '' : ' (personalizado)'}</option>`)
+        .join('');
+    } catch (error) {
+      console.error('Erro ao carregar perfis de score:', error);
+    }
+  }
+
+  // Selecionar perfil de score ativo
+  async setScoringProfile(id) {
+    try {
+      const result = await ipcRenderer.invoke('set-scoring-profile', id);
+      if (result.success) {
+        this.scoringProfile = result.profile;
+        this.logMessage(`Perfil de score: ${result.profile.name}`);
+        this.updateRoutesList();
+      } else {
+        this.showError(`Erro ao trocar perfil de score: ${result.message}`);
+      }
+    } catch (error) {
+      console.error('Erro ao trocar perfil de score:', error);
+      this.showError('Erro ao trocar perfil de score');
+    }
+  }
+
+  // Resumo do score por fator (tooltip do badge)
+  formatScoreBreakdown(metrics, profile) {
+    const factors = Object.entries(routeScorer.breakdown(metrics, profile));
+    if (factors.length === 0) return `Perfil ${profile.name}`;
+    return `Perfil ${profile.name}: ` + factors
+      .map(([factor, detail]) => `${factor} ${detail.score.toFixed(0)} (peso ${(detail.weight * 100).toFixed(0)}%)`)
+      .join(', ');
   }
 
   // Obter cor do score
@@ -263,24 +827,152 @@ class HiraishinRenderer {
       return `<div class="error">Erro: ${metrics.error}</div>`;
     }
     
+    const ms = value => (value === null || value === undefined ? '-' : `${value.toFixed(1)}ms`);
+    
     return `
       <div class="metrics">
         <div class="metric">
-          <span class="metric-label">Latência:</span>
-          <span class="metric-value">${metrics.latency.toFixed(1)}ms</span>
+          <span class="metric-label">Latência (mín/méd/máx):</span>
+          <span class="metric-value">${ms(metrics.min)} / ${metrics.received ? ms(metrics.latency) : '-'} / ${ms(metrics.max)}</span>
         </div>
         <div class="metric">
-          <span class="metric-label">Throughput:</span>
-          <span class="metric-value">${metrics.throughput.toFixed(1)} Mbps</span>
+          <span class="metric-label">p50 / p95 / p99:</span>
+          <span class="metric-value">${ms(metrics.p50)} / ${ms(metrics.p95)} / ${ms(metrics.p99)}</span>
         </div>
         <div class="metric">
-          <span class="metric-label">Estabilidade:</span>
-          <span class="metric-value">${(metrics.stability * 100).toFixed(1)}%</span>
+          <span class="metric-label">Perda:</span>
+          <span class="metric-value">${(metrics.packetLoss * 100).toFixed(1)}%${metrics.sent ? ` (${metrics.received}/${metrics.sent})` : ''}</span>
         </div>
         <div class="metric">
-          <span class="metric-label">Jitter:</span>
+          <span class="metric-label">Jitter (RFC 3550):</span>
           <span class="metric-value">${metrics.jitter.toFixed(1)}ms</span>
         </div>
+        <div class="metric">
+          <span class="metric-label">MOS (fator R):</span>
+          <span class="metric-value">${metrics.mos != null ? `${metrics.mos.toFixed(2)} (${metrics.rFactor.toFixed(0)})` : '-'}</span>
+        </div>
+        <div class="metric">
+          <span class="metric-label">Download:</span>
+          <span class="metric-value" title="${metrics.throughputMeasuredAt ? `Medido às ${new Date(metrics.throughputMeasuredAt).toLocaleTimeString()}` : 'Use \'Medir banda\''}">${metrics.throughput != null ? `${metrics.throughput.toFixed(1)} Mbps` : 'não medido'}</span>
+        </div>
+        ${metrics.uploadThroughput != null ? `
+        <div class="metric">
+          <span class="metric-label">Upload:</span>
+          <span class="metric-value">${metrics.uploadThroughput.toFixed(1)} Mbps</span>
+        </div>` : ''}
+        <div class="metric">
+          <span class="metric-label">Estabilidade:</span>
+          <span class="metric-value">${(metrics.stability * 100).toFixed(1)}%</span>
+        </div>
+        ${Object.entries(metrics.families || {}).map(([key, family]) => `
+        <div class="metric">
+          <span class="metric-label">${key === 'ipv6' ? 'IPv6' : 'IPv4'}${`ipv${metrics.preferredFamily}` === key ? ' (preferida)' : ''}:</span>
+          <span class="metric-value">${family.error ? family.error : `${family.received ? ms(family.latency) : '-'} · ${(family.packetLoss * 100).toFixed(1)}% perda`}</span>
+        </div>`).join('')}
+        ${(metrics.targets || []).map(target => `
+        <div class="metric metric-target${target.error ? ' metric-target-error' : ''}" title="${target.id} (peso ${target.weight})">
+          <span class="metric-label">${target.type.toUpperCase()} ${target.target}:</span>
+          <span class="metric-value">${target.error ? target.error : `${target.received ? ms(target.latency) : '-'} · ${(target.packetLoss * 100).toFixed(0)}% perda`}</span>
+        </div>`).join('')}
+        ${metrics.pathMtu ? `
+        <div class="metric" title="Path MTU até ${metrics.pathMtu.endpoint}">
+          <span class="metric-label">MTU (caminho / túnel):</span>
+          <span class="metric-value">${metrics.pathMtu.pathMtu} / ${metrics.pathMtu.tunnelMtu}</span>
+        </div>` : ''}
+        ${metrics.binding ? `
+        <div class="metric">
+          <span class="metric-label">Medido via:</span>
+          <span class="metric-value">${metrics.binding.iface} (${metrics.binding.localAddress})</span>
+        </div>` : ''}
+      </div>
+    `;
+  }
+
+  // Resumo do histórico da rota na janela (EWMA, percentis e uptime)
+  formatHistory(history) {
+    const ms = value => (value === null || value === undefined ? '-' : `${value.toFixed(1)}ms`);
+    return `
+      <div class="route-history" title="${history.samples} medições desde ${new Date(history.from).toLocaleTimeString()}">
+        <span class="metric-label">Histórico (${Math.round(history.window / 60000)} min):</span>
+        <span class="metric-value">
+          uptime ${(history.uptime * 100).toFixed(1)}% ·
+          latência EWMA ${ms(history.ewma.latency)} ·
+          p50/p95 ${ms(history.latencyP50)} / ${ms(history.latencyP95)} ·
+          perda EWMA ${history.ewma.packetLoss !== null ? (history.ewma.packetLoss * 100).toFixed(1) : '-'}%
+        </span>
+      </div>
+    `;
+  }
+
+  // Expandir/recolher a visão de saltos de uma rota
+  togglePath(routeId) {
+    if (this.expandedPaths.has(routeId)) {
+      this.expandedPaths.delete(routeId);
+    } else {
+      this.expandedPaths.add(routeId);
+    }
+    this.updateRoutesList();
+  }
+
+  // Formatar o caminho da rota: alerta de mudança e tabela de saltos (estilo MTR)
+  formatPath(routeId, path) {
+    const change = path.lastChange
+      ? `<div class="path-change${path.change ? ' path-change-recent' : ''}">
+          Caminho mudou no salto ${path.lastChange.hop}: ${path.lastChange.from} → ${path.lastChange.to}
+          (${new Date(path.lastChange.at).toLocaleTimeString()})
+        </div>`
+      : '';
+    if (!this.expandedPaths.has(routeId)) {
+      return change;
+    }
+
+    const ms = value => (value === null || value === undefined ? '-' : `${value.toFixed(1)}`);
+    const rows = path.hops.map(hop => `
+      <tr class="${hop.received === 0 ? 'hop-silent' : (hop.packetLoss > 0 ? 'hop-lossy' : '')}">
+        <td>${hop.hop}</td>
+        <td title="${hop.addresses.join(', ')}">${hop.address || '*'}${hop.addresses.length > 1 ? ` (+${hop.addresses.length - 1})` : ''}</td>
+        <td>${(hop.packetLoss * 100).toFixed(0)}%</td>
+        <td>${ms(hop.latency)}</td>
+        <td>${ms(hop.min)} / ${ms(hop.max)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      ${change}
+      <div class="route-path">
+        <div class="metric-label">Caminho até ${path.target} (${new Date(path.tracedAt).toLocaleTimeString()})</div>
+        <table class="hops-table">
+          <thead>
+            <tr><th>#</th><th>Endereço</th><th>Perda</th><th>Média (ms)</th><th>Mín / Máx</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // Formatar endereços da interface do túnel e conflitos detectados
+  formatTunnelAddresses(tunnel) {
+    const conflicts = (tunnel.addressConflicts || [])
+      .map(conflict => `<div class="error">Conflito: ${conflict.address} sobrepõe ${conflict.cidr} (${conflict.source})</div>`)
+      .join('');
+    return `
+      <div class="route-allowed-ips">
+        <span class="metric-label">Endereço do túnel ${tunnel.name}:</span>
+        <span class="metric-value">${tunnel.addresses.join(', ')}${tunnel.mtu ? ` · MTU ${tunnel.mtu}` : ''}</span>
+        ${conflicts}
+      </div>
+    `;
+  }
+
+  // Formatar AllowedIPs efetivo do túnel
+  formatAllowedIPs(allowedIPs) {
+    const preview = allowedIPs.slice(0, 6).join(', ');
+    const remaining = allowedIPs.length > 6 ? ` (+${allowedIPs.length - 6})` : '';
+    return `
+      <div class="route-allowed-ips" title="${allowedIPs.join(', ')}">
+        <span class="metric-label">AllowedIPs:</span>
+        <span class="metric-value">${preview}${remaining}</span>
       </div>
     `;
   }
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Fatores que um perfil pode pesar e as curvas padrão que levam cada métrica a 0-100.
+// `best` vale 100 e `worst` vale 0; entre eles a curva é linear ou logarítmica.
+const DEFAULT_CURVES = {
+  latency: { type: 'linear', best: 10, worst: 200 },
+  p95: { type: 'linear', best: 15, worst: 300 },
+  jitter: { type: 'linear', best: 1, worst: 40 },
+  packetLoss: { type: 'linear', best: 0, worst: 0.1 },
+  mos: { type: 'linear', best: 4.4, worst: 1 },
+  throughput: { type: 'log', best: 200, worst: 1 },
+  uploadThroughput: { type: 'log', best: 100, worst: 0.5 },
+  stability: { type: 'linear', best: 1, worst: 0 },
+  // Fração das medições com resposta na janela do histórico
+  uptime: { type: 'linear', best: 1, worst: 0.8 }
+};
+
+const FACTORS = Object.keys(DEFAULT_CURVES);
+const CURVE_TYPES = ['linear', 'log'];
+
+const BUILTIN_PROFILES = [
+  {
+    id: 'balanced',
+    name: 'Equilibrado',
+    weights: { latency: 0.25, jitter: 0.1, packetLoss: 0.2, throughput: 0.25, stability: 0.1, mos: 0.1 }
+  },
+  {
+    id: 'gaming',
+    name: 'Jogos',
+    weights: { latency: 0.35, jitter: 0.25, packetLoss: 0.25, stability: 0.1, throughput: 0.05 },
+    curves: { latency: { type: 'linear', best: 5, worst: 120 } }
+  },
+  {
+    id: 'streaming',
+    name: 'Streaming',
+    weights: { throughput: 0.55, packetLoss: 0.15, stability: 0.15, latency: 0.1, jitter: 0.05 }
+  },
+  {
+    id: 'voip',
+    name: 'VoIP',
+    weights: { mos: 0.45, packetLoss: 0.25, jitter: 0.15, latency: 0.15 },
+    curves: { packetLoss: { type: 'linear', best: 0, worst: 0.05 } }
+  }
+];
+
+// Score de rota compartilhado por main e renderer: perfis nomeados com pesos por
+// fator e curvas de normalização. Perfis personalizados ficam em ~/.hiraishin.
+class RouteScorer {
+  constructor() {
+    this.basePath = path.join(os.homedir(), '.hiraishin');
+    this.scoringFile = path.join(this.basePath, 'scoring.json');
+    this.builtin = BUILTIN_PROFILES.map(profile => this.normalizeProfile({ ...profile, builtin: true }));
+    this.state = null;
+  }
+
+  // Carregar perfil ativo e perfis personalizados do disco
+  load() {
+    if (this.state) return this.state;
+
+    this.state = { active: 'balanced', custom: [] };
+    if (fs.existsSync(this.scoringFile)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(this.scoringFile, 'utf8'));
+        this.state.custom = (stored.custom || []).map(profile => this.normalizeProfile(profile));
+        if (this.findProfile(stored.active)) {
+          this.state.active = stored.active;
+        }
+      } catch (error) {
+        console.error(`Perfis de score inválidos (${this.scoringFile}), usando padrões:`, error.message);
+      }
+    }
+    return this.state;
+  }
+
+  save() {
+    if (!fs.existsSync(this.basePath)) {
+      fs.mkdirSync(this.basePath, { recursive: true, mode: 0o700 });
+    }
+    const tmpFile = `${this.scoringFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ active: this.state.active, custom: this.state.custom }, null, 2));
+    fs.renameSync(tmpFile, this.scoringFile);
+  }
+
+  findProfile(id) {
+    return this.builtin.find(profile => profile.id === id) ||
+      (this.state ? this.state.custom.find(profile => profile.id === id) : null) ||
+      null;
+  }
+
+  listProfiles() {
+    return [...this.builtin, ...this.load().custom];
+  }
+
+  getActiveProfile() {
+    return this.findProfile(this.load().active) || this.builtin[0];
+  }
+
+  setActiveProfile(id) {
+    this.load();
+    if (!this.findProfile(id)) {
+      throw new Error(`Perfil de score não encontrado: ${id}`);
+    }
+    this.state.active = id;
+    this.save();
+    return this.getActiveProfile();
+  }
+
+  // Criar ou atualizar um perfil personalizado
+  saveCustomProfile(profile) {
+    this.load();
+    const normalized = this.normalizeProfile({ ...profile, builtin: false });
+    if (this.builtin.some(candidate => candidate.id === normalized.id)) {
+      throw new Error(`O perfil ${normalized.id} é embutido e não pode ser alterado`);
+    }
+    this.state.custom = [...this.state.custom.filter(candidate => candidate.id !== normalized.id), normalized];
+    this.save();
+    return normalized;
+  }
+
+  removeCustomProfile(id) {
+    this.load();
+    if (!this.state.custom.some(profile => profile.id === id)) {
+      throw new Error(`Perfil personalizado não encontrado: ${id}`);
+    }
+    this.state.custom = this.state.custom.filter(profile => profile.id !== id);
+    if (this.state.active === id) {
+      this.state.active = 'balanced';
+    }
+    this.save();
+  }
+
+  // Validar pesos e curvas; pesos são normalizados para somar 1
+  normalizeProfile(profile) {
+    if (!profile || !profile.id || !/^[a-z0-9_-]{1,32}$/i.test(profile.id)) {
+      throw new Error('Perfil de score precisa de um id (letras, números, _ ou -)');
+    }
+
+    const weights = {};
+    for (const [factor, value] of Object.entries(profile.weights || {})) {
+      if (!FACTORS.includes(factor)) {
+        throw new Error(`Fator de score desconhecido: ${factor} (use ${FACTORS.join(', ')})`);
+      }
+      const weight = Number(value);
+      if (!Number.isFinite(weight) || weight < 0) {
+        throw new Error(`Peso inválido para ${factor}: ${value}`);
+      }
+      if (weight > 0) weights[factor] = weight;
+    }
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+      throw new Error(`Perfil ${profile.id} não tem nenhum peso positivo`);
+    }
+    for (const factor of Object.keys(weights)) {
+      weights[factor] /= total;
+    }
+
+    const curves = {};
+    for (const factor of Object.keys(weights)) {
+      const curve = { ...DEFAULT_CURVES[factor], ...((profile.curves || {})[factor] || {}) };
+      if (!CURVE_TYPES.includes(curve.type)) {
+        throw new Error(`Curva inválida para ${factor}: ${curve.type} (use ${CURVE_TYPES.join(', ')})`);
+      }
+      curve.best = Number(curve.best);
+      curve.worst = Number(curve.worst);
+      if (!Number.isFinite(curve.best) || !Number.isFinite(curve.worst) || curve.best === curve.worst) {
+        throw new Error(`Limites inválidos na curva de ${factor}`);
+      }
+      if (curve.type === 'log' && (curve.best <= 0 || curve.worst <= 0)) {
+        throw new Error(`Curva logarítmica de ${factor} precisa de limites positivos`);
+      }
+      curves[factor] = curve;
+    }
+
+    return {
+      id: profile.id,
+      name: profile.name || profile.id,
+      builtin: Boolean(profile.builtin),
+      weights,
+      curves
+    };
+  }
+
+  // Levar o valor da métrica a 0-100 pela curva (`best` -> 100, `worst` -> 0)
+  normalize(value, curve) {
+    let position;
+    if (curve.type === 'log') {
+      const safe = Math.max(value, Math.min(curve.best, curve.worst) / 10);
+      position = (Math.log(safe) - Math.log(curve.worst)) / (Math.log(curve.best) - Math.log(curve.worst));
+    } else {
+      position = (value - curve.worst) / (curve.best - curve.worst);
+    }
+    return Math.max(0, Math.min(1, position)) * 100;
+  }
+
+  // Nota de cada fator; fatores sem valor nas métricas ficam de fora
+  breakdown(metrics, profile = this.getActiveProfile()) {
+    const factors = {};
+    if (!metrics || metrics.error) return factors;
+
+    for (const [factor, weight] of Object.entries(profile.weights)) {
+      const value = metrics[factor];
+      if (value === null || value === undefined || !Number.isFinite(value)) continue;
+      // Sem nenhuma resposta, latência e jitter não dizem nada: o fator vale zero
+      const silent = metrics.received === 0 && ['latency', 'p95', 'jitter'].includes(factor);
+      factors[factor] = { value, weight, score: silent ? 0 : this.normalize(value, profile.curves[factor]) };
+    }
+    return factors;
+  }
+
+  // Score 0-100 da rota no perfil; pesos renormalizados sobre os fatores presentes
+  score(metrics, profile = this.getActiveProfile()) {
+    const factors = Object.values(this.breakdown(metrics, profile));
+    const weight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+    if (weight === 0) return 0;
+    return factors.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / weight;
+  }
+}
+
+module.exports = new RouteScorer();
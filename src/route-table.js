@@ -0,0 +1,317 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const os = require('os');
+const net = require('net');
+const cidr = require('./cidr');
+
+const execAsync = promisify(exec);
+
+// Tipos de rota que não encaminham tráfego para fora do host
+const NON_FORWARDING_TYPES = ['local', 'broadcast', 'multicast', 'anycast', 'nat', 'unreachable', 'prohibit', 'blackhole', 'throw'];
+
+// Tipos (de rota ou ação de regra) que encerram a busca sem saída
+const TERMINAL_TYPES = ['unreachable', 'prohibit', 'blackhole'];
+
+// Leitor estruturado da tabela de rotas do sistema. Cada rota vira
+// { family, destination, gateway, iface, metric, protocol, scope, table, type, source }
+// com destino sempre em CIDR (default = 0.0.0.0/0 ou ::/0).
+class RouteTable {
+  // Ler todas as rotas (todas as tabelas no Linux; tabela ativa no Windows)
+  async readRoutes() {
+    try {
+      if (process.platform === 'linux') {
+        const [ipv4, ipv6] = await Promise.all([
+          execAsync('ip -j -4 route show table all'),
+          execAsync('ip -j -6 route show table all').catch(() => ({ stdout: '[]' }))
+        ]);
+        return [...this.parseIpRoutes(ipv4.stdout, 4), ...this.parseIpRoutes(ipv6.stdout, 6)];
+      }
+
+      if (process.platform === 'win32') {
+        const { stdout } = await execAsync('route print');
+        return this.resolveWindowsInterfaces(this.parseWindowsRoutes(stdout));
+      }
+
+      return [];
+    } catch (error) {
+      console.error('Erro ao ler tabela de rotas:', error);
+      return [];
+    }
+  }
+
+  // Ler as regras de roteamento por política (`ip rule`, só Linux)
+  async readRules() {
+    if (process.platform !== 'linux') return [];
+
+    try {
+      const [ipv4, ipv6] = await Promise.all([
+        execAsync('ip -j -4 rule show'),
+        execAsync('ip -j -6 rule show').catch(() => ({ stdout: '[]' }))
+      ]);
+      return [...this.parseIpRules(ipv4.stdout, 4), ...this.parseIpRules(ipv6.stdout, 6)];
+    } catch (error) {
+      console.error('Erro ao ler regras de roteamento:', error);
+      return [];
+    }
+  }
+
+  // Rotas default que encaminham tráfego, da menor para a maior métrica. No
+  // Linux seguem as regras de política para tráfego com a marca `fwmark` (ver
+  // resolveDefaultRoutes); `tables` escolhe as tabelas diretamente (null = todas).
+  async getDefaultRoutes({ tables, fwmark = 0, excludeIfaces = [] } = {}) {
+    const routes = await this.readRoutes();
+    if (tables === undefined && process.platform === 'linux') {
+      const rules = await this.readRules();
+      return this.resolveDefaultRoutes(rules, routes, { fwmark, excludeIfaces });
+    }
+
+    const selected = tables === undefined ? ['main'] : tables;
+    return routes
+      .filter(route => this.isDefault(route) && this.isForwarding(route))
+      .filter(route => !selected || selected.includes(route.table))
+      .sort(this.compareRoutes);
+  }
+
+  // Rotas default efetivas, como o kernel escolhe: regras por prioridade, e a
+  // primeira tabela consultada com rota default decide. `suppress_prefixlength`
+  // descarta a default da tabela e a busca segue. Só regras por fwmark são
+  // avaliadas; as que dependem de origem, destino ou interface ficam de fora,
+  // pois o tráfego consultado não tem origem fixa. Rotas só por `excludeIfaces`
+  // (túneis do próprio app) são ignoradas, mostrando a saída por baixo deles.
+  // Sem regras para uma família, vale a tabela main.
+  resolveDefaultRoutes(rules, routes, { fwmark = 0, excludeIfaces = [] } = {}) {
+    const resolved = [];
+
+    for (const family of [4, 6]) {
+      const defaults = routes.filter(route =>
+        route.family === family && this.isDefault(route) && !excludeIfaces.includes(route.iface));
+      const familyRules = rules.filter(rule => rule.family === family);
+      const lookups = familyRules.length > 0
+        ? familyRules
+        : [{ action: 'lookup', table: 'main', not: false, from: 'all', to: 'all', suppressPrefixLength: null }];
+
+      for (const rule of lookups) {
+        if (!this.ruleMatches(rule, fwmark)) continue;
+        if (TERMINAL_TYPES.includes(rule.action)) break;
+        if (rule.action !== 'lookup' || rule.suppressPrefixLength !== null) continue;
+
+        const candidates = defaults.filter(route => route.table === rule.table);
+        const forwarding = candidates.filter(route => this.isForwarding(route));
+        if (forwarding.length > 0) {
+          resolved.push(...forwarding);
+          break;
+        }
+        if (candidates.some(route => TERMINAL_TYPES.includes(route.type))) break;
+      }
+    }
+
+    return resolved.sort(this.compareRoutes);
+  }
+
+  // Regra vale para tráfego sem origem fixa com a marca `fwmark`?
+  ruleMatches(rule, fwmark) {
+    if (rule.from !== 'all' || rule.to !== 'all' || rule.oif || (rule.iif && rule.iif !== 'lo')) {
+      return false;
+    }
+
+    let matches = true;
+    if (rule.fwmark) {
+      const [value, mask] = String(rule.fwmark).split('/').map(Number);
+      matches = ((fwmark & (mask === undefined ? 0xffffffff : mask)) >>> 0) === value;
+    }
+    return rule.not ? !matches : matches;
+  }
+
+  compareRoutes(a, b) {
+    return a.family - b.family || (a.metric || 0) - (b.metric || 0);
+  }
+
+  isDefault(route) {
+    return cidr.parseCidr(route.destination).prefix === 0;
+  }
+
+  isForwarding(route) {
+    return !NON_FORWARDING_TYPES.includes(route.type);
+  }
+
+  // Destino em CIDR: `default` e endereços de host sem prefixo
+  normalizeDestination(destination, family) {
+    if (!destination || destination === 'default') {
+      return family === 6 ? '::/0' : '0.0.0.0/0';
+    }
+    if (destination.includes('/')) return destination;
+    return `${destination}/${net.isIPv6(destination) ? 128 : 32}`;
+  }
+
+  // Saída de `ip -j route show table all`. Rotas multipath (ECMP) viram uma
+  // entrada por próximo salto, com o peso do salto.
+  parseIpRoutes(output, family) {
+    const entries = JSON.parse(output || '[]');
+    const routes = [];
+
+    for (const entry of entries) {
+      const base = {
+        family,
+        destination: this.normalizeDestination(entry.dst, family),
+        gateway: entry.gateway || null,
+        iface: entry.dev || null,
+        metric: entry.metric !== undefined ? Number(entry.metric) : 0,
+        protocol: entry.protocol || null,
+        scope: entry.scope || null,
+        table: entry.table !== undefined ? String(entry.table) : 'main',
+        type: entry.type || 'unicast',
+        source: entry.prefsrc || null,
+        flags: entry.flags || []
+      };
+
+      if (Array.isArray(entry.nexthops) && entry.nexthops.length > 0) {
+        for (const hop of entry.nexthops) {
+          routes.push({
+            ...base,
+            gateway: hop.gateway || null,
+            iface: hop.dev || null,
+            weight: hop.weight || 1,
+            flags: hop.flags || base.flags
+          });
+        }
+      } else {
+        routes.push(base);
+      }
+    }
+
+    return routes;
+  }
+
+  // Saída de `ip -j rule show`
+  parseIpRules(output, family) {
+    const entries = JSON.parse(output || '[]');
+    const prefixOf = (address, length) => {
+      if (!address || address === 'all') return 'all';
+      return length !== undefined ? `${address}/${length}` : this.normalizeDestination(address, family);
+    };
+
+    return entries.map(entry => ({
+      family,
+      priority: Number(entry.priority),
+      // `ip -j` marca regras negadas com "not": null
+      not: Object.prototype.hasOwnProperty.call(entry, 'not'),
+      from: prefixOf(entry.src, entry.srclen),
+      to: prefixOf(entry.dst, entry.dstlen),
+      fwmark: entry.fwmark || null,
+      iif: entry.iif || null,
+      oif: entry.oif || null,
+      table: entry.table !== undefined ? String(entry.table) : null,
+      action: entry.action || (entry.table !== undefined ? 'lookup' : null),
+      suppressPrefixLength: entry.suppress_prefixlength !== undefined ? Number(entry.suppress_prefixlength) : null
+    })).sort((a, b) => a.priority - b.priority);
+  }
+
+  // Saída de `route print` (Windows). Só as seções "Active Routes" entram;
+  // o cabeçalho de cada seção é reconhecido pela família e pelo ":" final,
+  // para funcionar também com o Windows em outros idiomas.
+  //   IPv4: Destino  Máscara  Gateway  Interface(IP)  Métrica
+  //   IPv6: If  Métrica  Destino  Gateway (às vezes quebrado na linha seguinte)
+  // O gateway "On-link" traduzido pode ter espaços ("Auf Verbindung").
+  parseWindowsRoutes(output) {
+    const routes = [];
+    let family = null;
+    let active = false;
+    let pending = null;
+
+    for (const rawLine of output.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || /^=+$/.test(line)) continue;
+
+      // Títulos de seção; linhas da lista de interfaces começam pelo índice
+      if (/IPv4/i.test(line) && !/^\d/.test(line)) {
+        family = 4;
+        active = false;
+        continue;
+      }
+      if (/IPv6/i.test(line) && !/^\d/.test(line)) {
+        family = 6;
+        active = false;
+        continue;
+      }
+      if (line.endsWith(':')) {
+        active = !/persist|st[äa]ndig/i.test(line);
+        continue;
+      }
+      if (!active) continue;
+
+      const parts = line.split(/\s+/);
+      if (family === 4 && parts.length >= 5 && net.isIPv4(parts[0]) && net.isIPv4(parts[1]) && /^\d+$/.test(parts[parts.length - 1])) {
+        const [destination, mask] = parts;
+        const [interfaceAddress, metric] = parts.slice(-2);
+        const gateway = parts.slice(2, -2).join(' ');
+        routes.push({
+          family: 4,
+          destination: `${destination}/${cidr.maskToPrefix(mask)}`,
+          gateway: net.isIP(gateway) ? gateway : null,
+          iface: null,
+          interfaceAddress,
+          metric: Number(metric),
+          protocol: null,
+          scope: net.isIP(gateway) ? null : 'link',
+          table: 'main',
+          type: 'unicast',
+          source: interfaceAddress,
+          flags: []
+        });
+      } else if (family === 6) {
+        if (pending && !/^\d+$/.test(parts[0])) {
+          pending.gateway = net.isIP(line) ? line : null;
+          pending.scope = pending.gateway ? null : 'link';
+          routes.push(pending);
+          pending = null;
+          continue;
+        }
+        if (/^\d+$/.test(parts[0]) && /^\d+$/.test(parts[1]) && parts[2] && parts[2].includes(':')) {
+          const route = {
+            family: 6,
+            destination: this.normalizeDestination(parts[2], 6),
+            gateway: null,
+            iface: null,
+            ifIndex: Number(parts[0]),
+            metric: Number(parts[1]),
+            protocol: null,
+            scope: 'link',
+            table: 'main',
+            type: 'unicast',
+            source: null,
+            flags: []
+          };
+          if (parts.length >= 4) {
+            route.gateway = net.isIP(parts[3]) ? parts[3] : null;
+            route.scope = route.gateway ? null : 'link';
+            routes.push(route);
+          } else {
+            pending = route;
+          }
+        }
+      }
+    }
+
+    return routes;
+  }
+
+  // Nomes das interfaces no Windows: IPv4 pelo endereço da interface, IPv6 pelo
+  // índice (o scopeid dos endereços link-local é o índice da interface)
+  resolveWindowsInterfaces(routes, interfaces = os.networkInterfaces()) {
+    const byAddress = new Map();
+    const byIndex = new Map();
+    for (const [name, addresses] of Object.entries(interfaces)) {
+      for (const address of addresses) {
+        byAddress.set(address.address, name);
+        if (address.scopeid) byIndex.set(address.scopeid, name);
+      }
+    }
+
+    return routes.map(route => ({
+      ...route,
+      iface: route.family === 4 ? byAddress.get(route.interfaceAddress) || null : byIndex.get(route.ifIndex) || null
+    }));
+  }
+}
+
+module.exports = new RouteTable();
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Prefixo dos valores cifrados guardados nos arquivos do usuário
+const SEALED_PREFIX = 'enc:v1:';
+
+// Parâmetros do scrypt para derivar a chave a partir da senha
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+const KEYRING_SERVICE = 'hiraishin';
+const KEYRING_ACCOUNT = 'master-key';
+
+// Cofre de segredos: chaves privadas e PSKs ficam cifradas em disco (AES-256-GCM)
+// com uma chave mestra aleatória guardada no chaveiro do sistema ou protegida por senha.
+class SecretStore {
+  constructor() {
+    this.basePath = path.join(os.homedir(), '.hiraishin');
+    this.metaFile = path.join(this.basePath, 'secrets.json');
+    this.masterKey = null;
+  }
+
+  // Metadados do cofre (modo, salt, chave mestra cifrada pela senha)
+  loadMeta() {
+    if (!fs.existsSync(this.metaFile)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.metaFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Arquivo de segredos corrompido (${this.metaFile}): ${error.message}`);
+    }
+  }
+
+  saveMeta(meta) {
+    if (!fs.existsSync(this.basePath)) {
+      fs.mkdirSync(this.basePath, { recursive: true, mode: 0o700 });
+    }
+    const tmpFile = `${this.metaFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(meta, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, this.metaFile);
+  }
+
+  isUnlocked() {
+    return this.masterKey !== null;
+  }
+
+  // Verificar se há chaveiro do sistema utilizável (libsecret no Linux, Keychain no macOS)
+  isKeyringAvailable() {
+    try {
+      if (process.platform === 'linux') {
+        execFileSync('secret-tool', ['--version'], { stdio: 'ignore' });
+        return true;
+      }
+      if (process.platform === 'darwin') {
+        execFileSync('security', ['help'], { stdio: 'ignore' });
+        return true;
+      }
+    } catch {
+      return false;
+    }
+    return false;
+  }
+
+  readKeyring() {
+    try {
+      const output = process.platform === 'darwin'
+        ? execFileSync('security', ['find-generic-password', '-s', KEYRING_SERVICE, '-a', KEYRING_ACCOUNT, '-w'])
+        : execFileSync('secret-tool', ['lookup', 'service', KEYRING_SERVICE, 'account', KEYRING_ACCOUNT]);
+      const key = Buffer.from(output.toString().trim(), 'base64');
+      return key.length === 32 ? key : null;
+    } catch {
+      return null;
+    }
+  }
+
+  writeKeyring(key) {
+    const encoded = key.toString('base64');
+    if (process.platform === 'darwin') {
+      // `-w` sem valor lê a senha do terminal, não do stdin. No modo interativo
+      // (`security -i`) o comando chega pelo stdin e `-X` leva o valor em hex,
+      // fora da linha de comando visível para outros processos.
+      const hex = Buffer.from(encoded).toString('hex');
+      execFileSync('security', ['-i'], {
+        input: `add-generic-password -U -s ${KEYRING_SERVICE} -a ${KEYRING_ACCOUNT} -X ${hex}\n`
+      });
+    } else {
+      execFileSync('secret-tool', ['store', '--label=Hiraishin VPN', 'service', KEYRING_SERVICE, 'account', KEYRING_ACCOUNT], {
+        input: encoded
+      });
+    }
+
+    // O modo interativo do security não sai com erro quando o comando falha
+    const stored = this.readKeyring();
+    if (!stored || !stored.equals(key)) {
+      throw new Error('Não foi possível gravar a chave mestra no chaveiro do sistema');
+    }
+  }
+
+  // Derivar a chave que protege a chave mestra a partir da senha
+  deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, KDF_PARAMS);
+  }
+
+  encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  decrypt(key, encoded) {
+    const raw = Buffer.from(encoded, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+  }
+
+  // Desbloquear o cofre: chaveiro do sistema, senha informada ou HIRAISHIN_PASSPHRASE
+  unlock(passphrase = null) {
+    if (this.isUnlocked()) return this.getStatus();
+
+    const secret = passphrase || process.env.HIRAISHIN_PASSPHRASE || null;
+    const meta = this.loadMeta();
+
+    if (!meta) {
+      return this.initialize(secret);
+    }
+
+    if (meta.mode === 'keyring') {
+      const key = this.readKeyring();
+      if (!key) {
+        throw new Error('Chave mestra não encontrada no chaveiro do sistema');
+      }
+      this.masterKey = key;
+    } else {
+      if (!secret) {
+        throw new Error('Cofre de segredos bloqueado: informe a senha');
+      }
+      try {
+        this.masterKey = this.decrypt(this.deriveKey(secret, meta.salt), meta.wrappedKey);
+      } catch {
+        throw new Error('Senha do cofre de segredos incorreta');
+      }
+    }
+
+    console.log(`Cofre de segredos desbloqueado (${meta.mode === 'keyring' ? 'chaveiro do sistema' : 'senha'})`);
+    return this.getStatus();
+  }
+
+  // Criar o cofre na primeira execução, preferindo o chaveiro do sistema
+  initialize(passphrase) {
+    const key = crypto.randomBytes(32);
+
+    if (!passphrase && this.isKeyringAvailable()) {
+      try {
+        this.writeKeyring(key);
+        this.masterKey = key;
+        this.saveMeta({ version: 1, mode: 'keyring', createdAt: new Date().toISOString() });
+        console.log('Cofre de segredos criado no chaveiro do sistema');
+        return this.getStatus();
+      } catch (error) {
+        console.warn(`Chaveiro do sistema indisponível: ${error.message}`);
+      }
+    }
+
+    if (!passphrase) {
+      throw new Error('Defina uma senha para proteger as chaves (chaveiro do sistema indisponível)');
+    }
+    if (passphrase.length < 8) {
+      throw new Error('A senha precisa ter ao menos 8 caracteres');
+    }
+    this.masterKey = key;
+    this.wrapWithPassphrase(passphrase);
+    console.log('Cofre de segredos criado com senha');
+    return this.getStatus();
+  }
+
+  wrapWithPassphrase(passphrase) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    this.saveMeta({
+      version: 1,
+      mode: 'passphrase',
+      salt,
+      wrappedKey: this.encrypt(this.deriveKey(passphrase, salt), this.masterKey),
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Trocar a proteção da chave mestra para uma (nova) senha
+  setPassphrase(passphrase) {
+    this.assertUnlocked();
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error('A senha precisa ter ao menos 8 caracteres');
+    }
+    this.wrapWithPassphrase(passphrase);
+    console.log('Senha do cofre de segredos atualizada');
+    return this.getStatus();
+  }
+
+  // Passar a guardar a chave mestra no chaveiro do sistema
+  useKeyring() {
+    this.assertUnlocked();
+    if (!this.isKeyringAvailable()) {
+      throw new Error(`Chaveiro do sistema indisponível em ${process.platform}`);
+    }
+    this.writeKeyring(this.masterKey);
+    this.saveMeta({ version: 1, mode: 'keyring', createdAt: new Date().toISOString() });
+    console.log('Chave mestra movida para o chaveiro do sistema');
+    return this.getStatus();
+  }
+
+  lock() {
+    if (this.masterKey) {
+      this.masterKey.fill(0);
+      this.masterKey = null;
+    }
+  }
+
+  assertUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error('Cofre de segredos bloqueado: desbloqueie com a senha ou o chaveiro do sistema');
+    }
+  }
+
+  isSealed(value) {
+    return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+  }
+
+  // Cifrar um segredo para gravação em disco
+  seal(value) {
+    if (value === null || value === undefined || this.isSealed(value)) return value;
+    this.assertUnlocked();
+    return SEALED_PREFIX + this.encrypt(this.masterKey, Buffer.from(String(value), 'utf8'));
+  }
+
+  // Decifrar um segredo (valores antigos em texto puro passam direto)
+  reveal(value) {
+    if (!this.isSealed(value)) return value;
+    this.assertUnlocked();
+    try {
+      return this.decrypt(this.masterKey, value.slice(SEALED_PREFIX.length)).toString('utf8');
+    } catch {
+      throw new Error('Não foi possível decifrar segredo: chave mestra diferente ou dado corrompido');
+    }
+  }
+
+  // Sobrescrever o conteúdo com bytes aleatórios antes de remover o arquivo
+  secureDelete(file) {
+    let fd = null;
+    try {
+      const { size } = fs.statSync(file);
+      fd = fs.openSync(file, 'r+');
+      fs.writeSync(fd, crypto.randomBytes(size), 0, size, 0);
+      fs.fsyncSync(fd);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      console.error(`Erro ao sobrescrever ${file}:`, error.message);
+    } finally {
+      if (fd !== null) fs.closeSync(fd);
+    }
+    fs.rmSync(file, { force: true });
+    return true;
+  }
+
+  getStatus() {
+    const meta = this.loadMeta();
+    return {
+      configured: meta !== null,
+      mode: meta ? meta.mode : null,
+      unlocked: this.isUnlocked(),
+      keyringAvailable: this.isKeyringAvailable()
+    };
+  }
+}
+
+module.exports = new SecretStore();
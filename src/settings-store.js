@@ -0,0 +1,298 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const net = require('net');
+const cidr = require('./cidr');
+
+const SCHEMA_VERSION = 1;
+
+// Esquema das configurações: seção -> chave -> { type, default, limites, label }.
+// O renderer monta a página de configurações a partir daqui.
+const SCHEMA = {
+  analysis: {
+    label: 'Análise de rotas',
+    fields: {
+      interval: { type: 'integer', default: 5000, min: 1000, max: 3600000, unit: 'ms', label: 'Intervalo entre ciclos de análise' },
+      cacheTimeout: { type: 'integer', default: 30000, min: 0, max: 3600000, unit: 'ms', label: 'Validade das métricas em cache' },
+      concurrency: { type: 'integer', default: 4, min: 1, max: 16, label: 'Rotas medidas em paralelo' }
+    }
+  },
+  probe: {
+    label: 'Medição',
+    fields: {
+      pingCount: { type: 'integer', default: 20, min: 1, max: 200, label: 'Pings por rajada ICMP' },
+      // O ping do sistema não aceita intervalos menores que 0,2s sem root
+      pingInterval: { type: 'number', default: 0.2, min: 0.2, max: 5, unit: 's', label: 'Intervalo entre pings' },
+      pingTimeout: { type: 'number', default: 2, min: 0.5, max: 30, unit: 's', label: 'Timeout de cada ping' },
+      mtuCacheTimeout: { type: 'integer', default: 600000, min: 0, max: 86400000, unit: 'ms', label: 'Validade do path MTU descoberto' },
+      traceQueries: { type: 'integer', default: 5, min: 1, max: 10, label: 'Sondas por salto no traceroute' },
+      traceMaxHops: { type: 'integer', default: 20, min: 1, max: 64, label: 'Máximo de saltos no traceroute' },
+      traceInterval: { type: 'integer', default: 600000, min: 60000, max: 86400000, unit: 'ms', label: 'Intervalo entre traceroutes de cada rota' },
+      // O teste de banda baixa/envia até 25 MB por sentido: fora do ciclo e, por padrão, só sob demanda
+      throughputAuto: { type: 'boolean', default: false, label: 'Medir banda automaticamente (consome dados)' },
+      throughputCacheTimeout: { type: 'integer', default: 3600000, min: 60000, max: 604800000, unit: 'ms', label: 'Validade do teste de banda' }
+    }
+  },
+  tunnel: {
+    label: 'Túnel WireGuard',
+    fields: {
+      mtu: { type: 'integer', default: 1420, min: 1280, max: 9000, label: 'MTU quando o path MTU não é conhecido' },
+      dns: { type: 'ipList', default: ['8.8.8.8', '1.1.1.1'], label: 'DNS quando o perfil não define nenhum' },
+      // Sem porta fixa o sistema escolhe uma livre; 51820 é a porta usual do WireGuard
+      listenPort: { type: 'integer', default: null, min: 1, max: 65535, nullable: true, label: 'Porta local (vazio = automática, ex.: 51820)' },
+      // Usados em ordem quando o perfil não traz Address do servidor
+      addressPools4: { type: 'cidrList', family: 4, default: ['10.77.0.0/16', '172.29.0.0/16', '192.168.177.0/24'], label: 'Pools IPv4 para o endereço do túnel' },
+      addressPools6: { type: 'cidrList', family: 6, default: ['fd77:6869:7261::/48'], label: 'Pools IPv6 para o endereço do túnel' }
+    }
+  },
+  failover: {
+    label: 'Failover automático',
+    fields: {
+      enabled: { type: 'boolean', default: false, label: 'Trocar de rota automaticamente' },
+      margin: { type: 'number', default: 10, min: 0, max: 100, label: 'Vantagem mínima de score (pontos)' },
+      sustain: { type: 'integer', default: 30000, min: 0, max: 3600000, unit: 'ms', label: 'Tempo sustentado antes de trocar' },
+      cooldown: { type: 'integer', default: 120000, min: 0, max: 86400000, unit: 'ms', label: 'Intervalo mínimo entre trocas' }
+    }
+  },
+  ui: {
+    label: 'Interface',
+    fields: {
+      statsInterval: { type: 'integer', default: 2000, min: 500, max: 60000, unit: 'ms', label: 'Atualização das estatísticas' }
+    }
+  }
+};
+
+// Migrações do arquivo: MIGRATIONS[n] leva da versão n-1 para n
+const MIGRATIONS = {
+  // Arquivos sem versão (escritos à mão) usavam chaves planas; cada uma vai
+  // para a seção em que existe no esquema
+  1: (stored) => {
+    const migrated = {};
+    for (const [section, { fields }] of Object.entries(SCHEMA)) {
+      migrated[section] = { ...(stored[section] || {}) };
+      for (const key of Object.keys(fields)) {
+        if (stored[key] !== undefined && migrated[section][key] === undefined) {
+          migrated[section][key] = stored[key];
+        }
+      }
+    }
+    return migrated;
+  }
+};
+
+// Configurações persistentes em ~/.hiraishin/settings.json. Edições pelo app
+// ou à mão no arquivo são validadas e avisadas pelo evento 'change'.
+class SettingsStore extends EventEmitter {
+  constructor() {
+    super();
+    this.basePath = path.join(os.homedir(), '.hiraishin');
+    this.settingsFile = path.join(this.basePath, 'settings.json');
+    this.schema = SCHEMA;
+    this.settings = null;
+    this.watching = false;
+  }
+
+  // Valores padrão de todo o esquema
+  defaults() {
+    const settings = {};
+    for (const [section, { fields }] of Object.entries(SCHEMA)) {
+      settings[section] = {};
+      for (const [key, field] of Object.entries(fields)) {
+        settings[section][key] = Array.isArray(field.default) ? [...field.default] : field.default;
+      }
+    }
+    return settings;
+  }
+
+  // Carregar, migrar e validar; valores inválidos voltam ao padrão
+  load() {
+    if (this.settings) return this.settings;
+    this.settings = this.read();
+    return this.settings;
+  }
+
+  read() {
+    if (!fs.existsSync(this.settingsFile)) return this.defaults();
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.settingsFile, 'utf8'));
+      const { settings, migrated } = this.migrate(stored);
+      const { value, errors } = this.validate(settings, this.defaults());
+      for (const error of errors) {
+        console.error(`Configuração inválida em ${this.settingsFile}, usando padrão: ${error}`);
+      }
+      if (migrated) {
+        this.write(value);
+      }
+      return value;
+    } catch (error) {
+      console.error(`Configurações inválidas (${this.settingsFile}), usando padrões:`, error.message);
+      return this.defaults();
+    }
+  }
+
+  // Aplicar as migrações pendentes até a versão atual do esquema
+  migrate(stored) {
+    const version = Number.isInteger(stored.version) ? stored.version : 0;
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`Arquivo de configurações da versão ${version}, mais nova que a suportada (${SCHEMA_VERSION})`);
+    }
+
+    let settings = stored;
+    for (let next = version + 1; next <= SCHEMA_VERSION; next++) {
+      settings = MIGRATIONS[next](settings);
+      console.log(`Configurações migradas para a versão ${next}`);
+    }
+    return { settings, migrated: version < SCHEMA_VERSION };
+  }
+
+  // Validar contra o esquema. Campos ausentes ou inválidos ficam com o valor de
+  // `base`; chaves desconhecidas são descartadas. Retorna { value, errors }.
+  validate(settings, base) {
+    const value = {};
+    const errors = [];
+
+    for (const [section, { fields }] of Object.entries(SCHEMA)) {
+      const input = settings && typeof settings[section] === 'object' && settings[section] ? settings[section] : {};
+      value[section] = { ...base[section] };
+      for (const [key, field] of Object.entries(fields)) {
+        if (input[key] === undefined) continue;
+        try {
+          value[section][key] = this.validateField(field, input[key]);
+        } catch (error) {
+          errors.push(`${section}.${key}: ${error.message}`);
+        }
+      }
+    }
+
+    return { value, errors };
+  }
+
+  validateField(field, raw) {
+    if (raw === null || raw === '') {
+      if (field.nullable) return null;
+      throw new Error('valor obrigatório');
+    }
+
+    switch (field.type) {
+      case 'boolean':
+        if (typeof raw !== 'boolean') throw new Error('use true ou false');
+        return raw;
+      case 'integer':
+      case 'number': {
+        const value = Number(raw);
+        if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+          throw new Error(`${raw} não é ${field.type === 'integer' ? 'um inteiro' : 'um número'}`);
+        }
+        if (value < field.min || value > field.max) {
+          throw new Error(`${value} fora do intervalo ${field.min}-${field.max}`);
+        }
+        return value;
+      }
+      case 'ipList': {
+        const list = Array.isArray(raw) ? raw : String(raw).split(/[\s,]+/);
+        const addresses = list.map(entry => String(entry).trim()).filter(Boolean);
+        const invalid = addresses.filter(address => !net.isIP(address));
+        if (invalid.length > 0) throw new Error(`endereços inválidos: ${invalid.join(', ')}`);
+        if (addresses.length === 0) throw new Error('informe ao menos um endereço');
+        return addresses;
+      }
+      case 'cidrList': {
+        const list = Array.isArray(raw) ? raw : String(raw).split(/[\s,]+/);
+        const ranges = list.map(entry => String(entry).trim()).filter(Boolean);
+        const invalid = ranges.filter(range => {
+          try {
+            const parsed = cidr.parseCidr(range);
+            // Pools precisam de ao menos 4 endereços (rede, .1 e broadcast ficam de fora)
+            return parsed.family !== field.family || parsed.end - parsed.start < 3n;
+          } catch {
+            return true;
+          }
+        });
+        if (invalid.length > 0) throw new Error(`redes IPv${field.family} inválidas: ${invalid.join(', ')}`);
+        if (ranges.length === 0) throw new Error('informe ao menos uma rede');
+        return ranges;
+      }
+      default:
+        throw new Error(`tipo desconhecido: ${field.type}`);
+    }
+  }
+
+  get() {
+    return this.load();
+  }
+
+  // Alterar parte das configurações ({ seção: { chave: valor } }); nada é
+  // gravado se algum valor for inválido
+  update(patch) {
+    const current = this.load();
+    for (const section of Object.keys(patch || {})) {
+      if (!SCHEMA[section]) {
+        throw new Error(`Seção de configuração desconhecida: ${section}`);
+      }
+      for (const key of Object.keys(patch[section] || {})) {
+        if (!SCHEMA[section].fields[key]) {
+          throw new Error(`Configuração desconhecida: ${section}.${key}`);
+        }
+      }
+    }
+
+    const { value, errors } = this.validate(patch, current);
+    if (errors.length > 0) {
+      throw new Error(`Configurações inválidas: ${errors.join('; ')}`);
+    }
+    return this.commit(value);
+  }
+
+  // Voltar uma seção (ou tudo) aos padrões
+  reset(section = null) {
+    const current = this.load();
+    if (section && !SCHEMA[section]) {
+      throw new Error(`Seção de configuração desconhecida: ${section}`);
+    }
+    const defaults = this.defaults();
+    return this.commit(section ? { ...current, [section]: defaults[section] } : defaults);
+  }
+
+  commit(settings) {
+    const changed = JSON.stringify(settings) !== JSON.stringify(this.settings);
+    this.write(settings);
+    this.settings = settings;
+    if (changed) {
+      this.emit('change', settings);
+    }
+    return settings;
+  }
+
+  write(settings) {
+    if (!fs.existsSync(this.basePath)) {
+      fs.mkdirSync(this.basePath, { recursive: true, mode: 0o700 });
+    }
+    const tmpFile = `${this.settingsFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ version: SCHEMA_VERSION, ...settings }, null, 2));
+    fs.renameSync(tmpFile, this.settingsFile);
+  }
+
+  // Recarregar quando o arquivo for editado fora do app
+  watch(interval = 2000) {
+    if (this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.settingsFile, { interval }, () => {
+      const settings = this.read();
+      if (JSON.stringify(settings) !== JSON.stringify(this.settings)) {
+        console.log('Configurações recarregadas do disco');
+        this.settings = settings;
+        this.emit('change', settings);
+      }
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.settingsFile);
+    this.watching = false;
+  }
+}
+
+module.exports = new SettingsStore();
@@ -0,0 +1,112 @@
+const dns = require('dns').promises;
+const cidr = require('./cidr');
+
+// Faixas de rede local (RFC 1918, link-local, multicast e ULA IPv6)
+const LAN_RANGES = [
+  '10.0.0.0/8',
+  '172.16.0.0/12',
+  '192.168.0.0/16',
+  '169.254.0.0/16',
+  '224.0.0.0/4',
+  '255.255.255.255/32',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8'
+];
+
+const DEFAULT_ROUTES = ['0.0.0.0/0', '::/0'];
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(\*\.)?([a-zA-Z0-9-]{1,63}\.)*[a-zA-Z0-9-]{1,63}$/;
+
+class SplitTunnel {
+  constructor() {
+    this.lanRanges = LAN_RANGES;
+  }
+
+  // Validar e normalizar regras de split tunneling de um perfil
+  normalizeRules(rules = {}) {
+    const normalizeList = (list, label) => {
+      const entries = (Array.isArray(list) ? list : String(list || '').split(','))
+        .map(entry => String(entry).trim())
+        .filter(Boolean);
+      for (const entry of entries) {
+        if (!this.isCidrEntry(entry) && !HOSTNAME_PATTERN.test(entry)) {
+          throw new Error(`Regra de ${label} inválida: ${entry}`);
+        }
+      }
+      return entries;
+    };
+
+    return {
+      include: normalizeList(rules.include, 'inclusão'),
+      exclude: normalizeList(rules.exclude, 'exclusão'),
+      bypassLan: Boolean(rules.bypassLan)
+    };
+  }
+
+  isCidrEntry(entry) {
+    try {
+      cidr.parseCidr(entry);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Verificar se há alguma regra ativa
+  isEnabled(rules) {
+    return Boolean(rules && (rules.include.length > 0 || rules.exclude.length > 0 || rules.bypassLan));
+  }
+
+  // Converter entradas (CIDRs e domínios) em CIDRs, resolvendo domínios via DNS
+  async expandEntries(entries) {
+    const cidrs = [];
+    for (const entry of entries) {
+      if (this.isCidrEntry(entry)) {
+        cidrs.push(entry);
+        continue;
+      }
+      const host = entry.replace(/^\*\./, '');
+      try {
+        const addresses = await dns.lookup(host, { all: true });
+        for (const { address, family } of addresses) {
+          cidrs.push(`${address}/${family === 6 ? 128 : 32}`);
+        }
+      } catch (error) {
+        console.error(`Erro ao resolver domínio da regra ${entry}:`, error.message);
+      }
+    }
+    return cidrs;
+  }
+
+  // Resolver os hosts dos endpoints para que o túnel não roteie a si mesmo
+  async resolveEndpoints(endpoints) {
+    const hosts = endpoints
+      .map(endpoint => {
+        const match = String(endpoint).match(/^\[?([^\]]+?)\]?:\d+$/);
+        return match ? match[1] : null;
+      })
+      .filter(Boolean);
+    return this.expandEntries(hosts);
+  }
+
+  // Calcular o AllowedIPs efetivo de um peer a partir das regras
+  async computeAllowedIPs(peerAllowedIPs, rules, endpoints = []) {
+    const base = peerAllowedIPs.length > 0 ? peerAllowedIPs : DEFAULT_ROUTES;
+    let allowed = base;
+
+    if (rules.include.length > 0) {
+      allowed = cidr.intersect(base, await this.expandEntries(rules.include));
+    }
+
+    const excluded = await this.expandEntries(rules.exclude);
+    if (rules.bypassLan) {
+      excluded.push(...this.lanRanges);
+    }
+    excluded.push(...(await this.resolveEndpoints(endpoints)));
+
+    return cidr.subtract(allowed, excluded);
+  }
+}
+
+module.exports = new SplitTunnel();
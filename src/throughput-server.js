@@ -0,0 +1,122 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Limite por requisição de download, para o servidor não virar fonte infinita
+const MAX_DOWNLOAD_BYTES = 1024 * 1024 * 1024;
+const DEFAULT_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+
+// Servidor local de teste de banda, compatível com os caminhos do speed.cloudflare.com:
+//   GET  /__down?bytes=N  -> N bytes aleatórios
+//   POST /__up            -> descarta o corpo e responde { bytes }
+// Permite rodar o teste de throughput offline (CI, laboratório).
+class ThroughputServer {
+  constructor() {
+    this.server = null;
+    this.block = crypto.randomBytes(64 * 1024);
+    this.url = null;
+  }
+
+  isRunning() {
+    return this.server !== null;
+  }
+
+  // Enviar `bytes` bytes respeitando o backpressure do socket
+  sendDownload(res, bytes) {
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': bytes,
+      'Cache-Control': 'no-store'
+    });
+
+    let remaining = bytes;
+    const pump = () => {
+      while (remaining > 0) {
+        const size = Math.min(this.block.length, remaining);
+        remaining -= size;
+        const chunk = size === this.block.length ? this.block : this.block.subarray(0, size);
+        if (!res.write(chunk)) {
+          res.once('drain', pump);
+          return;
+        }
+      }
+      res.end();
+    };
+    res.on('close', () => {
+      remaining = 0;
+    });
+    pump();
+  }
+
+  // Contar e descartar o corpo do upload
+  receiveUpload(req, res) {
+    let bytes = 0;
+    req.on('data', chunk => {
+      bytes += chunk.length;
+    });
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ bytes }));
+    });
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/__down') {
+      const requested = Number(url.searchParams.get('bytes') || DEFAULT_DOWNLOAD_BYTES);
+      if (!Number.isInteger(requested) || requested < 0) {
+        res.writeHead(400);
+        res.end('bytes inválido');
+        return;
+      }
+      this.sendDownload(res, Math.min(requested, MAX_DOWNLOAD_BYTES));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/__up') {
+      this.receiveUpload(req, res);
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  }
+
+  // Iniciar o servidor; porta 0 escolhe uma porta livre
+  async start({ host = '127.0.0.1', port = 0 } = {}) {
+    if (this.server) return this.url;
+
+    const server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+
+    this.server = server;
+    const address = server.address();
+    this.url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+    console.log(`Servidor de teste de throughput em ${this.url}`);
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    console.log('Servidor de teste de throughput parado');
+  }
+}
+
+module.exports = new ThroughputServer();
+
+// Execução direta: node src/throughput-server.js [porta] [host]
+if (require.main === module) {
+  const [port = 8080, host = '127.0.0.1'] = process.argv.slice(2);
+  module.exports.start({ host, port: Number(port) }).catch(error => {
+    console.error('Erro ao iniciar servidor de teste:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,184 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Teste ativo de banda: download/upload HTTP cronometrado com vários fluxos TCP
+// em paralelo. Os primeiros `warmup` ms são descartados (slow start do TCP) e o
+// teste termina no fim de `duration` ou ao atingir `maxBytes`, o que vier primeiro.
+class ThroughputTest {
+  constructor() {
+    this.defaults = {
+      url: 'https://speed.cloudflare.com',
+      direction: 'both',
+      duration: 6000,
+      warmup: 1000,
+      streams: 4,
+      maxBytes: 25 * 1024 * 1024,
+      timeout: 10000,
+      localAddress: null,
+      family: 0
+    };
+    this.uploadBlock = crypto.randomBytes(64 * 1024);
+  }
+
+  // Contador de bytes que separa o período de aquecimento da medição
+  createMeter(warmup) {
+    const startedAt = Date.now();
+    const meter = {
+      total: 0,
+      measured: 0,
+      add(bytes) {
+        meter.total += bytes;
+        if (Date.now() - startedAt >= warmup) {
+          meter.measured += bytes;
+        }
+      },
+      result() {
+        const elapsed = Date.now() - startedAt;
+        const measuredTime = elapsed - warmup;
+        // Teste curto demais para descartar o aquecimento: usar o total
+        const useMeasured = meter.measured > 0 && measuredTime >= 200;
+        const bytes = useMeasured ? meter.measured : meter.total;
+        const seconds = (useMeasured ? measuredTime : elapsed) / 1000;
+        return {
+          mbps: seconds > 0 ? (bytes * 8) / seconds / 1e6 : 0,
+          bytes: meter.total,
+          duration: elapsed,
+          warmupExcluded: useMeasured
+        };
+      }
+    };
+    return meter;
+  }
+
+  endpoint(base, path) {
+    return new URL(path, base.endsWith('/') ? base : `${base}/`);
+  }
+
+  requestOptions(options) {
+    return {
+      // Sem keep-alive: cada fluxo precisa da própria conexão TCP
+      agent: false,
+      timeout: options.timeout,
+      ...(options.localAddress ? { localAddress: options.localAddress } : {}),
+      // Resolver o servidor na mesma família do endereço de origem
+      ...(options.family ? { family: options.family } : {})
+    };
+  }
+
+  // Rodar `streams` fluxos em paralelo até o tempo ou o limite de bytes acabar
+  runStreams(options, openStream) {
+    const meter = this.createMeter(options.warmup);
+    const requests = [];
+    const errors = [];
+
+    return new Promise(resolve => {
+      let pending = options.streams;
+      let finished = false;
+
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        for (const req of requests) req.destroy();
+        resolve({ ...meter.result(), streams: options.streams, errors: errors.map(error => error.message) });
+      };
+      const timer = setTimeout(finish, options.duration);
+
+      const perStream = Math.ceil(options.maxBytes / options.streams);
+      for (let index = 0; index < options.streams; index++) {
+        let done = false;
+        const streamDone = error => {
+          if (done) return;
+          done = true;
+          if (error && !finished) errors.push(error);
+          if (--pending === 0) finish();
+        };
+        const onBytes = bytes => {
+          meter.add(bytes);
+          if (meter.total >= options.maxBytes) finish();
+        };
+        requests.push(openStream(perStream, onBytes, streamDone, () => finished));
+      }
+    });
+  }
+
+  // Download: GET /__down?bytes=N em cada fluxo
+  download(options) {
+    const client = options.url.startsWith('https:') ? https : http;
+    return this.runStreams(options, (bytes, onBytes, streamDone) => {
+      const url = this.endpoint(options.url, `__down?bytes=${bytes}`);
+      const req = client.get(url, this.requestOptions(options), res => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          streamDone(new Error(`Download respondeu HTTP ${res.statusCode}`));
+          return;
+        }
+        res.on('data', chunk => onBytes(chunk.length));
+        res.on('end', () => streamDone());
+        res.on('error', streamDone);
+      });
+      req.on('timeout', () => req.destroy(new Error('Tempo esgotado no download')));
+      req.on('error', streamDone);
+      return req;
+    });
+  }
+
+  // Upload: POST /__up com corpo aleatório em cada fluxo
+  upload(options) {
+    const client = options.url.startsWith('https:') ? https : http;
+    return this.runStreams(options, (bytes, onBytes, streamDone, isFinished) => {
+      const url = this.endpoint(options.url, '__up');
+      const req = client.request(url, {
+        ...this.requestOptions(options),
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': bytes }
+      }, res => {
+        res.resume();
+        res.on('end', () => streamDone(res.statusCode === 200 ? null : new Error(`Upload respondeu HTTP ${res.statusCode}`)));
+      });
+      req.on('timeout', () => req.destroy(new Error('Tempo esgotado no upload')));
+      req.on('error', streamDone);
+
+      let sent = 0;
+      const pump = () => {
+        while (!isFinished() && sent < bytes) {
+          const size = Math.min(this.uploadBlock.length, bytes - sent);
+          sent += size;
+          const chunk = size === this.uploadBlock.length ? this.uploadBlock : this.uploadBlock.subarray(0, size);
+          // Contar só o que já foi entregue ao socket
+          if (!req.write(chunk, () => onBytes(size))) {
+            req.once('drain', pump);
+            return;
+          }
+        }
+        if (!isFinished()) req.end();
+      };
+      pump();
+      return req;
+    });
+  }
+
+  // Executar o teste; retorna Mbps por direção
+  async run(options = {}) {
+    const settings = { ...this.defaults, ...options };
+    if (settings.streams < 1 || settings.duration <= 0 || settings.maxBytes <= 0) {
+      throw new Error('Parâmetros de teste de throughput inválidos');
+    }
+
+    const result = { url: settings.url, timestamp: new Date() };
+    for (const direction of ['download', 'upload']) {
+      if (settings.direction !== 'both' && settings.direction !== direction) continue;
+
+      const measurement = await this[direction](settings);
+      if (measurement.bytes === 0 && measurement.errors.length > 0) {
+        throw new Error(`Teste de ${direction} falhou: ${measurement.errors[0]}`);
+      }
+      result[direction] = measurement;
+    }
+
+    return result;
+  }
+}
+
+module.exports = new ThroughputTest();
@@ -0,0 +1,130 @@
+const net = require('net');
+const qualityMetrics = require('./quality-metrics');
+
+// Traceroute estilo MTR: `queries` sondas por salto dão RTT e perda de cada salto
+
+// Comando do traceroute do sistema, saindo pela interface/origem da rota
+function buildCommand(target, binding, { queries = 5, maxHops = 20, wait = 1 } = {}) {
+  const v6 = binding.family === 6;
+  if (process.platform === 'win32') {
+    // tracert envia sempre 3 sondas por salto e só escolhe a origem em IPv6
+    return v6
+      ? `tracert -6 -d -h ${maxHops} -w ${wait * 1000} -S ${binding.localAddress} ${target}`
+      : `tracert -d -h ${maxHops} -w ${wait * 1000} ${target}`;
+  }
+  if (process.platform === 'linux') {
+    return `traceroute ${v6 ? '-6 ' : ''}-n -q ${queries} -w ${wait} -m ${maxHops} -i ${binding.iface} -s ${binding.localAddress} ${target}`;
+  }
+  return `${v6 ? 'traceroute6' : 'traceroute'} -n -q ${queries} -w ${wait} -m ${maxHops} -s ${binding.localAddress} ${target}`;
+}
+
+// Métricas do salto a partir das sondas: endereços que responderam e RTTs
+function summarizeHop(hop, sent, addresses, times) {
+  const summary = qualityMetrics.summarize({ sent, times });
+  const counts = new Map();
+  for (const address of addresses) {
+    counts.set(address, (counts.get(address) || 0) + 1);
+  }
+  // Endereço principal: o que mais respondeu (caminhos com ECMP têm vários)
+  const address = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value)[0] || null;
+
+  return {
+    hop,
+    address,
+    addresses: [...counts.keys()],
+    sent,
+    received: summary.received,
+    packetLoss: summary.packetLoss,
+    latency: summary.received > 0 ? summary.latency : null,
+    min: summary.min,
+    max: summary.max
+  };
+}
+
+// Saída do traceroute (Linux/macOS):
+//  1  192.168.1.1  1.234 ms  1.100 ms *
+//  3  10.0.0.1  5.1 ms 10.0.0.2  6.2 ms !H
+function parseUnix(output, queries) {
+  const hops = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(/^\s*(\d+)\s+(.*)$/);
+    if (!match) continue;
+
+    const tokens = match[2].trim().split(/\s+/);
+    const addresses = [];
+    const times = [];
+    let current = null;
+    let sent = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token === '*') {
+        sent++;
+      } else if (net.isIP(token)) {
+        current = token;
+      } else if (tokens[i + 1] === 'ms' && Number.isFinite(Number(token))) {
+        sent++;
+        times.push(Number(token));
+        if (current) addresses.push(current);
+        i++;
+      }
+    }
+    hops.push(summarizeHop(Number(match[1]), Math.max(sent, queries), addresses, times));
+  }
+  return hops;
+}
+
+// Saída do tracert (Windows):
+//   1    <1 ms    <1 ms    <1 ms  192.168.1.1
+//   2     *        *        *     Request timed out.
+function parseWindows(output) {
+  const hops = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(/^\s*(\d+)\s+((?:(?:<?\d+\s*ms|\*)\s+){3})(.*)$/);
+    if (!match) continue;
+
+    const probes = match[2].match(/<?\d+\s*ms|\*/g);
+    const times = probes
+      .filter(probe => probe !== '*')
+      .map(probe => (probe.startsWith('<') ? 0.5 : parseFloat(probe)));
+    const address = match[3].trim().split(/\s+/).find(token => net.isIP(token.replace(/[[\]]/g, '')));
+    const addresses = address ? times.map(() => address.replace(/[[\]]/g, '')) : [];
+    hops.push(summarizeHop(Number(match[1]), probes.length, addresses, times));
+  }
+  return hops;
+}
+
+function parseOutput(output, { queries = 5 } = {}) {
+  return process.platform === 'win32' ? parseWindows(output) : parseUnix(output, queries);
+}
+
+// Comparar dois traçados do mesmo destino; retorna a primeira divergência ou null.
+// Saltos sem resposta em um dos lados não contam; saltos com ECMP só mudam se
+// nenhum endereço for comum aos dois traçados.
+function comparePaths(previous, current) {
+  if (!previous || !current) return null;
+
+  const length = Math.min(previous.length, current.length);
+  for (let i = 0; i < length; i++) {
+    const before = previous[i].addresses;
+    const after = current[i].addresses;
+    if (before.length === 0 || after.length === 0) continue;
+    if (!after.some(address => before.includes(address))) {
+      return { hop: current[i].hop, from: previous[i].address, to: current[i].address };
+    }
+  }
+
+  // Mesmo prefixo, mas o destino passou a ser alcançado em outro número de saltos
+  const reached = hops => hops.length > 0 && hops[hops.length - 1].received > 0;
+  if (reached(previous) && reached(current) && previous.length !== current.length) {
+    return { hop: length + 1, from: `${previous.length} saltos`, to: `${current.length} saltos` };
+  }
+  return null;
+}
+
+module.exports = {
+  buildCommand,
+  comparePaths,
+  parseOutput,
+  parseUnix,
+  parseWindows
+};
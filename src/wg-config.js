@@ -0,0 +1,272 @@
+const net = require('net');
+
+// Campos aceitos por seção, no formato do wg-quick
+const INTERFACE_FIELDS = {
+  PrivateKey: 'key',
+  Address: 'cidrList',
+  DNS: 'dnsList',
+  MTU: 'mtu',
+  ListenPort: 'port',
+  Table: 'table',
+  FwMark: 'fwmark',
+  PreUp: 'hook',
+  PostUp: 'hook',
+  PreDown: 'hook',
+  PostDown: 'hook',
+  SaveConfig: 'bool'
+};
+
+const PEER_FIELDS = {
+  PublicKey: 'key',
+  PresharedKey: 'key',
+  AllowedIPs: 'cidrList',
+  Endpoint: 'endpoint',
+  PersistentKeepalive: 'keepalive'
+};
+
+// Campos que podem se repetir (valores acumulados em lista)
+const LIST_TYPES = ['cidrList', 'dnsList', 'hook'];
+
+class ConfigParseError extends Error {
+  constructor(errors) {
+    const summary = errors.map(error => `Linha ${error.line}: ${error.message}`).join('\n');
+    super(`Configuração WireGuard inválida:\n${summary}`);
+    this.name = 'ConfigParseError';
+    this.errors = errors;
+  }
+}
+
+// Normalizar nome do campo ignorando maiúsculas/minúsculas, como o wg-quick
+function canonicalField(fields, key) {
+  const lower = key.toLowerCase();
+  return Object.keys(fields).find(field => field.toLowerCase() === lower) || null;
+}
+
+function isValidKey(value) {
+  return /^[A-Za-z0-9+/]{43}=$/.test(value) && Buffer.from(value, 'base64').length === 32;
+}
+
+function isValidCidr(value) {
+  const [ip, prefix, ...rest] = value.split('/');
+  const family = net.isIP(ip);
+  if (!family || rest.length > 0) return false;
+  if (prefix === undefined) return true;
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (family === 4 ? 32 : 128);
+}
+
+function isValidEndpoint(value) {
+  const match = value.match(/^(?:\[([0-9a-fA-F:.]+)\]|([^\s:[\]]+)):(\d{1,5})$/);
+  if (!match) return false;
+  if (match[1] && net.isIP(match[1]) !== 6) return false;
+  return Number(match[3]) > 0 && Number(match[3]) <= 65535;
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Validar e converter o valor de um campo; retorna { value } ou { error }
+function parseValue(type, raw) {
+  switch (type) {
+    case 'key':
+      return isValidKey(raw) ? { value: raw } : { error: 'chave inválida (esperado 32 bytes em base64)' };
+    case 'cidrList': {
+      const items = splitList(raw);
+      const invalid = items.find(item => !isValidCidr(item));
+      return invalid ? { error: `endereço/CIDR inválido: ${invalid}` } : { value: items };
+    }
+    case 'dnsList':
+      // O wg-quick aceita IPs e domínios de busca na mesma lista
+      return { value: splitList(raw) };
+    case 'mtu': {
+      const mtu = Number(raw);
+      return Number.isInteger(mtu) && mtu >= 576 && mtu <= 65535
+        ? { value: mtu }
+        : { error: `MTU inválido: ${raw}` };
+    }
+    case 'port': {
+      const port = Number(raw);
+      return Number.isInteger(port) && port >= 0 && port <= 65535
+        ? { value: port }
+        : { error: `porta inválida: ${raw}` };
+    }
+    case 'table':
+      return /^(off|auto|\d+|[A-Za-z_][\w-]*)$/.test(raw)
+        ? { value: raw }
+        : { error: `tabela de rotas inválida: ${raw}` };
+    case 'fwmark':
+      return /^(off|0x[0-9a-fA-F]+|\d+)$/.test(raw)
+        ? { value: raw }
+        : { error: `FwMark inválido: ${raw}` };
+    case 'hook':
+      return { value: [raw] };
+    case 'bool':
+      return /^(true|false)$/i.test(raw)
+        ? { value: raw.toLowerCase() === 'true' }
+        : { error: `valor booleano inválido: ${raw}` };
+    case 'endpoint':
+      return isValidEndpoint(raw) ? { value: raw } : { error: `Endpoint inválido (use host:porta): ${raw}` };
+    case 'keepalive': {
+      // "off" é mantido como está para sobreviver à ida e volta
+      if (raw === 'off') return { value: 'off' };
+      const seconds = Number(raw);
+      return Number.isInteger(seconds) && seconds >= 0 && seconds <= 65535
+        ? { value: seconds }
+        : { error: `PersistentKeepalive inválido: ${raw}` };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+// Ler um arquivo .conf do wg-quick
+function parseConfig(text) {
+  const config = { iface: null, peers: [] };
+  const errors = [];
+  let section = null;
+  let current = null;
+  let sectionLine = 0;
+  let interfaceLine = 1;
+  const peerLines = [];
+
+  const closeSection = () => {
+    if (section === 'peer' && current && !current.PublicKey) {
+      errors.push({ line: sectionLine, message: '[Peer] sem PublicKey' });
+    }
+  };
+
+  const lines = String(text).split(/\r?\n/);
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      closeSection();
+      const name = header[1].trim().toLowerCase();
+      sectionLine = lineNumber;
+      if (name === 'interface') {
+        if (config.iface) {
+          errors.push({ line: lineNumber, message: 'seção [Interface] duplicada' });
+        }
+        section = 'interface';
+        interfaceLine = config.iface ? interfaceLine : lineNumber;
+        current = config.iface || {};
+        config.iface = current;
+      } else if (name === 'peer') {
+        section = 'peer';
+        current = {};
+        config.peers.push(current);
+        peerLines.push(lineNumber);
+      } else {
+        errors.push({ line: lineNumber, message: `seção desconhecida: [${header[1]}]` });
+        section = null;
+        current = null;
+      }
+      return;
+    }
+
+    const separator = line.indexOf('=');
+    if (separator < 0) {
+      errors.push({ line: lineNumber, message: `linha sem "=": ${line}` });
+      return;
+    }
+    if (!current) {
+      // Campos de seções desconhecidas já foram reportados no cabeçalho
+      if (sectionLine === 0) {
+        errors.push({ line: lineNumber, message: 'campo fora de uma seção [Interface] ou [Peer]' });
+      }
+      return;
+    }
+
+    const fields = section === 'interface' ? INTERFACE_FIELDS : PEER_FIELDS;
+    const key = canonicalField(fields, line.slice(0, separator).trim());
+    const rawValue = line.slice(separator + 1).trim();
+
+    if (!key) {
+      errors.push({
+        line: lineNumber,
+        message: `campo desconhecido em [${section === 'interface' ? 'Interface' : 'Peer'}]: ${line.slice(0, separator).trim()}`
+      });
+      return;
+    }
+
+    const type = fields[key];
+    const parsed = parseValue(type, rawValue);
+    if (parsed.error) {
+      errors.push({ line: lineNumber, message: `${key}: ${parsed.error}` });
+      return;
+    }
+
+    if (LIST_TYPES.includes(type)) {
+      current[key] = (current[key] || []).concat(parsed.value);
+    } else if (current[key] !== undefined) {
+      errors.push({ line: lineNumber, message: `campo ${key} duplicado` });
+    } else {
+      current[key] = parsed.value;
+    }
+  });
+  closeSection();
+
+  if (!config.iface) {
+    errors.push({ line: 1, message: 'seção [Interface] ausente' });
+  } else if (!config.iface.PrivateKey) {
+    errors.push({ line: interfaceLine, message: '[Interface] sem PrivateKey' });
+  }
+
+  const seenKeys = new Set();
+  config.peers.forEach((peer, index) => {
+    if (peer.PublicKey && seenKeys.has(peer.PublicKey)) {
+      errors.push({ line: peerLines[index], message: `peer duplicado: ${peer.PublicKey}` });
+    }
+    seenKeys.add(peer.PublicKey);
+  });
+
+  if (errors.length > 0) {
+    throw new ConfigParseError(errors.sort((a, b) => a.line - b.line));
+  }
+
+  return config;
+}
+
+// Escrever um campo (listas viram "a, b" e hooks uma linha por comando)
+function formatField(key, value, type) {
+  if (value === undefined || value === null || value === '') return '';
+  if (type === 'hook') {
+    return [].concat(value).map(command => `${key} = ${command}\n`).join('');
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? `${key} = ${value.join(', ')}\n` : '';
+  }
+  return `${key} = ${value}\n`;
+}
+
+// Gerar texto .conf a partir do modelo { iface, peers }
+function formatConfig(config) {
+  let configText = '[Interface]\n';
+  for (const [key, type] of Object.entries(INTERFACE_FIELDS)) {
+    configText += formatField(key, config.iface[key], type);
+  }
+
+  for (const peer of config.peers || []) {
+    configText += '\n[Peer]\n';
+    for (const [key, type] of Object.entries(PEER_FIELDS)) {
+      // 0 é o padrão dos perfis (ausente no .conf); "off" explícito é escrito
+      if (key === 'PersistentKeepalive' && peer[key] === 0) continue;
+      configText += formatField(key, peer[key], type);
+    }
+  }
+
+  return configText;
+}
+
+module.exports = {
+  ConfigParseError,
+  parseConfig,
+  formatConfig,
+  isValidKey,
+  isValidCidr,
+  isValidEndpoint
+};
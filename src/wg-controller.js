@@ -3,50 +3,172 @@ const { promisify } = require('util');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const net = require('net');
+const profileStore = require('./profile-store');
+const wgConfig = require('./wg-config');
+const splitTunnel = require('./split-tunnel');
+const killSwitch = require('./kill-switch');
+const dnsStub = require('./dns-stub');
+const dnsLeakTest = require('./dns-leak-test');
+const backends = require('./backends');
+const addressManager = require('./address-manager');
+const cidr = require('./cidr');
+const secretStore = require('./secret-store');
+const wgHandshake = require('./wg-handshake');
 
 const execAsync = promisify(exec);
 
+// Nomes de interface aceitos pelo wg-quick
+const INTERFACE_NAME_PATTERN = /^[a-zA-Z0-9_=+.-]{1,15}$/;
+
 class WireGuardController {
   constructor() {
-    this.isConnected = false;
-    this.currentConfig = null;
+    // Túneis ativos indexados pelo nome da interface
+    this.tunnels = new Map();
+    this.killSwitchOptions = { enabled: false, allowLan: false };
+    // Valores usados quando o perfil não define MTU, DNS ou porta (configurações)
+    this.tunnelDefaults = { mtu: 1420, dns: ['8.8.8.8', '1.1.1.1'], listenPort: null };
+    this.backend = backends.createBackend(backends.defaultBackendName());
+    killSwitch.setSimulated(this.backend.simulated);
     this.configPath = path.join(os.homedir(), '.hiraishin', 'configs');
     this.ensureConfigDirectory();
   }
 
+  get isConnected() {
+    return this.tunnels.size > 0;
+  }
+
+  // Aplicar a seção `tunnel` das configurações às próximas conexões
+  applySettings(settings) {
+    this.tunnelDefaults = {
+      mtu: settings.tunnel.mtu,
+      dns: [...settings.tunnel.dns],
+      listenPort: settings.tunnel.listenPort
+    };
+    addressManager.applySettings(settings);
+  }
+
   ensureConfigDirectory() {
     if (!fs.existsSync(this.configPath)) {
-      fs.mkdirSync(this.configPath, { recursive: true });
+      fs.mkdirSync(this.configPath, { recursive: true, mode: 0o700 });
+    }
+    fs.chmodSync(this.configPath, 0o700);
+  }
+
+  // Gravar o config efêmero do túnel (contém a chave privada) só para o usuário
+  writeTunnelConfig(configFile, config) {
+    this.ensureConfigDirectory();
+    secretStore.secureDelete(configFile);
+    fs.writeFileSync(configFile, this.formatConfig(config), { mode: 0o600, flag: 'wx' });
+  }
+
+  // Escolher nome de interface: o pedido ou "hs-<perfil>" sem colidir com túneis ativos
+  interfaceName(profile, requested = null) {
+    if (requested) {
+      if (!INTERFACE_NAME_PATTERN.test(requested)) {
+        throw new Error(`Nome de interface inválido: ${requested} (até 15 caracteres [a-zA-Z0-9_=+.-])`);
+      }
+      return requested;
+    }
+
+    const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tunnel';
+    const base = `hs-${slug}`.slice(0, 12);
+    let name = base;
+    for (let index = 1; this.tunnels.has(name); index++) {
+      name = `${base}${index}`;
     }
+    return name;
   }
 
-  async connect(route) {
+  async connect(route, options = {}) {
     try {
       console.log(`Conectando à rota: ${route.name}`);
-      const config = await this.generateConfig(route);
-      const configFile = path.join(this.configPath, `${route.id}.conf`);
-      fs.writeFileSync(configFile, config);
-      await this.startWireGuard(configFile);
-      this.isConnected = true;
-      this.currentConfig = route;
-      console.log(`Conectado com sucesso à rota: ${route.name}`);
-      return true;
+      const profile = options.profileId
+        ? profileStore.getProfile(options.profileId)
+        : profileStore.getActiveProfile();
+      if (!profile) {
+        throw new Error('Nenhum perfil de peer configurado');
+      }
+
+      const name = this.interfaceName(profile, options.name);
+      if (this.tunnels.has(name)) {
+        throw new Error(`Túnel ${name} já está ativo`);
+      }
+
+      const configFile = path.join(this.configPath, `${name}.conf`);
+      const built = await this.buildTunnelConfig(route, profile, { tunnelName: name, mtu: options.mtu, family: options.family });
+      const tunnel = {
+        name,
+        configFile,
+        route,
+        profileId: profile.id,
+        profileName: profile.name,
+        dnsSettings: profileStore.normalizeDnsSettings(profile.dnsSettings),
+        connectedAt: null,
+        ...built
+      };
+      this.warnOverlaps(tunnel);
+
+      const wasArmed = killSwitch.armed;
+      let started = false;
+      try {
+        this.writeTunnelConfig(configFile, tunnel.config);
+
+        // Armar antes de subir o túnel para não vazar tráfego na transição
+        if (this.killSwitchOptions.enabled) {
+          await this.applyKillSwitch([...this.tunnels.values(), tunnel]);
+        }
+        if (tunnel.dnsSettings.mode !== 'plain' && !dnsStub.isRunning()) {
+          await this.startDnsStub(tunnel.dnsSettings.upstreams);
+        }
+        await this.startWireGuard(configFile, tunnel.config);
+        started = true;
+        tunnel.connectedAt = new Date();
+        this.tunnels.set(name, tunnel);
+        await this.applyDnsBlocking();
+      } catch (error) {
+        this.tunnels.delete(name);
+        if (started) {
+          await this.stopWireGuard(configFile).catch(cleanupError => {
+            console.error('Erro ao derrubar túnel após falha:', cleanupError);
+          });
+        }
+        await this.releaseSharedState(wasArmed).catch(cleanupError => {
+          console.error('Erro ao restaurar estado após falha:', cleanupError);
+        });
+        secretStore.secureDelete(configFile);
+        throw error;
+      }
+
+      console.log(`Conectado com sucesso à rota: ${route.name} (${name})`);
+      return this.describeTunnel(tunnel);
     } catch (error) {
       console.error('Erro ao conectar:', error);
       throw error;
     }
   }
 
-  async disconnect() {
+  // Desconectar um túnel pelo nome da interface, ou todos se nenhum for informado
+  async disconnect(name = null) {
     try {
+      if (name && !this.tunnels.has(name)) {
+        throw new Error(`Túnel não encontrado: ${name}`);
+      }
       if (!this.isConnected) {
         console.log('Não há conexão ativa');
+        await killSwitch.disarm();
         return true;
       }
-      console.log('Desconectando...');
-      await this.stopAllWireGuard();
-      this.isConnected = false;
-      this.currentConfig = null;
+
+      const names = name ? [name] : [...this.tunnels.keys()];
+      console.log(`Desconectando ${names.join(', ')}...`);
+      for (const tunnelName of names) {
+        const { configFile } = this.tunnels.get(tunnelName);
+        await this.stopWireGuard(configFile);
+        this.tunnels.delete(tunnelName);
+        secretStore.secureDelete(configFile);
+      }
+      await this.releaseSharedState(true);
       console.log('Desconectado com sucesso');
       return true;
     } catch (error) {
@@ -55,114 +177,325 @@ class WireGuardController {
     }
   }
 
-  async generateConfig(route) {
-    const config = {
-      iface: {
-        PrivateKey: await this.generatePrivateKey(),
-        Address: this.generateAddress(route),
-        DNS: '8.8.8.8, 1.1.1.1',
-        MTU: 1420
-      },
-      peer: {
-        PublicKey: await this.generatePublicKey(),
-        Endpoint: this.generateEndpoint(route),
-        AllowedIPs: '0.0.0.0/0',
-        PersistentKeepalive: 25
-      }
-    };
-    return this.formatConfig(config);
+  // Ajustar stub DNS, bloqueio de DNS e kill switch aos túneis que restaram
+  async releaseSharedState(keepKillSwitch) {
+    const remaining = [...this.tunnels.values()];
+    if (!remaining.some(tunnel => tunnel.dnsSettings.mode !== 'plain')) {
+      await this.stopDnsStub();
+    }
+    await this.applyDnsBlocking();
+    if (remaining.length === 0 || !keepKillSwitch) {
+      await killSwitch.disarm();
+    } else if (killSwitch.armed) {
+      await this.applyKillSwitch(remaining);
+    }
   }
 
-  formatConfig(config) {
-    let configText = '[Interface]\n';
-    configText += `PrivateKey = ${config.iface.PrivateKey}\n`;
-    configText += `Address = ${config.iface.Address}\n`;
-    configText += `DNS = ${config.iface.DNS}\n`;
-    configText += `MTU = ${config.iface.MTU}\n\n`;
+  // Subir o stub DoT/DoH. Fora da porta 53 (Linux sem root), o DNS do túnel
+  // continua em listenAddress:53 e o kill switch faz o DNAT para a porta do stub.
+  async startDnsStub(upstreams) {
+    await dnsStub.start({ upstreams });
+    if (dnsStub.port === 53) return;
 
-    configText += '[Peer]\n';
-    configText += `PublicKey = ${config.peer.PublicKey}\n`;
-    configText += `Endpoint = ${config.peer.Endpoint}\n`;
-    configText += `AllowedIPs = ${config.peer.AllowedIPs}\n`;
-    configText += `PersistentKeepalive = ${config.peer.PersistentKeepalive}\n`;
+    try {
+      await killSwitch.redirectDns({ address: dnsStub.listenAddress, port: dnsStub.port });
+    } catch (error) {
+      await dnsStub.stop();
+      throw new Error(`Erro ao redirecionar DNS para o stub: ${error.message}`);
+    }
+  }
 
-    return configText;
+  async stopDnsStub() {
+    await dnsStub.stop();
+    await killSwitch.unredirectDns();
   }
 
-  async generatePrivateKey() {
-    try {
-      const { stdout } = await execAsync('wg genkey');
-      return stdout.trim();
-    } catch {
-      return this.generateFakeKey();
+  // Armar o kill switch liberando todas as interfaces e endpoints dos túneis
+  async applyKillSwitch(tunnels) {
+    await killSwitch.arm({
+      ifaces: tunnels.map(tunnel => tunnel.name),
+      endpoints: tunnels.flatMap(tunnel => tunnel.config.peers.map(peer => peer.Endpoint).filter(Boolean)),
+      allowLan: this.killSwitchOptions.allowLan
+    });
+  }
+
+  // Bloquear DNS fora dos túneis que pedem proteção
+  async applyDnsBlocking() {
+    const ifaces = [...this.tunnels.values()]
+      .filter(tunnel => tunnel.dnsSettings.blockOutside)
+      .map(tunnel => tunnel.name);
+
+    if (ifaces.length === 0) {
+      await killSwitch.unblockDns();
+    } else if (killSwitch.isSupported()) {
+      await killSwitch.blockDns({ ifaces });
+    } else {
+      console.warn(`Bloqueio de DNS fora do túnel indisponível em ${process.platform}`);
+    }
+  }
+
+  // Avisar quando o AllowedIPs de um novo túnel se sobrepõe ao de outro ativo
+  warnOverlaps(tunnel) {
+    for (const other of this.tunnels.values()) {
+      const shared = cidr.intersect(tunnel.allowedIPs, other.allowedIPs);
+      if (shared.length > 0) {
+        console.warn(`AllowedIPs de ${tunnel.name} sobrepõe ${other.name}: ${shared.slice(0, 4).join(', ')}`);
+      }
+    }
+  }
+
+  // Reiniciar um túnel mantendo kill switch e bloqueio de DNS armados
+  async restartTunnel(name) {
+    const tunnel = this.tunnels.get(name);
+    if (!tunnel) {
+      throw new Error(`Túnel não encontrado: ${name}`);
     }
+    await this.stopWireGuard(tunnel.configFile).catch(error => {
+      console.error('Erro ao derrubar túnel para reconexão:', error.message);
+    });
+    await this.startWireGuard(tunnel.configFile, tunnel.config);
+    tunnel.connectedAt = new Date();
+    return true;
   }
 
-  async generatePublicKey() {
+  // Levar um túnel ativo para outra rota mantendo nome, perfil e kill switch:
+  // a configuração é refeita para a rota nova (família do endpoint, MTU) e o
+  // kill switch é rearmado com os endpoints novos antes de subir a interface
+  async switchRoute(name, route, options = {}) {
+    const tunnel = this.tunnels.get(name);
+    if (!tunnel) {
+      throw new Error(`Túnel não encontrado: ${name}`);
+    }
+    const profile = profileStore.getProfile(tunnel.profileId);
+    if (!profile) {
+      throw new Error(`Perfil do túnel ${name} não encontrado: ${tunnel.profileId}`);
+    }
+
+    console.log(`Trocando ${name} de ${tunnel.route.name} para ${route.name}...`);
+    const previous = { ...tunnel };
+    const built = await this.buildTunnelConfig(route, profile, { tunnelName: name, mtu: options.mtu, family: options.family });
+
+    await this.stopWireGuard(tunnel.configFile).catch(error => {
+      console.error('Erro ao derrubar túnel para troca de rota:', error.message);
+    });
+    Object.assign(tunnel, built, { route });
     try {
-      const { stdout } = await execAsync('wg genkey | wg pubkey');
-      return stdout.trim();
-    } catch {
-      return this.generateFakeKey();
+      this.writeTunnelConfig(tunnel.configFile, tunnel.config);
+      if (killSwitch.armed) {
+        await this.applyKillSwitch([...this.tunnels.values()]);
+      }
+      await this.startWireGuard(tunnel.configFile, tunnel.config);
+      tunnel.connectedAt = new Date();
+    } catch (error) {
+      // Voltar à rota anterior para não deixar o túnel fora do ar
+      Object.assign(tunnel, previous);
+      this.writeTunnelConfig(tunnel.configFile, tunnel.config);
+      if (killSwitch.armed) {
+        await this.applyKillSwitch([...this.tunnels.values()]).catch(() => {});
+      }
+      await this.startWireGuard(tunnel.configFile, tunnel.config).catch(restoreError => {
+        console.error(`Erro ao restaurar ${name} na rota anterior:`, restoreError.message);
+      });
+      throw error;
     }
+
+    console.log(`Túnel ${name} agora na rota ${route.name}`);
+    return this.describeTunnel(tunnel);
+  }
+
+  // Resumo serializável de um túnel (sem chaves)
+  describeTunnel(tunnel) {
+    return {
+      name: tunnel.name,
+      routeId: tunnel.route.id,
+      routeName: tunnel.route.name,
+      profileId: tunnel.profileId,
+      profileName: tunnel.profileName,
+      addresses: tunnel.addresses,
+      addressConflicts: tunnel.addressConflicts,
+      allowedIPs: tunnel.allowedIPs,
+      dns: tunnel.dns,
+      mtu: tunnel.mtu,
+      connectedAt: tunnel.connectedAt
+    };
+  }
+
+  listTunnels() {
+    return [...this.tunnels.values()].map(tunnel => this.describeTunnel(tunnel));
   }
 
-  generateFakeKey() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-    let key = '';
-    for (let i = 0; i < 44; i++) {
-      key += chars[Math.floor(Math.random() * chars.length)];
+  getTunnel(name) {
+    return this.tunnels.get(name) || null;
+  }
+
+  // Configurar o kill switch usado nas próximas conexões
+  async setKillSwitch(options = {}) {
+    this.killSwitchOptions = {
+      enabled: Boolean(options.enabled),
+      allowLan: Boolean(options.allowLan)
+    };
+    if (!this.killSwitchOptions.enabled && killSwitch.armed) {
+      await killSwitch.disarm();
     }
-    return key;
+    return this.getKillSwitchStatus();
   }
 
-  generateAddress(route) {
-    const subnet = Math.floor(Math.random() * 255) + 1;
-    const host = Math.floor(Math.random() * 254) + 1;
-    return `10.${subnet}.${host}.1/24`;
+  getKillSwitchStatus() {
+    return { ...killSwitch.getStatus(), ...this.killSwitchOptions };
   }
 
-  generateEndpoint(route) {
-    if (route.gateway) return `${route.gateway}:51820`;
-    if (route.ip) return `${route.ip}:51820`;
-    return `127.0.0.1:51820`;
+  // Resolvedores DNS de todos os túneis ativos
+  getTunnelDns() {
+    return [...new Set([...this.tunnels.values()].flatMap(tunnel => tunnel.dns))];
   }
 
-  async startWireGuard(configFile) {
-    try {
-      let command =
-        process.platform === 'win32'
-          ? `wireguard.exe /installtunnelservice "${configFile}"`
-          : `sudo wg-quick up "${configFile}"`;
+  // Testar vazamento de DNS: só os resolvedores dos túneis devem responder
+  async runDnsLeakTest(options = {}) {
+    return dnsLeakTest.run({
+      allowedResolvers: this.getTunnelDns(),
+      ...options
+    });
+  }
 
-      const { stderr } = await execAsync(command);
+  getDnsStatus() {
+    return {
+      servers: this.getTunnelDns(),
+      stub: { ...dnsStub.getStatus(), redirect: killSwitch.dnsRedirect },
+      outsideBlocked: killSwitch.dnsBlocked
+    };
+  }
 
-      if (stderr && !stderr.includes('Warning')) {
-        throw new Error(`Erro ao iniciar WireGuard: ${stderr}`);
+  async generateConfig(route, profile, options = {}) {
+    const { config } = await this.buildTunnelConfig(route, profile, options);
+    return this.formatConfig(config);
+  }
+
+  // Montar o modelo { iface, peers } do túnel e os dados efetivos aplicados
+  async buildTunnelConfig(route, profile, options = {}) {
+    const config = profileStore.toConfigModel(profile);
+    const iface = config.iface;
+    iface.PrivateKey = iface.PrivateKey || profileStore.getIdentity().privateKey;
+
+    // Endereço do perfil (atribuído pelo servidor) ou alocado do pool sem conflitos;
+    // o próprio túnel, numa troca de rota, não conta como outro túnel ativo
+    const activeTunnels = [...this.tunnels.values()].filter(tunnel => tunnel.name !== options.tunnelName);
+    const addressing = await addressManager.resolveAddresses(profile, {
+      ignoreInterfaces: [options.tunnelName, ...activeTunnels.map(tunnel => tunnel.name)].filter(Boolean),
+      reserved: activeTunnels.flatMap(tunnel => tunnel.addresses)
+    });
+    iface.Address = addressing.addresses;
+    // MTU fixo do perfil prevalece; senão o descoberto no caminho da rota
+    iface.MTU = iface.MTU || options.mtu || this.tunnelDefaults.mtu;
+    // Porta local configurada, deslocada para não repetir a de outro túnel ativo
+    if (!iface.ListenPort && this.tunnelDefaults.listenPort) {
+      const used = activeTunnels.map(tunnel => tunnel.config.iface.ListenPort);
+      let port = this.tunnelDefaults.listenPort;
+      while (used.includes(port) && port < 65535) port++;
+      iface.ListenPort = port;
+    }
+
+    // DNS: resolvedores do perfil ou o stub local para DoT/DoH
+    const dnsSettings = profileStore.normalizeDnsSettings(profile.dnsSettings);
+    if (dnsSettings.mode !== 'plain') {
+      iface.DNS = [dnsStub.listenAddress];
+    } else if (dnsSettings.servers.length > 0) {
+      iface.DNS = dnsSettings.servers;
+    } else {
+      iface.DNS = iface.DNS || [...this.tunnelDefaults.dns];
+    }
+
+    // Endpoints por nome resolvidos na família (IPv4/IPv6) preferida da rota.
+    // Com o kill switch são sempre fixados em IP: armado, ele bloqueia o DNS do
+    // sistema e um restart do túnel não conseguiria resolver o nome
+    if (this.killSwitchOptions.enabled) {
+      for (const peer of config.peers) {
+        peer.Endpoint = await this.pinEndpoint(peer.Endpoint, options.family);
       }
+    } else if (options.family) {
+      for (const peer of config.peers) {
+        peer.Endpoint = await this.endpointForFamily(peer.Endpoint, options.family);
+      }
+    }
 
+    // Aplicar regras de split tunneling ao AllowedIPs de cada peer
+    const rules = splitTunnel.normalizeRules(profile.splitTunnel);
+    if (splitTunnel.isEnabled(rules)) {
+      const endpoints = config.peers.map(peer => peer.Endpoint).filter(Boolean);
+      for (const peer of config.peers) {
+        peer.AllowedIPs = await splitTunnel.computeAllowedIPs(peer.AllowedIPs || [], rules, endpoints);
+      }
+    }
+
+    return {
+      config,
+      addresses: addressing.addresses,
+      addressConflicts: addressing.conflicts,
+      dns: iface.DNS.filter(server => net.isIP(server)),
+      allowedIPs: [...new Set(config.peers.flatMap(peer => peer.AllowedIPs || []))],
+      mtu: iface.MTU
+    };
+  }
+
+  // Fixar o endpoint num IP liberado pelo kill switch (resolvido antes de
+  // armar ou reaproveitado dele), na família pedida quando houver
+  async pinEndpoint(endpoint, family = null) {
+    if (!endpoint) return endpoint;
+    const resolved = await killSwitch.resolveEndpoints([endpoint]);
+    const match = resolved.find(entry => !family || entry.family === family) || resolved[0];
+    if (!match) return endpoint;
+    return match.family === 6 ? `[${match.ip}]:${match.port}` : `${match.ip}:${match.port}`;
+  }
+
+  // Fixar o endpoint no endereço da família pedida; sem endereço nela, mantém o original
+  async endpointForFamily(endpoint, family) {
+    if (!endpoint) return endpoint;
+    try {
+      const resolved = await wgHandshake.resolveEndpoint(endpoint, family);
+      if (resolved.family !== family) return endpoint;
+      return family === 6 ? `[${resolved.address}]:${resolved.port}` : `${resolved.address}:${resolved.port}`;
+    } catch (error) {
+      console.error(`Erro ao resolver endpoint ${endpoint} em IPv${family}:`, error.message);
+      return endpoint;
+    }
+  }
+
+  formatConfig(config) {
+    return wgConfig.formatConfig(config);
+  }
+
+  parseConfig(text) {
+    return wgConfig.parseConfig(text);
+  }
+
+  // Selecionar backend de túnel (wg-quick, netlink ou simulated)
+  setBackend(name) {
+    if (this.isConnected) {
+      throw new Error('Desconecte antes de trocar o backend de túnel');
+    }
+    this.backend = backends.createBackend(name);
+    killSwitch.setSimulated(this.backend.simulated);
+    console.log(`Backend de túnel: ${this.backend.name}`);
+    return this.backend.name;
+  }
+
+  async startWireGuard(configFile, config) {
+    try {
+      await this.backend.up({
+        name: path.basename(configFile, '.conf'),
+        configFile,
+        config: config || this.parseConfig(fs.readFileSync(configFile, 'utf8'))
+      });
       console.log('WireGuard iniciado com sucesso');
       return true;
     } catch (error) {
       console.error('Erro ao iniciar WireGuard:', error);
-      if (process.env.NODE_ENV === 'development') {
-        console.log('Modo de desenvolvimento: simulando conexão WireGuard');
-        return true;
-      }
       throw error;
     }
   }
 
   async stopWireGuard(configFile) {
     try {
-      let command;
-      if (process.platform === 'win32') {
-        const configName = path.basename(configFile, '.conf');
-        command = `wireguard.exe /uninstalltunnelservice "${configName}"`;
-      } else {
-        command = `sudo wg-quick down "${configFile}"`;
-      }
-      await execAsync(command);
+      await this.backend.down({ name: path.basename(configFile, '.conf'), configFile });
       console.log('WireGuard parado com sucesso');
       return true;
     } catch (error) {
@@ -173,11 +506,9 @@ class WireGuardController {
 
   async stopAllWireGuard() {
     try {
-      const command =
-        process.platform === 'win32'
-          ? 'wireguard.exe /uninstalltunnelservice'
-          : 'sudo wg-quick down all';
-      await execAsync(command);
+      for (const tunnel of this.tunnels.values()) {
+        await this.stopWireGuard(tunnel.configFile);
+      }
       console.log('Todas as interfaces WireGuard paradas');
       return true;
     } catch (error) {
@@ -186,23 +517,28 @@ class WireGuardController {
     }
   }
 
+  // Status por túnel, com os peers de cada interface
   async getStatus() {
+    const stats = await this.getTrafficStats();
+    const tunnels = this.listTunnels().map(tunnel => ({
+      ...tunnel,
+      peers: stats ? stats.interfaces.filter(peer => peer.name === tunnel.name) : []
+    }));
+
     try {
-      const command =
-        process.platform === 'win32'
-          ? 'wireguard.exe /showtunnels'
-          : 'wg show';
-      const { stdout } = await execAsync(command);
+      const stdout = await this.backend.status();
       return {
         isConnected: this.isConnected,
-        currentConfig: this.currentConfig,
+        backend: this.backend.name,
+        tunnels,
         wireguardStatus: stdout,
         timestamp: new Date()
       };
     } catch (error) {
       return {
         isConnected: this.isConnected,
-        currentConfig: this.currentConfig,
+        backend: this.backend.name,
+        tunnels,
         error: error.message,
         timestamp: new Date()
       };
@@ -211,11 +547,7 @@ class WireGuardController {
 
   async getTrafficStats() {
     try {
-      const command =
-        process.platform === 'win32'
-          ? 'wireguard.exe /showtunnels'
-          : 'wg show all dump';
-      const { stdout } = await execAsync(command);
+      const stdout = await this.backend.dump();
       return this.parseTrafficStats(stdout);
     } catch (error) {
       console.error('Erro ao obter estatísticas de tráfego:', error);
@@ -234,18 +566,20 @@ class WireGuardController {
 
     const lines = output.split('\n');
 
+    // Linhas de peer do `wg show all dump`: interface, public-key, preshared-key,
+    // endpoint, allowed-ips, latest-handshake, rx, tx, persistent-keepalive
     for (const line of lines) {
-      if (line.trim() && !line.includes('interface')) {
+      if (line.trim()) {
         const parts = line.trim().split('\t');
         if (parts.length >= 8) {
           const iface = {
             name: parts[0],
             publicKey: parts[1],
-            endpoint: parts[2],
-            allowedIPs: parts[3],
-            latestHandshake: parts[4],
-            rx: parseInt(parts[5]) || 0,
-            tx: parseInt(parts[6]) || 0
+            endpoint: parts[3],
+            allowedIPs: parts[4],
+            latestHandshake: parseInt(parts[5]) || 0,
+            rx: parseInt(parts[6]) || 0,
+            tx: parseInt(parts[7]) || 0
           };
 
           stats.interfaces.push(iface);
@@ -259,16 +593,7 @@ class WireGuardController {
   }
 
   async isWireGuardInstalled() {
-    try {
-      const command =
-        process.platform === 'win32'
-          ? 'wireguard.exe --version'
-          : 'wg --version';
-      await execAsync(command);
-      return true;
-    } catch {
-      return false;
-    }
+    return this.backend.isAvailable();
   }
 
   async installWireGuard() {
@@ -300,12 +625,19 @@ class WireGuardController {
 
   async cleanup() {
     try {
+      if (this.isConnected) {
+        await this.disconnect();
+      }
+
+      // Configs que sobraram de execuções anteriores podem ainda estar ativos
       const files = fs.readdirSync(this.configPath);
       for (const file of files) {
         if (file.endsWith('.conf')) {
           const configFile = path.join(this.configPath, file);
-          await this.stopWireGuard(configFile);
-          fs.unlinkSync(configFile);
+          await this.stopWireGuard(configFile).catch(() => {
+            console.log(`Túnel ${path.basename(file, '.conf')} já estava parado`);
+          });
+          secretStore.secureDelete(configFile);
         }
       }
       console.log('Configurações limpas com sucesso');
@@ -313,6 +645,17 @@ class WireGuardController {
     } catch (error) {
       console.error('Erro ao limpar configurações:', error);
       throw error;
+    } finally {
+      await dnsStub.stop();
+      await killSwitch.unredirectDns().catch(error => {
+        console.error('Erro ao remover redirecionamento de DNS na limpeza:', error);
+      });
+      await killSwitch.unblockDns().catch(error => {
+        console.error('Erro ao remover bloqueio de DNS na limpeza:', error);
+      });
+      await killSwitch.disarm().catch(error => {
+        console.error('Erro ao desarmar kill switch na limpeza:', error);
+      });
     }
   }
 }
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const dgram = require('dgram');
+const dns = require('dns').promises;
+const net = require('net');
+
+// Sonda de alcance de endpoints WireGuard: envia uma mensagem de iniciação de
+// handshake (Noise_IKpsk2, como no whitepaper do WireGuard) e mede o tempo até a
+// resposta. Servidores WireGuard ignoram pacotes não autenticados, então só um
+// peer cadastrado no servidor recebe resposta — é o mesmo teste que o túnel faria.
+
+const CONSTRUCTION = 'Noise_IKpsk2_25519_ChaChaPoly_BLAKE2s';
+const IDENTIFIER = 'WireGuard v1 zx2c4 Jason@zx2c4.com';
+const LABEL_MAC1 = 'mac1----';
+
+const MESSAGE_INITIATION = 1;
+const MESSAGE_RESPONSE = 2;
+const MESSAGE_COOKIE_REPLY = 3;
+
+// Prefixos DER para importar chaves X25519 brutas (32 bytes)
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+const BLAKE2S_IV = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+  0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+const BLAKE2S_SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+];
+
+// BLAKE2s com chave e tamanho de saída variáveis (RFC 7693). O Node só expõe o
+// BLAKE2s-256 sem chave, e o mac1 do WireGuard usa BLAKE2s com chave e 16 bytes.
+function blake2s(data, key = Buffer.alloc(0), outlen = 32) {
+  const h = BLAKE2S_IV.slice();
+  h[0] ^= 0x01010000 ^ (key.length << 8) ^ outlen;
+
+  const input = key.length > 0 ? Buffer.concat([key, Buffer.alloc(64 - key.length), data]) : data;
+  const blocks = Math.max(1, Math.ceil(input.length / 64));
+  const v = new Array(16);
+  const m = new Array(16);
+
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  const g = (a, b, c, d, x, y) => {
+    v[a] = (v[a] + v[b] + x) >>> 0;
+    v[d] = rotr(v[d] ^ v[a], 16);
+    v[c] = (v[c] + v[d]) >>> 0;
+    v[b] = rotr(v[b] ^ v[c], 12);
+    v[a] = (v[a] + v[b] + y) >>> 0;
+    v[d] = rotr(v[d] ^ v[a], 8);
+    v[c] = (v[c] + v[d]) >>> 0;
+    v[b] = rotr(v[b] ^ v[c], 7);
+  };
+
+  for (let block = 0; block < blocks; block++) {
+    const last = block === blocks - 1;
+    const chunk = Buffer.alloc(64);
+    input.copy(chunk, 0, block * 64, Math.min(input.length, (block + 1) * 64));
+    const counter = last ? input.length : (block + 1) * 64;
+
+    for (let i = 0; i < 16; i++) m[i] = chunk.readUInt32LE(i * 4);
+    for (let i = 0; i < 8; i++) {
+      v[i] = h[i];
+      v[i + 8] = BLAKE2S_IV[i];
+    }
+    v[12] ^= counter >>> 0;
+    v[13] ^= Math.floor(counter / 0x100000000);
+    if (last) v[14] = ~v[14] >>> 0;
+
+    for (const s of BLAKE2S_SIGMA) {
+      g(0, 4, 8, 12, m[s[0]], m[s[1]]);
+      g(1, 5, 9, 13, m[s[2]], m[s[3]]);
+      g(2, 6, 10, 14, m[s[4]], m[s[5]]);
+      g(3, 7, 11, 15, m[s[6]], m[s[7]]);
+      g(0, 5, 10, 15, m[s[8]], m[s[9]]);
+      g(1, 6, 11, 12, m[s[10]], m[s[11]]);
+      g(2, 7, 8, 13, m[s[12]], m[s[13]]);
+      g(3, 4, 9, 14, m[s[14]], m[s[15]]);
+    }
+    for (let i = 0; i < 8; i++) h[i] = (h[i] ^ v[i] ^ v[i + 8]) >>> 0;
+  }
+
+  const out = Buffer.alloc(32);
+  h.forEach((word, i) => out.writeUInt32LE(word, i * 4));
+  return out.subarray(0, outlen);
+}
+
+function hash(...parts) {
+  return crypto.createHash('blake2s256').update(Buffer.concat(parts)).digest();
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('blake2s256', key).update(data).digest();
+}
+
+// KDF_n do whitepaper (HKDF com HMAC-BLAKE2s)
+function kdf(count, key, input) {
+  const prk = hmac(key, input);
+  const outputs = [];
+  let previous = Buffer.alloc(0);
+  for (let i = 1; i <= count; i++) {
+    previous = hmac(prk, Buffer.concat([previous, Buffer.from([i])]));
+    outputs.push(previous);
+  }
+  return outputs;
+}
+
+// ChaCha20-Poly1305 com nonce = 32 bits zero || contador de 64 bits LE
+function aead(key, counter, plaintext, associatedData) {
+  const nonce = Buffer.alloc(12);
+  nonce.writeBigUInt64LE(BigInt(counter), 4);
+  const cipher = crypto.createCipheriv('chacha20-poly1305', key, nonce, { authTagLength: 16 });
+  cipher.setAAD(associatedData, { plaintextLength: plaintext.length });
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function privateKeyObject(raw) {
+  return crypto.createPrivateKey({ key: Buffer.concat([X25519_PKCS8_PREFIX, raw]), format: 'der', type: 'pkcs8' });
+}
+
+function publicKeyObject(raw) {
+  return crypto.createPublicKey({ key: Buffer.concat([X25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+function rawPublicKey(keyObject) {
+  const spki = keyObject.export({ format: 'der', type: 'spki' });
+  return spki.subarray(spki.length - 32);
+}
+
+function dh(privateKey, publicKey) {
+  return crypto.diffieHellman({ privateKey, publicKey });
+}
+
+// Timestamp TAI64N (12 bytes, big-endian). O +10 acompanha o kernel e o
+// wireguard-go; o servidor descarta iniciações com timestamp menor que o último.
+function tai64n(now = Date.now()) {
+  const out = Buffer.alloc(12);
+  out.writeBigUInt64BE(2n ** 62n + 10n + BigInt(Math.floor(now / 1000)), 0);
+  out.writeUInt32BE((now % 1000) * 1e6, 8);
+  return out;
+}
+
+// Montar a mensagem de iniciação (148 bytes); chaves em base64 como no wg.
+// `ephemeral` e `now` só são passados nos testes, para uma mensagem determinística.
+function buildInitiation({
+  privateKey,
+  peerPublicKey,
+  senderIndex = crypto.randomBytes(4).readUInt32LE(0),
+  ephemeral = crypto.generateKeyPairSync('x25519'),
+  now = Date.now()
+}) {
+  const staticPrivate = privateKeyObject(Buffer.from(privateKey, 'base64'));
+  const staticPublic = rawPublicKey(crypto.createPublicKey(staticPrivate));
+  const responderPublic = Buffer.from(peerPublicKey, 'base64');
+  const responderKey = publicKeyObject(responderPublic);
+
+  let chainingKey = hash(Buffer.from(CONSTRUCTION));
+  let handshakeHash = hash(chainingKey, Buffer.from(IDENTIFIER));
+  handshakeHash = hash(handshakeHash, responderPublic);
+
+  const ephemeralPublic = rawPublicKey(ephemeral.publicKey);
+  [chainingKey] = kdf(1, chainingKey, ephemeralPublic);
+  handshakeHash = hash(handshakeHash, ephemeralPublic);
+
+  let key;
+  [chainingKey, key] = kdf(2, chainingKey, dh(ephemeral.privateKey, responderKey));
+  const encryptedStatic = aead(key, 0, staticPublic, handshakeHash);
+  handshakeHash = hash(handshakeHash, encryptedStatic);
+
+  [chainingKey, key] = kdf(2, chainingKey, dh(staticPrivate, responderKey));
+  const encryptedTimestamp = aead(key, 0, tai64n(now), handshakeHash);
+
+  const message = Buffer.alloc(148);
+  message.writeUInt8(MESSAGE_INITIATION, 0);
+  message.writeUInt32LE(senderIndex, 4);
+  ephemeralPublic.copy(message, 8);
+  encryptedStatic.copy(message, 40);
+  encryptedTimestamp.copy(message, 88);
+  // mac1 cobre tudo até aqui; mac2 fica zerado (sem cookie)
+  blake2s(message.subarray(0, 116), hash(Buffer.from(LABEL_MAC1), responderPublic), 16).copy(message, 116);
+
+  return { message, senderIndex };
+}
+
+// Verificar se o pacote recebido responde à nossa iniciação
+function isReplyTo(packet, senderIndex) {
+  if (packet.length === 92 && packet[0] === MESSAGE_RESPONSE) {
+    return packet.readUInt32LE(8) === senderIndex;
+  }
+  if (packet.length === 64 && packet[0] === MESSAGE_COOKIE_REPLY) {
+    // Servidor sob carga: responde com cookie, o que também prova alcance
+    return packet.readUInt32LE(4) === senderIndex;
+  }
+  return false;
+}
+
+// Resolver "host:porta" (aceita [IPv6]:porta)
+async function resolveEndpoint(endpoint, family = 0) {
+  const match = String(endpoint).match(/^\[?([^\]]+?)\]?:(\d+)$/);
+  if (!match) {
+    throw new Error(`Endpoint inválido: ${endpoint}`);
+  }
+  const [, host, port] = match;
+  const address = net.isIP(host) ? host : (await dns.lookup(host, { family })).address;
+  return { address, port: Number(port), family: net.isIP(address) };
+}
+
+// Enviar `count` iniciações e medir o RTT de cada resposta
+async function probe({ endpoint, privateKey, peerPublicKey, count = 3, timeout = 2000, interval = 200, localAddress = null, family = 0 }) {
+  const target = await resolveEndpoint(endpoint, family);
+  const socket = dgram.createSocket(target.family === 6 ? 'udp6' : 'udp4');
+  const times = [];
+
+  try {
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind({ address: localAddress || undefined }, resolve);
+    });
+
+    for (let attempt = 0; attempt < count; attempt++) {
+      const { message, senderIndex } = buildInitiation({ privateKey, peerPublicKey });
+      const rtt = await new Promise(resolve => {
+        const startedAt = process.hrtime.bigint();
+        const timer = setTimeout(() => done(null), timeout);
+        const onMessage = packet => {
+          if (isReplyTo(packet, senderIndex)) {
+            done(Number(process.hrtime.bigint() - startedAt) / 1e6);
+          }
+        };
+        const done = value => {
+          clearTimeout(timer);
+          socket.off('message', onMessage);
+          resolve(value);
+        };
+        socket.on('message', onMessage);
+        socket.send(message, target.port, target.address, error => {
+          if (error) done(null);
+        });
+      });
+      if (rtt !== null) times.push(rtt);
+      if (attempt < count - 1) await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  } finally {
+    socket.close();
+  }
+
+  return { sent: count, times, address: target.address };
+}
+
+module.exports = {
+  blake2s,
+  buildInitiation,
+  isReplyTo,
+  probe,
+  resolveEndpoint
+};
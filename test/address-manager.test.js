@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const addressManager = require('../src/address-manager');
+
+const networks = [
+  { cidr: '192.168.1.50/24', source: 'eth0', kind: 'interface' },
+  { cidr: '10.77.0.0/16', source: 'rota via eth0', kind: 'route' }
+];
+
+test('resolveAddresses: endereço do perfil em uso por outro túnel é recusado', async (t) => {
+  t.mock.method(addressManager, 'getLocalNetworks', async () => networks);
+
+  await assert.rejects(
+    addressManager.resolveAddresses({ iface: { address: ['10.66.0.2/32'] } }, { reserved: ['10.66.0.0/24'] }),
+    /já está em uso por outro túnel ativo \(10\.66\.0\.0\/24\)/
+  );
+});
+
+test('resolveAddresses: endereço do perfil dentro da rede de uma interface é recusado', async (t) => {
+  t.mock.method(addressManager, 'getLocalNetworks', async () => networks);
+
+  await assert.rejects(
+    addressManager.resolveAddresses({ iface: { address: ['192.168.1.77/32'] } }),
+    /sobrepõe a rede 192\.168\.1\.50\/24 da interface eth0/
+  );
+});
+
+test('resolveAddresses: sobreposição só com rotas é avisada, não recusada', async (t) => {
+  t.mock.method(addressManager, 'getLocalNetworks', async () => networks);
+  t.mock.method(console, 'warn', () => {});
+
+  const result = await addressManager.resolveAddresses({ iface: { address: ['10.77.3.4/32'] } }, { reserved: ['10.66.0.2/32'] });
+  assert.equal(result.source, 'profile');
+  assert.deepEqual(result.addresses, ['10.77.3.4/32']);
+  assert.deepEqual(result.conflicts.map(conflict => conflict.cidr), ['10.77.0.0/16']);
+});
+
+test('applySettings: pools vêm das configurações', async (t) => {
+  t.mock.method(addressManager, 'getLocalNetworks', async () => networks);
+  const previous = addressManager.pools;
+  t.after(() => { addressManager.pools = previous; });
+
+  addressManager.applySettings({ tunnel: { addressPools4: ['10.99.0.0/24'], addressPools6: ['fd99::/64'] } });
+  const result = await addressManager.resolveAddresses({ id: 'perfil' });
+
+  assert.equal(result.source, 'pool');
+  assert.match(result.addresses[0], /^10\.99\.0\.\d+\/32$/);
+  assert.match(result.addresses[1], /^fd99::/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cidr = require('../src/cidr');
+
+test('parseCidr: IPv4, IPv6 e prefixo ausente', () => {
+  const range = cidr.parseCidr('10.1.2.3/8');
+  assert.equal(range.family, 4);
+  assert.equal(range.prefix, 8);
+  assert.equal(cidr.formatCidr(range), '10.0.0.0/8');
+  assert.equal(range.end - range.start + 1n, 1n << 24n);
+
+  assert.equal(cidr.formatCidr(cidr.parseCidr('2001:db8:0:0:1::7/48')), '2001:db8::/48');
+  assert.equal(cidr.parseCidr('fe80::1').prefix, 128);
+  assert.equal(cidr.parseCidr('192.168.0.1').prefix, 32);
+  assert.equal(cidr.formatCidr(cidr.parseCidr('::ffff:192.0.2.1/128')), '::ffff:c000:201/128');
+});
+
+test('parseCidr: rejeita prefixo vazio, fora da faixa ou malformado', () => {
+  for (const value of ['10.0.0.0/', '10.0.0.0/33', '10.0.0.0/-1', '10.0.0.0/ 8', '10.0.0.0/8.0',
+    '10.0.0.0/8/1', '::/129', '::/', '10.0.0/8', 'example.com/24', '']) {
+    assert.throws(() => cidr.parseCidr(value), /inválido/, value);
+  }
+});
+
+test('bigIntToIp: comprime a maior sequência de zeros', () => {
+  assert.equal(cidr.bigIntToIp(cidr.ipToBigInt('2001:db8:0:0:1:0:0:1'), 6), '2001:db8::1:0:0:1');
+  assert.equal(cidr.bigIntToIp(0n, 6), '::');
+  assert.equal(cidr.bigIntToIp(cidr.ipToBigInt('2001:db8:1:1:1:1:0:1'), 6), '2001:db8:1:1:1:1:0:1');
+  assert.equal(cidr.bigIntToIp(cidr.ipToBigInt('192.0.2.255'), 4), '192.0.2.255');
+});
+
+test('rangeToCidrs: menor conjunto de blocos', () => {
+  assert.deepEqual(cidr.rangeToCidrs(cidr.ipToBigInt('10.0.0.1'), cidr.ipToBigInt('10.0.0.6'), 4),
+    ['10.0.0.1/32', '10.0.0.2/31', '10.0.0.4/31', '10.0.0.6/32']);
+  assert.deepEqual(cidr.rangeToCidrs(0n, (1n << 128n) - 1n, 6), ['::/0']);
+});
+
+test('subtract/intersect: por família, unindo blocos adjacentes', () => {
+  assert.deepEqual(cidr.subtract(['0.0.0.0/0'], ['128.0.0.0/1', '0.0.0.0/2']), ['64.0.0.0/2']);
+  assert.deepEqual(cidr.subtract(['::/0', '10.0.0.0/8'], ['::/1']), ['10.0.0.0/8', '8000::/1']);
+  assert.deepEqual(cidr.subtract(['10.0.0.0/8'], ['10.0.0.0/8']), []);
+  assert.deepEqual(cidr.subtract(['10.0.0.0/25', '10.0.0.128/25'], []), ['10.0.0.0/24']);
+
+  assert.deepEqual(cidr.intersect(['10.0.0.0/8'], ['10.1.2.0/24', '192.168.0.0/16', '::/0']), ['10.1.2.0/24']);
+  assert.deepEqual(cidr.intersect(['::/0'], ['2001:db8::/32', '10.0.0.0/8']), ['2001:db8::/32']);
+});
+
+test('overlaps/contains/maskToPrefix', () => {
+  assert.equal(cidr.overlaps('10.0.0.0/8', '10.200.0.0/16'), true);
+  assert.equal(cidr.overlaps('10.0.0.0/8', '11.0.0.0/8'), false);
+  assert.equal(cidr.overlaps('::/0', '0.0.0.0/0'), false);
+
+  assert.equal(cidr.contains('fd00::/8', 'fd12::1'), true);
+  assert.equal(cidr.contains('10.0.0.0/8', '::ffff:10.0.0.1'), false);
+
+  assert.equal(cidr.maskToPrefix('255.255.255.0'), 24);
+  assert.equal(cidr.maskToPrefix('0.0.0.0'), 0);
+  assert.equal(cidr.maskToPrefix('64'), 64);
+  assert.equal(cidr.maskToPrefix('bogus'), null);
+});
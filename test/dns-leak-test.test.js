@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dnsLeakTest = require('../src/dns-leak-test');
+const { startResolver } = require('./fixtures/dns-resolver');
+
+test('run: resolvedor fora do túnel respondendo é vazamento', async (t) => {
+  const tunnel = await startResolver({ egress: '198.51.100.1' });
+  const isp = await startResolver({ host: '127.0.0.2', egress: '203.0.113.10' });
+  t.after(() => Promise.all([tunnel.close(), isp.close()]));
+
+  const result = await dnsLeakTest.run({
+    getServers: () => [tunnel.server, isp.server],
+    allowedResolvers: [tunnel.server],
+    timeout: 500
+  });
+
+  assert.equal(result.leaking, true);
+  assert.deepEqual(result.leaks, [isp.server]);
+  const leak = result.results.find(entry => entry.server === isp.server);
+  assert.equal(leak.answered, true);
+  assert.equal(leak.allowed, false);
+  assert.deepEqual(leak.egress, ['203.0.113.10']);
+  assert.equal(isp.queries.length, 1);
+});
+
+test('run: só os resolvedores do túnel respondem', async (t) => {
+  const tunnel = await startResolver({ egress: '198.51.100.1' });
+  // Resolvedor do provedor bloqueado: recebe a consulta mas não responde
+  const isp = await startResolver({ host: '127.0.0.2', silent: true });
+  t.after(() => Promise.all([tunnel.close(), isp.close()]));
+
+  const result = await dnsLeakTest.run({
+    getServers: () => [tunnel.server, isp.server],
+    allowedResolvers: [tunnel.server],
+    timeout: 300
+  });
+
+  assert.equal(result.leaking, false);
+  assert.deepEqual(result.leaks, []);
+  const blocked = result.results.find(entry => entry.server === isp.server);
+  assert.equal(blocked.answered, false);
+  assert.equal(result.results.find(entry => entry.server === tunnel.server).answered, true);
+});
+
+test('run: resolvedor permitido por CIDR não conta como vazamento', async (t) => {
+  const tunnel = await startResolver();
+  t.after(() => tunnel.close());
+
+  const result = await dnsLeakTest.run({
+    servers: [tunnel.server],
+    allowedResolvers: ['127.0.0.0/8'],
+    timeout: 500
+  });
+
+  assert.equal(result.leaking, false);
+  assert.equal(result.results[0].allowed, true);
+});
+
+test('run: fábrica de resolvedor injetada', async () => {
+  const queried = [];
+  const createResolver = () => {
+    let servers = [];
+    return {
+      setServers: (list) => { servers = list; },
+      resolveTxt: async (name) => {
+        queried.push([servers[0], name]);
+        if (servers[0] === '10.0.0.53') throw Object.assign(new Error('timeout'), { code: 'ETIMEOUT' });
+        return [['192.0.2.99']];
+      }
+    };
+  };
+
+  const result = await dnsLeakTest.run({
+    getServers: () => ['192.0.2.53', '10.0.0.53'],
+    allowedResolvers: [],
+    probeName: '{token}.leak.example',
+    createResolver
+  });
+
+  assert.deepEqual(result.leaks, ['192.0.2.53']);
+  assert.equal(result.results[1].error, 'ETIMEOUT');
+  assert.match(queried[0][1], /^[0-9a-f]{12}\.leak\.example$/);
+});
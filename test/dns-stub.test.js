@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const net = require('net');
+const dnsStub = require('../src/dns-stub');
+
+// Consulta mínima: cabeçalho com ID 0x1234 e uma pergunta
+const QUERY = Buffer.from('123401000001000000000000076578616d706c6503636f6d0000010001', 'hex');
+
+function queryUdp(port) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', reject);
+    socket.once('message', message => {
+      socket.close();
+      resolve(message);
+    });
+    socket.send(QUERY, port, '127.0.0.1');
+  });
+}
+
+function queryTcp(port) {
+  return new Promise((resolve, reject) => {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(QUERY.length);
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(Buffer.concat([length, QUERY])));
+    let buffer = Buffer.alloc(0);
+    socket.once('error', reject);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+        socket.end();
+        resolve(buffer.subarray(2, 2 + buffer.readUInt16BE(0)));
+      }
+    });
+  });
+}
+
+test.afterEach(() => dnsStub.stop());
+
+test('stub DNS: responde por UDP e por TCP na mesma porta', async t => {
+  const answer = Buffer.concat([Buffer.from([0x12, 0x34, 0x81, 0x80]), QUERY.subarray(4)]);
+  const forward = t.mock.method(dnsStub, 'forward', async () => answer);
+
+  await dnsStub.start({ upstreams: ['tls://127.0.0.1#dns.example'], listenAddress: '127.0.0.1', port: 0 });
+  assert.ok(dnsStub.port > 0);
+
+  assert.deepEqual(await queryUdp(dnsStub.port), answer);
+  assert.deepEqual(await queryTcp(dnsStub.port), answer);
+  assert.equal(forward.mock.callCount(), 2);
+  assert.deepEqual(forward.mock.calls[1].arguments[1], QUERY);
+});
+
+test('stub DNS: SERVFAIL por TCP quando todos os upstreams falham', async t => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(dnsStub, 'forward', async () => {
+    throw new Error('upstream fora do ar');
+  });
+
+  await dnsStub.start({ upstreams: ['tls://127.0.0.1#dns.example'], listenAddress: '127.0.0.1', port: 0 });
+  const response = await queryTcp(dnsStub.port);
+  assert.equal(response.readUInt16BE(0), 0x1234);
+  assert.equal(response[3] & 0x0f, 2);
+});
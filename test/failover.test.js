@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RouteFailover = require('../src/failover');
+const killSwitch = require('../src/kill-switch');
+
+test.before(() => killSwitch.setSimulated(true));
+test.afterEach(() => killSwitch.disarm());
+
+const wifi = { id: 'uplink:wlan0', name: 'Wi-Fi', score: 40, metrics: { received: 3 } };
+const cellular = { id: 'uplink:wwan0', name: 'Celular', score: 80, metrics: { received: 3 } };
+
+// Mesma ligação do processo principal: suspenso enquanto o kill switch estiver armado
+function createFailover(clock, switchRoute) {
+  const failover = new RouteFailover({ enabled: true, sustain: 1000, cooldown: 0, now: () => clock.now });
+  failover.start({
+    switchRoute,
+    suspendedReason: () => killSwitch.armed ? 'Kill switch armado' : null
+  });
+  return failover;
+}
+
+test('failover: troca para a rota melhor após a vantagem sustentada', async t => {
+  t.mock.method(console, 'log', () => {});
+  const clock = { now: 0 };
+  const switchRoute = t.mock.fn(async () => {});
+  const failover = createFailover(clock, switchRoute);
+
+  assert.equal((await failover.check([cellular, wifi], wifi)).action, 'wait');
+  clock.now = 1000;
+  const decision = await failover.check([cellular, wifi], wifi);
+  assert.equal(decision.action, 'switch');
+  assert.equal(switchRoute.mock.calls[0].arguments[0].id, cellular.id);
+});
+
+test('failover: suspenso com o kill switch armado, inclusive em falha da rota atual', async t => {
+  t.mock.method(console, 'log', () => {});
+  const clock = { now: 0 };
+  const switchRoute = t.mock.fn(async () => {});
+  const failover = createFailover(clock, switchRoute);
+
+  await killSwitch.arm({ ifaces: ['hs-test'], endpoints: ['198.51.100.1:51820'] });
+  assert.equal(failover.getStatus().suspended, 'Kill switch armado');
+
+  // Sondas bloqueadas pelo kill switch parecem falha da rota atual
+  const blocked = { ...wifi, metrics: { received: 0 } };
+  let decision = await failover.check([cellular, blocked], blocked);
+  assert.equal(decision.action, 'stay');
+  assert.equal(decision.suspended, true);
+
+  clock.now = 5000;
+  decision = await failover.check([cellular, wifi], wifi);
+  assert.equal(decision.action, 'stay');
+  assert.equal(failover.pending, null);
+  assert.equal(switchRoute.mock.callCount(), 0);
+
+  // Desarmado, a vantagem volta a ser observada do zero
+  await killSwitch.disarm();
+  assert.equal(failover.getStatus().suspended, null);
+  assert.equal((await failover.check([cellular, wifi], wifi)).action, 'wait');
+  clock.now = 6000;
+  assert.equal((await failover.check([cellular, wifi], wifi)).action, 'switch');
+  assert.equal(switchRoute.mock.callCount(), 1);
+});
@@ -0,0 +1,49 @@
+const dgram = require('dgram');
+
+// Resolvedor UDP local para os testes: responde toda consulta TXT com
+// `egress` (o "IP de saída" que o o-o.myaddr.l.google.com devolveria) ou,
+// com `silent`, não responde (resolvedor bloqueado pelo firewall).
+async function startResolver({ host = '127.0.0.1', egress = '203.0.113.10', silent = false } = {}) {
+  const socket = dgram.createSocket('udp4');
+  const queries = [];
+
+  socket.on('message', (query, rinfo) => {
+    queries.push(query);
+    if (silent) return;
+    socket.send(buildTxtResponse(query, egress), rinfo.port, rinfo.address);
+  });
+
+  await new Promise(resolve => socket.bind(0, host, resolve));
+  const { port } = socket.address();
+
+  return {
+    server: `${host}:${port}`,
+    queries,
+    close: () => new Promise(resolve => socket.close(resolve))
+  };
+}
+
+// Resposta com a pergunta original e um registro TXT
+function buildTxtResponse(query, text) {
+  let offset = 12;
+  while (query[offset] !== 0) offset += query[offset] + 1;
+  const question = query.subarray(12, offset + 5);
+
+  const header = Buffer.alloc(12);
+  query.copy(header, 0, 0, 2);
+  header.writeUInt16BE(0x8180, 2); // QR, RD, RA, NOERROR
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(1, 6);
+
+  const data = Buffer.from(text);
+  const answer = Buffer.alloc(12);
+  answer.writeUInt16BE(0xc00c, 0); // ponteiro para o nome da pergunta
+  answer.writeUInt16BE(16, 2); // TXT
+  answer.writeUInt16BE(1, 4); // IN
+  answer.writeUInt32BE(60, 6);
+  answer.writeUInt16BE(data.length + 1, 10);
+
+  return Buffer.concat([header, question, answer, Buffer.from([data.length]), data]);
+}
+
+module.exports = { startResolver };
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HealthMonitor = require('../src/health-monitor');
+const SimulatedBackend = require('../src/backends/simulated-backend');
+const profileStore = require('../src/profile-store');
+
+// Relógio falso compartilhado por monitor e backend; sleep só avança o relógio
+function fakeClock() {
+  const clock = { value: 1700000000000 };
+  clock.now = () => clock.value;
+  clock.sleep = async (ms) => { clock.value += ms; };
+  clock.advance = (ms) => { clock.value += ms; };
+  return clock;
+}
+
+// Estatísticas no formato de parseTrafficStats a partir de valores fixos
+const stats = (peer) => ({ interfaces: [{ name: 'hs-test', rx: 0, tx: 0, latestHandshake: 0, ...peer }] });
+
+// Túnel simulado e monitor ligado a ele, com reconexão por down/up
+function setup(t, { reachable = true, ...options } = {}) {
+  const clock = fakeClock();
+  const backend = new SimulatedBackend();
+  backend.now = clock.now;
+  const tunnel = {
+    name: 'hs-test',
+    config: {
+      iface: { PrivateKey: profileStore.generateKeyPair().privateKey },
+      peers: [{ PublicKey: profileStore.generateKeyPair().publicKey, Endpoint: '192.0.2.10:51820', AllowedIPs: ['0.0.0.0/0'] }]
+    }
+  };
+
+  const monitor = new HealthMonitor({ now: clock.now, sleep: clock.sleep, pollInterval: 3600000, ...options });
+  const events = [];
+  for (const type of ['unhealthy', 'reconnecting', 'reconnected', 'failed']) {
+    monitor.on(type, data => events.push({ type, ...data }));
+  }
+  let restarts = 0;
+  monitor.start({
+    tunnelName: tunnel.name,
+    getStats: async () => ({
+      interfaces: (await backend.dump()).split('\n')
+        .map(line => line.split('\t'))
+        .filter(parts => parts.length >= 8)
+        .map(parts => ({ name: parts[0], latestHandshake: Number(parts[5]), rx: Number(parts[6]), tx: Number(parts[7]) }))
+    }),
+    reconnect: async () => {
+      restarts++;
+      await backend.down(tunnel);
+      await backend.up(tunnel);
+    }
+  });
+  t.after(() => monitor.stop());
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  if (!reachable) backend.setReachable(tunnel.name, false);
+  return { clock, backend, tunnel, monitor, events, restarts: () => restarts };
+}
+
+test('evaluate: túnel ocioso sem keepalive não é marcado como expirado', () => {
+  const clock = fakeClock();
+  const monitor = new HealthMonitor({ now: clock.now });
+  monitor.tunnelName = 'hs-test';
+  const handshake = Math.floor(clock.now() / 1000);
+
+  assert.equal(monitor.evaluate(stats({ latestHandshake: handshake, rx: 5000, tx: 4000 })).healthy, true);
+  clock.advance(600 * 1000);
+  const status = monitor.evaluate(stats({ latestHandshake: handshake, rx: 5000, tx: 4000 }));
+  assert.equal(status.healthy, true);
+  assert.equal(status.handshakeAge, 600);
+});
+
+test('evaluate: handshake antigo com tráfego enviado desde ele é expirado', () => {
+  const clock = fakeClock();
+  const monitor = new HealthMonitor({ now: clock.now });
+  monitor.tunnelName = 'hs-test';
+  const handshake = Math.floor(clock.now() / 1000);
+
+  monitor.evaluate(stats({ latestHandshake: handshake, rx: 5000, tx: 4000 }));
+  clock.advance(200 * 1000);
+  const status = monitor.evaluate(stats({ latestHandshake: handshake, rx: 5000, tx: 4148 }));
+  assert.equal(status.healthy, false);
+  assert.equal(status.reason, 'Handshake expirado há 200s');
+});
+
+test('evaluate: sem handshake só é falha quando algo foi enviado', () => {
+  const clock = fakeClock();
+  const monitor = new HealthMonitor({ now: clock.now });
+  monitor.tunnelName = 'hs-test';
+
+  monitor.evaluate(stats({ tx: 0 }));
+  clock.advance(300 * 1000);
+  assert.equal(monitor.evaluate(stats({ tx: 0 })).healthy, true);
+
+  clock.advance(10 * 1000);
+  const status = monitor.evaluate(stats({ tx: 296 }));
+  assert.equal(status.healthy, false);
+  assert.equal(status.reason, 'Nenhum handshake concluído');
+});
+
+test('evaluate: envio sem recebimento por mais de stallSeconds', () => {
+  const clock = fakeClock();
+  const monitor = new HealthMonitor({ now: clock.now });
+  monitor.tunnelName = 'hs-test';
+  const handshake = () => Math.floor(clock.now() / 1000);
+
+  monitor.evaluate(stats({ latestHandshake: handshake(), rx: 1000, tx: 1000 }));
+  clock.advance(60 * 1000);
+  assert.equal(monitor.evaluate(stats({ latestHandshake: handshake(), rx: 1000, tx: 2000 })).healthy, true);
+  clock.advance(40 * 1000);
+  const status = monitor.evaluate(stats({ latestHandshake: handshake(), rx: 1000, tx: 3000 }));
+  assert.equal(status.healthy, false);
+  assert.match(status.reason, /^Sem tráfego recebido há 100s$/);
+});
+
+test('evaluate: estatísticas ausentes ou interface sumida', () => {
+  const monitor = new HealthMonitor();
+  monitor.tunnelName = 'hs-test';
+  assert.equal(monitor.evaluate(null).reason, 'Estatísticas do túnel indisponíveis');
+  assert.equal(monitor.evaluate({ interfaces: [] }).reason, 'Interface hs-test não encontrada');
+});
+
+test('recover: restart sem handshake novo não conta e esgota as tentativas', async (t) => {
+  const { backend, tunnel, monitor, events, restarts } = setup(t, { reachable: false });
+  await backend.up(tunnel);
+
+  assert.equal(await monitor.recover('Handshake expirado há 200s'), false);
+  assert.equal(restarts(), 5);
+  assert.deepEqual(events.filter(event => event.type === 'reconnecting').map(event => [event.attempt, event.delay]), [
+    [1, 2000], [2, 4000], [3, 8000], [4, 16000], [5, 32000]
+  ]);
+  assert.ok(!events.some(event => event.type === 'reconnected'));
+  assert.deepEqual(events.at(-1), { type: 'failed', tunnel: 'hs-test', attempts: 5, reason: 'Handshake expirado há 200s' });
+  assert.equal(monitor.isRunning(), false);
+});
+
+test('recover: handshake novo depois do restart confirma a reconexão', async (t) => {
+  const { backend, tunnel, monitor, events } = setup(t, { reachable: false });
+  await backend.up(tunnel);
+
+  // O servidor volta: a próxima interface completa o handshake
+  backend.setReachable(tunnel.name, true);
+  assert.equal(await monitor.recover('Handshake expirado'), true);
+  assert.deepEqual(events.map(event => event.type), ['reconnecting', 'reconnected']);
+  assert.equal(events[1].attempts, 1);
+  assert.equal(monitor.isRunning(), true);
+});
+
+test('recover: tentativas e backoff seguem entre episódios e zeram após estabilidade', async (t) => {
+  const { clock, backend, tunnel, monitor, events } = setup(t, { stableSeconds: 600 });
+  await backend.up(tunnel);
+
+  assert.equal(await monitor.recover('primeiro'), true);
+  assert.equal(await monitor.recover('segundo'), true);
+  assert.deepEqual(events.filter(event => event.type === 'reconnecting').map(event => [event.attempt, event.delay]), [
+    [1, 2000], [2, 4000]
+  ]);
+
+  // Saudável por stableSeconds: o orçamento de tentativas volta ao início
+  clock.advance(601 * 1000);
+  await monitor.poll();
+  assert.equal(monitor.attempts, 0);
+  assert.equal(monitor.delay, 2000);
+});
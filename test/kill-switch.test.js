@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const killSwitch = require('../src/kill-switch');
+
+test.before(() => killSwitch.setSimulated(true));
+
+test('unblockDns: remove a tabela mesmo sem bloqueio registrado', async () => {
+  // Tabela que sobrou de uma execução anterior (processo caiu com o bloqueio ativo)
+  killSwitch.tables.set('dns', `table inet ${killSwitch.dnsTableName} {}`);
+  assert.equal(killSwitch.dnsBlocked, false);
+
+  await killSwitch.unblockDns();
+  assert.equal(killSwitch.tables.has('dns'), false);
+});
+
+test('blockDns/unblockDns: ciclo normal', async () => {
+  await killSwitch.blockDns({ ifaces: ['hs-test'] });
+  assert.equal(killSwitch.dnsBlocked, true);
+  assert.match(killSwitch.tables.get('dns'), /oifname "hs-test" accept/);
+
+  await killSwitch.unblockDns();
+  assert.equal(killSwitch.dnsBlocked, false);
+  assert.equal(killSwitch.tables.has('dns'), false);
+});
+
+test('redirectDns: DNAT de address:53 para a porta do stub', async () => {
+  await killSwitch.redirectDns({ address: '127.0.2.53', port: 5053 });
+  assert.match(killSwitch.tables.get('dns-redirect'), /ip daddr 127\.0\.2\.53 udp dport 53 dnat ip to 127\.0\.2\.53:5053/);
+  assert.match(killSwitch.tables.get('dns-redirect'), /ip daddr 127\.0\.2\.53 tcp dport 53 dnat ip to 127\.0\.2\.53:5053/);
+
+  await killSwitch.unredirectDns();
+  assert.equal(killSwitch.tables.has('dns-redirect'), false);
+  assert.equal(killSwitch.dnsRedirect, null);
+});
+
+test('resolveEndpoints: armado, reaproveita os IPs já resolvidos sem consultar o DNS', async (t) => {
+  const dns = require('dns').promises;
+  const lookup = t.mock.method(dns, 'lookup', async () => [{ address: '198.51.100.7', family: 4 }]);
+
+  await killSwitch.arm({ ifaces: ['hs-test'], endpoints: ['vpn.example.test:51820'] });
+  assert.match(killSwitch.tables.get('killswitch'), /ip daddr 198\.51\.100\.7 udp dport 51820 accept/);
+
+  // DNS bloqueado pelo próprio kill switch
+  lookup.mock.mockImplementation(async () => { throw new Error('getaddrinfo EAI_AGAIN vpn.example.test'); });
+  assert.deepEqual(await killSwitch.resolveEndpoints(['vpn.example.test:51820']), [{ ip: '198.51.100.7', family: 4, port: 51820 }]);
+
+  await killSwitch.disarm();
+  await assert.rejects(killSwitch.resolveEndpoints(['vpn.example.test:51820']), /EAI_AGAIN/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NetlinkBackend = require('../src/backends/netlink-backend');
+
+test('runHooks: hooks rodam por `run` (sudo) numa shell, com %i substituído', async () => {
+  const backend = new NetlinkBackend();
+  const commands = [];
+  backend.run = async (command) => { commands.push(command); };
+
+  await backend.runHooks([
+    'iptables -A FORWARD -i %i -j ACCEPT; iptables -t nat -A POSTROUTING -o %i -j MASQUERADE',
+    "echo 'up' > /run/%i.state"
+  ], 'hs-test');
+
+  assert.deepEqual(commands, [
+    "sh -c 'iptables -A FORWARD -i hs-test -j ACCEPT; iptables -t nat -A POSTROUTING -o hs-test -j MASQUERADE'",
+    "sh -c 'echo '\\''up'\\'' > /run/hs-test.state'"
+  ]);
+});
+
+test('runHooks: sem hooks não executa nada', async () => {
+  const backend = new NetlinkBackend();
+  backend.run = async () => assert.fail('não deveria executar');
+  await backend.runHooks(undefined, 'hs-test');
+  await backend.runHooks([], 'hs-test');
+});
+
+function defaultRouteTunnel(name, address) {
+  return {
+    name,
+    config: {
+      iface: { PrivateKey: 'cHJpdmF0ZS1rZXktZm9yLXRlc3RzLW9ubHktMDAwMDA=', Address: [address] },
+      peers: [{ PublicKey: 'cHVibGljLWtleS1mb3ItdGVzdHMtb25seS0wMDAwMDA=', Endpoint: '198.51.100.1:51820', AllowedIPs: ['0.0.0.0/0', '::/0'] }]
+    }
+  };
+}
+
+test('up/down: cada túnel com rota default usa sua própria tabela e fwmark', async () => {
+  const backend = new NetlinkBackend();
+  const commands = [];
+  backend.run = async (command) => {
+    commands.push(command);
+    return { stdout: '' };
+  };
+
+  await backend.up(defaultRouteTunnel('hs-a', '10.8.0.2/32'));
+  await backend.up(defaultRouteTunnel('hs-b', '10.9.0.2/32'));
+  assert.equal(backend.active.get('hs-a').defaultTable, 51820);
+  assert.equal(backend.active.get('hs-b').defaultTable, 51821);
+
+  const routing = commands.filter(command => /^(wg set |ip -[46] (route add|rule add))/.test(command));
+  assert.deepEqual(routing, [
+    'wg set hs-a fwmark 51820',
+    'ip -4 route add 0.0.0.0/0 dev hs-a table 51820',
+    'ip -4 rule add not fwmark 51820 table 51820',
+    'ip -4 rule add table main suppress_prefixlength 0',
+    'ip -6 route add ::/0 dev hs-a table 51820',
+    'ip -6 rule add not fwmark 51820 table 51820',
+    'ip -6 rule add table main suppress_prefixlength 0',
+    'wg set hs-b fwmark 51821',
+    'ip -4 route add 0.0.0.0/0 dev hs-b table 51821',
+    'ip -4 rule add not fwmark 51821 table 51821',
+    'ip -4 rule add table main suppress_prefixlength 0',
+    'ip -6 route add ::/0 dev hs-b table 51821',
+    'ip -6 rule add not fwmark 51821 table 51821',
+    'ip -6 rule add table main suppress_prefixlength 0'
+  ]);
+
+  // Derrubar o primeiro remove só as regras da tabela dele
+  commands.length = 0;
+  await backend.down({ name: 'hs-a' });
+  assert.deepEqual(commands, [
+    'ip -4 rule del not fwmark 51820 table 51820',
+    'ip -4 rule del table main suppress_prefixlength 0',
+    'ip -6 rule del not fwmark 51820 table 51820',
+    'ip -6 rule del table main suppress_prefixlength 0',
+    'ip link del dev hs-a'
+  ]);
+  assert.equal(backend.active.get('hs-b').defaultTable, 51821);
+});
+
+test('pickDefaultTable: pula tabelas já ocupadas no sistema e respeita FwMark', async () => {
+  const backend = new NetlinkBackend();
+  backend.run = async (command) => ({
+    stdout: / table 5182[01]$/.test(command) && command.startsWith('ip -4') ? 'default dev wg0 scope link\n' : ''
+  });
+
+  assert.equal(await backend.pickDefaultTable(defaultRouteTunnel('hs-a', '10.8.0.2/32')), 51822);
+
+  const marked = defaultRouteTunnel('hs-b', '10.9.0.2/32');
+  marked.config.iface.FwMark = '0xca6c';
+  assert.equal(await backend.pickDefaultTable(marked), 0xca6c);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'hiraishin-test-'));
+process.env.HOME = home;
+process.env.HIRAISHIN_PASSPHRASE = 'senha-de-teste';
+
+const secretStore = require('../src/secret-store');
+const profileStore = require('../src/profile-store');
+
+const peerKey = profileStore.generateKeyPair().publicKey;
+const privateKey = profileStore.generateKeyPair().privateKey;
+const presharedKey = profileStore.generatePresharedKey();
+
+const saveSample = () => profileStore.saveProfile({
+  name: 'Servidor',
+  iface: { privateKey, address: ['10.66.0.2/32'] },
+  peers: [{ publicKey: peerKey, presharedKey, endpoint: '192.0.2.10:51820', allowedIPs: ['0.0.0.0/0'] }]
+});
+
+test.before(() => secretStore.unlock());
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('saveProfile: perfil devolvido por toPublic mantém os segredos gravados', () => {
+  const saved = saveSample();
+  const edited = { ...profileStore.toPublic(saved), name: 'Servidor (editado)' };
+  assert.equal(edited.iface.privateKey, '(definida)');
+  assert.equal(edited.peers[0].presharedKey, '(definida)');
+
+  const updated = profileStore.saveProfile(edited);
+  assert.equal(updated.id, saved.id);
+  assert.equal(updated.name, 'Servidor (editado)');
+  assert.equal(updated.iface.privateKey, saved.iface.privateKey);
+  assert.equal(updated.peers[0].presharedKey, saved.peers[0].presharedKey);
+
+  const config = profileStore.toConfigModel(updated);
+  assert.equal(config.iface.PrivateKey, privateKey);
+  assert.equal(config.peers[0].PresharedKey, presharedKey);
+});
+
+test('saveProfile: segredo omitido mantém o gravado; null remove', () => {
+  const saved = saveSample();
+  const { privateKey: omitted, ...iface } = saved.iface;
+  assert.ok(omitted);
+
+  const kept = profileStore.saveProfile({
+    id: saved.id,
+    name: saved.name,
+    iface,
+    peers: [{ publicKey: peerKey, endpoint: '192.0.2.10:51820', allowedIPs: ['0.0.0.0/0'] }]
+  });
+  assert.equal(kept.iface.privateKey, saved.iface.privateKey);
+  assert.equal(kept.peers[0].presharedKey, saved.peers[0].presharedKey);
+
+  const removed = profileStore.saveProfile({
+    ...profileStore.toPublic(kept),
+    iface: { ...kept.iface, privateKey: null },
+    peers: [{ ...kept.peers[0], presharedKey: null }]
+  });
+  assert.equal(removed.iface.privateKey, undefined);
+  assert.equal(removed.peers[0].presharedKey, null);
+});
+
+test('saveProfile: segredo novo substitui o gravado', () => {
+  const saved = saveSample();
+  const replacement = profileStore.generatePresharedKey();
+
+  const updated = profileStore.saveProfile({
+    ...profileStore.toPublic(saved),
+    peers: [{ ...profileStore.toPublic(saved).peers[0], presharedKey: replacement }]
+  });
+  assert.notEqual(updated.peers[0].presharedKey, saved.peers[0].presharedKey);
+  assert.equal(profileStore.toConfigModel(updated).peers[0].PresharedKey, replacement);
+});
+
+test('saveProfile: máscara num perfil novo ou peer novo não vira segredo', () => {
+  const created = profileStore.saveProfile({
+    name: 'Novo',
+    iface: { privateKey: '(definida)' },
+    peers: [{ publicKey: peerKey, presharedKey: '(definida)', endpoint: '192.0.2.10:51820', allowedIPs: ['0.0.0.0/0'] }]
+  });
+  assert.equal(created.iface.privateKey, undefined);
+  assert.equal(created.peers[0].presharedKey, null);
+
+  assert.throws(() => profileStore.saveProfile({
+    name: 'Inválido',
+    peers: [{ publicKey: peerKey, presharedKey: 'curta', endpoint: '192.0.2.10:51820' }]
+  }), /PresharedKey inválida/);
+});
+
+test('importConfig/exportConfig: PersistentKeepalive = off volta igual', () => {
+  const profile = profileStore.importConfig([
+    '[Interface]',
+    `PrivateKey = ${privateKey}`,
+    'Address = 10.67.0.2/32',
+    '',
+    '[Peer]',
+    `PublicKey = ${peerKey}`,
+    'AllowedIPs = 0.0.0.0/0',
+    'Endpoint = 192.0.2.10:51820',
+    'PersistentKeepalive = off',
+    ''
+  ].join('\n'), 'Importado');
+
+  assert.equal(profile.peers[0].persistentKeepalive, 'off');
+  assert.match(profileStore.exportConfig(profile.id), /^PersistentKeepalive = off$/m);
+});
+
+test('load: diretório base criado só para o dono (0700)', { skip: process.platform === 'win32' }, () => {
+  fs.rmSync(profileStore.basePath, { recursive: true, force: true });
+  profileStore.data = null;
+  profileStore.load();
+  assert.equal(fs.statSync(profileStore.basePath).mode & 0o777, 0o700);
+});
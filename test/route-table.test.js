@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const routeTable = require('../src/route-table');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'route-table', name), 'utf8');
+
+test('parseIpRoutes: rota default simples com origem e métrica', () => {
+  const routes = routeTable.parseIpRoutes(fixture('ip-route-4.json'), 4);
+  const route = routes.find(candidate => candidate.iface === 'eth0' && candidate.destination === '0.0.0.0/0');
+
+  assert.deepEqual(route, {
+    family: 4,
+    destination: '0.0.0.0/0',
+    gateway: '192.168.1.1',
+    iface: 'eth0',
+    metric: 100,
+    protocol: 'dhcp',
+    scope: null,
+    table: 'main',
+    type: 'unicast',
+    source: '192.168.1.50',
+    flags: []
+  });
+});
+
+test('parseIpRoutes: multipath vira uma entrada por próximo salto', () => {
+  const routes = routeTable.parseIpRoutes(fixture('ip-route-4.json'), 4);
+  const hops = routes.filter(route => route.metric === 50);
+
+  assert.deepEqual(hops.map(hop => [hop.gateway, hop.iface, hop.weight, hop.flags]), [
+    ['10.0.0.1', 'eth1', 1, []],
+    ['10.1.0.1', 'wwan0', 3, ['onlink']]
+  ]);
+  for (const hop of hops) {
+    assert.equal(hop.destination, '0.0.0.0/0');
+    assert.equal(hop.protocol, 'static');
+    assert.equal(hop.table, 'main');
+  }
+});
+
+test('parseIpRoutes: tabelas fora da main e rotas sem gateway', () => {
+  const routes = routeTable.parseIpRoutes(fixture('ip-route-4.json'), 4);
+
+  const wg0 = routes.find(route => route.iface === 'wg0' && route.destination === '0.0.0.0/0');
+  assert.equal(wg0.table, '51820');
+  assert.equal(wg0.gateway, null);
+  assert.equal(wg0.scope, 'link');
+
+  const wg1 = routes.find(route => route.iface === 'wg1');
+  assert.equal(wg1.table, 'main');
+  assert.equal(wg1.gateway, null);
+  assert.equal(wg1.scope, 'link');
+  assert.equal(wg1.metric, 10);
+
+  const local = routes.find(route => route.type === 'local');
+  assert.equal(local.table, 'local');
+  assert.equal(local.destination, '127.0.0.1/32');
+  assert.equal(routeTable.isForwarding(local), false);
+
+  const unreachable = routes.find(route => route.table === '200');
+  assert.equal(unreachable.type, 'unreachable');
+  assert.equal(routeTable.isForwarding(unreachable), false);
+});
+
+test('parseIpRoutes: IPv6 com gateway link-local e host sem prefixo', () => {
+  const routes = routeTable.parseIpRoutes(fixture('ip-route-6.json'), 6);
+
+  const defaultRoute = routes.find(route => route.destination === '::/0');
+  assert.equal(defaultRoute.family, 6);
+  assert.equal(defaultRoute.gateway, 'fe80::1');
+  assert.equal(defaultRoute.protocol, 'ra');
+  assert.equal(routes.find(route => route.type === 'local').destination, '::1/128');
+});
+
+test('parseIpRoutes: saída vazia', () => {
+  assert.deepEqual(routeTable.parseIpRoutes('', 4), []);
+  assert.deepEqual(routeTable.parseIpRoutes('[]', 6), []);
+});
+
+test('getDefaultRoutes: só rotas default que encaminham, da main sem regras', async (t) => {
+  const routes = [
+    ...routeTable.parseIpRoutes(fixture('ip-route-4.json'), 4),
+    ...routeTable.parseIpRoutes(fixture('ip-route-6.json'), 6)
+  ];
+  t.mock.method(routeTable, 'readRoutes', async () => routes);
+  t.mock.method(routeTable, 'readRules', async () => []);
+
+  const main = await routeTable.getDefaultRoutes();
+  assert.deepEqual(main.map(route => [route.family, route.iface, route.metric]), [
+    [4, 'wg1', 10],
+    [4, 'eth1', 50],
+    [4, 'wwan0', 50],
+    [4, 'eth0', 100],
+    [6, 'eth0', 100]
+  ]);
+
+  const all = await routeTable.getDefaultRoutes({ tables: null });
+  assert.ok(all.some(route => route.iface === 'wg0' && route.table === '51820'));
+  assert.ok(!all.some(route => route.type === 'unreachable'));
+});
+
+test('resolveDefaultRoutes: segue fwmark e suppress_prefixlength por prioridade', () => {
+  const routes = [
+    ...routeTable.parseIpRoutes(fixture('ip-route-4.json'), 4),
+    ...routeTable.parseIpRoutes(fixture('ip-route-6.json'), 6)
+  ];
+  const rules = routeTable.parseIpRules(fixture('ip-rule-4.json'), 4);
+  const describe = resolved => resolved.map(route => [route.family, route.iface, route.table]);
+
+  // Sem marca: `not fwmark 0xca6c lookup 51820` pega antes da main (a default
+  // da main já foi suprimida pela regra 32764)
+  assert.deepEqual(describe(routeTable.resolveDefaultRoutes(rules, routes)), [
+    [4, 'wg0', '51820'],
+    [6, 'eth0', 'main']
+  ]);
+
+  // Tráfego marcado (o do próprio WireGuard) cai na main
+  assert.deepEqual(describe(routeTable.resolveDefaultRoutes(rules, routes, { fwmark: 0xca6c })), [
+    [4, 'wg1', 'main'],
+    [4, 'eth1', 'main'],
+    [4, 'wwan0', 'main'],
+    [4, 'eth0', 'main'],
+    [6, 'eth0', 'main']
+  ]);
+
+  // Túnel do app ignorado: a busca segue até a saída por baixo dele
+  const underlay = routeTable.resolveDefaultRoutes(rules, routes, { excludeIfaces: ['wg0'] });
+  assert.equal(underlay[0].iface, 'wg1');
+  assert.ok(underlay.every(route => route.table === 'main'));
+});
+
+test('resolveDefaultRoutes: tabela com default unreachable encerra a busca', () => {
+  const routes = routeTable.parseIpRoutes(fixture('ip-route-4.json'), 4);
+  const rules = routeTable.parseIpRules(
+    '[{"priority":50,"src":"all","table":"200"},{"priority":32766,"src":"all","table":"main"}]', 4);
+  assert.deepEqual(routeTable.resolveDefaultRoutes(rules, routes).filter(route => route.family === 4), []);
+
+  const masked = routeTable.parseIpRules(
+    '[{"priority":50,"src":"all","fwmark":"0x100/0xff00","table":"200"},{"priority":32766,"src":"all","table":"main"}]', 4);
+  assert.equal(routeTable.resolveDefaultRoutes(masked, routes, { fwmark: 0x1ab }).length, 0);
+  assert.equal(routeTable.resolveDefaultRoutes(masked, routes)[0].iface, 'wg1');
+});
+
+test('parseIpRules: ordem por prioridade, not e suppress_prefixlength', () => {
+  const rules = routeTable.parseIpRules(fixture('ip-rule-4.json'), 4);
+
+  assert.deepEqual(rules.map(rule => rule.priority), [0, 100, 200, 32764, 32765, 32766, 32767]);
+
+  const suppress = rules.find(rule => rule.priority === 32764);
+  assert.equal(suppress.suppressPrefixLength, 0);
+  assert.equal(suppress.table, 'main');
+  assert.equal(suppress.action, 'lookup');
+  assert.equal(suppress.not, false);
+
+  const wireguard = rules.find(rule => rule.priority === 32765);
+  assert.equal(wireguard.not, true);
+  assert.equal(wireguard.fwmark, '0xca6c');
+  assert.equal(wireguard.table, '51820');
+  assert.equal(wireguard.from, 'all');
+  assert.equal(wireguard.suppressPrefixLength, null);
+
+  const source = rules.find(rule => rule.priority === 100);
+  assert.equal(source.from, '10.8.0.0/24');
+  assert.equal(source.to, '192.168.50.7/32');
+
+  const prohibit = rules.find(rule => rule.priority === 200);
+  assert.equal(prohibit.action, 'prohibit');
+  assert.equal(prohibit.table, null);
+  assert.equal(prohibit.iif, 'wg0');
+});
+
+test('parseWindowsRoutes: IPv4, IPv6 quebrado em duas linhas e rotas persistentes', () => {
+  const routes = routeTable.parseWindowsRoutes(fixture('route-print-en.txt'));
+  const ipv4 = routes.filter(route => route.family === 4);
+  const ipv6 = routes.filter(route => route.family === 6);
+
+  assert.deepEqual(ipv4.map(route => [route.destination, route.gateway, route.interfaceAddress, route.metric, route.scope]), [
+    ['0.0.0.0/0', '192.168.1.1', '192.168.1.50', 25, null],
+    ['10.8.0.0/24', null, '10.8.0.2', 5, 'link'],
+    ['127.0.0.0/8', null, '127.0.0.1', 331, 'link'],
+    ['192.168.1.0/24', null, '192.168.1.50', 281, 'link']
+  ]);
+
+  assert.deepEqual(ipv6.map(route => [route.destination, route.gateway, route.ifIndex, route.metric]), [
+    ['::/0', 'fe80::1', 12, 281],
+    ['::1/128', null, 1, 331],
+    ['2001:db8:1:2:3:4:5:6/128', null, 12, 281],
+    ['2001:db8:ffff:ffff:ffff:ffff:ffff:0/112', 'fe80::2', 12, 281]
+  ]);
+
+  // Rotas persistentes só valem depois de ativadas; não entram
+  assert.ok(!routes.some(route => route.destination.startsWith('10.20.') || route.destination.startsWith('2001:db8:9:')));
+});
+
+test('parseWindowsRoutes: Windows em alemão', () => {
+  const routes = routeTable.parseWindowsRoutes(fixture('route-print-de.txt'));
+
+  assert.deepEqual(routes.map(route => [route.family, route.destination, route.gateway, route.metric]), [
+    [4, '0.0.0.0/0', '192.168.1.1', 25],
+    [4, '127.0.0.0/8', null, 331],
+    [4, '192.168.1.0/24', null, 281],
+    [6, '::/0', 'fe80::1', 281],
+    [6, '::1/128', null, 331],
+    [6, '2001:db8:1:2:3:4:5:6/128', null, 281]
+  ]);
+});
+
+test('resolveWindowsInterfaces: IPv4 pelo endereço, IPv6 pelo índice', () => {
+  const routes = routeTable.parseWindowsRoutes(fixture('route-print-en.txt'));
+  const resolved = routeTable.resolveWindowsInterfaces(routes, {
+    Ethernet: [
+      { address: '192.168.1.50', family: 'IPv4' },
+      { address: 'fe80::1234', family: 'IPv6', scopeid: 12 }
+    ],
+    hiraishin: [{ address: '10.8.0.2', family: 'IPv4' }]
+  });
+
+  assert.equal(resolved.find(route => route.destination === '0.0.0.0/0').iface, 'Ethernet');
+  assert.equal(resolved.find(route => route.destination === '10.8.0.0/24').iface, 'hiraishin');
+  assert.equal(resolved.find(route => route.destination === '::/0').iface, 'Ethernet');
+  assert.equal(resolved.find(route => route.destination === '::1/128').iface, null);
+});
@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+// Executa os testes com o runner embutido do Node (sem dependências):
+//   node test/run.js [arquivo.test.js ...]
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const files = process.argv.length > 2
+  ? process.argv.slice(2)
+  : fs.readdirSync(__dirname)
+    .filter(name => name.endsWith('.test.js'))
+    .sort()
+    .map(name => path.join(__dirname, name));
+
+const result = spawnSync(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+process.exit(result.status === null ? 1 : result.status);
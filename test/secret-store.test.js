@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+
+// Chaveiro falso do macOS: o secret-store pega execFileSync no require
+const keychain = new Map();
+const calls = [];
+test.mock.method(childProcess, 'execFileSync', (file, args, options = {}) => {
+  calls.push({ file, args, input: options.input });
+  if (file !== 'security') throw new Error(`comando inesperado: ${file}`);
+  if (args[0] === '-i') {
+    const match = String(options.input).match(/^add-generic-password -U -s (\S+) -a (\S+) -X ([0-9a-f]+)\n$/);
+    if (match) keychain.set(`${match[1]}/${match[2]}`, Buffer.from(match[3], 'hex').toString());
+    return Buffer.alloc(0);
+  }
+  if (args[0] === 'find-generic-password') {
+    const value = keychain.get(`${args[args.indexOf('-s') + 1]}/${args[args.indexOf('-a') + 1]}`);
+    if (value === undefined) throw new Error('The specified item could not be found in the keychain.');
+    return Buffer.from(`${value}\n`);
+  }
+  throw new Error(`subcomando inesperado: ${args[0]}`);
+});
+
+const secretStore = require('../src/secret-store');
+
+test('writeKeyring (macOS): valor em hex pelo stdin do `security -i`, nunca nos argumentos', t => {
+  const platform = Object.getOwnPropertyDescriptor(process, 'platform');
+  Object.defineProperty(process, 'platform', { value: 'darwin' });
+  t.after(() => Object.defineProperty(process, 'platform', platform));
+
+  const key = crypto.randomBytes(32);
+  secretStore.writeKeyring(key);
+
+  const write = calls.find(call => call.args[0] === '-i');
+  assert.deepEqual(write.args, ['-i']);
+  assert.ok(!write.args.join(' ').includes(key.toString('base64')));
+  assert.ok(write.input.includes(`-X ${Buffer.from(key.toString('base64')).toString('hex')}`));
+  assert.deepEqual(secretStore.readKeyring(), key);
+});
+
+test('writeKeyring (macOS): falha silenciosa do security vira erro', t => {
+  const platform = Object.getOwnPropertyDescriptor(process, 'platform');
+  Object.defineProperty(process, 'platform', { value: 'darwin' });
+  t.after(() => Object.defineProperty(process, 'platform', platform));
+
+  keychain.clear();
+  childProcess.execFileSync.mock.mockImplementationOnce(() => Buffer.alloc(0));
+  assert.throws(() => secretStore.writeKeyring(crypto.randomBytes(32)), /Não foi possível gravar a chave mestra/);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const settingsStore = require('../src/settings-store');
+
+const field = (section, key) => settingsStore.schema[section].fields[key];
+
+test('validateField: cidrList aceita lista ou texto e confere a família', () => {
+  const pools4 = field('tunnel', 'addressPools4');
+  assert.deepEqual(settingsStore.validateField(pools4, '10.1.0.0/16, 192.168.9.0/24'), ['10.1.0.0/16', '192.168.9.0/24']);
+  assert.deepEqual(settingsStore.validateField(pools4, ['10.1.0.0/16']), ['10.1.0.0/16']);
+
+  assert.throws(() => settingsStore.validateField(pools4, 'fd00::/64'), /redes IPv4 inválidas: fd00::\/64/);
+  assert.throws(() => settingsStore.validateField(pools4, '10.1.0.0/31'), /inválidas/);
+  assert.throws(() => settingsStore.validateField(pools4, 'rede'), /inválidas: rede/);
+  assert.throws(() => settingsStore.validateField(pools4, ' , '), /ao menos uma rede/);
+
+  const pools6 = field('tunnel', 'addressPools6');
+  assert.deepEqual(settingsStore.validateField(pools6, 'fd12:3456::/48'), ['fd12:3456::/48']);
+  assert.throws(() => settingsStore.validateField(pools6, '10.0.0.0/8'), /IPv6/);
+});
+
+test('validate: pools inválidos voltam ao valor base', () => {
+  const defaults = settingsStore.defaults();
+  const { value, errors } = settingsStore.validate({ tunnel: { addressPools4: '10.0.0.0/33' } }, defaults);
+  assert.deepEqual(value.tunnel.addressPools4, defaults.tunnel.addressPools4);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^tunnel\.addressPools4:/);
+});
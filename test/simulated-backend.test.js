@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tudo em um HOME temporário, com o backend simulado e o cofre por senha
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'hiraishin-test-'));
+process.env.HOME = home;
+process.env.HIRAISHIN_BACKEND = 'simulated';
+process.env.HIRAISHIN_PASSPHRASE = 'senha-de-teste';
+
+const dns = require('dns').promises;
+const secretStore = require('../src/secret-store');
+const profileStore = require('../src/profile-store');
+const addressManager = require('../src/address-manager');
+const wgController = require('../src/wg-controller');
+
+const wifi = { id: 'uplink:wlan0', name: 'WiFi', kind: 'wifi', iface: 'wlan0' };
+const cellular = { id: 'uplink:wwan0', name: 'Celular', kind: 'cellular', iface: 'wwan0' };
+
+test.before(() => {
+  // Interfaces do host fora do teste: só a LAN de uma rota WiFi fictícia
+  addressManager.readInterfaces = async () => [
+    { iface: 'wlan0', ip4: '192.168.1.50', ip4subnet: '255.255.255.0', ip6: '', operstate: 'up' }
+  ];
+  secretStore.unlock();
+  profileStore.saveProfile({
+    name: 'Servidor de teste',
+    iface: { address: ['10.66.0.2/32'] },
+    peers: [{
+      publicKey: profileStore.generateKeyPair().publicKey,
+      presharedKey: profileStore.generatePresharedKey(),
+      endpoint: '192.0.2.10:51820',
+      allowedIPs: ['0.0.0.0/0']
+    }]
+  });
+});
+
+test.afterEach(async () => {
+  if (wgController.isConnected) await wgController.disconnect();
+});
+
+test.after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('connect: sobe a interface com as chaves do perfil e desconecta', async () => {
+  const backend = wgController.backend;
+  assert.equal(backend.name, 'simulated');
+
+  const tunnel = await wgController.connect(wifi, { name: 'hs-test' });
+  assert.equal(tunnel.routeId, wifi.id);
+  assert.deepEqual(tunnel.addresses, ['10.66.0.2/32']);
+
+  const state = backend.tunnels.get('hs-test');
+  assert.equal(state.publicKey, profileStore.getPublicKey());
+  assert.equal(state.peers[0].endpoint, '192.0.2.10:51820');
+  assert.ok(state.peers[0].presharedKey);
+
+  const configFile = wgController.getTunnel('hs-test').configFile;
+  assert.equal(fs.statSync(configFile).mode & 0o777, 0o600);
+
+  const stats = await wgController.getTrafficStats();
+  assert.deepEqual(stats.interfaces.map(peer => peer.name), ['hs-test']);
+
+  await wgController.disconnect('hs-test');
+  assert.equal(backend.tunnels.size, 0);
+  assert.equal(fs.existsSync(configFile), false);
+});
+
+test('failNext: falha ao subir não deixa túnel nem config para trás', async () => {
+  const backend = wgController.backend;
+  backend.failNext('up', 'RTNETLINK answers: Operation not permitted');
+
+  await assert.rejects(wgController.connect(wifi, { name: 'hs-test' }), /Operation not permitted/);
+  assert.equal(wgController.isConnected, false);
+  assert.equal(backend.tunnels.size, 0);
+  assert.deepEqual(fs.readdirSync(wgController.configPath), []);
+
+  // A falha vale só para a próxima chamada
+  await wgController.connect(wifi, { name: 'hs-test' });
+  assert.ok(backend.tunnels.has('hs-test'));
+});
+
+test('failNext: dump e status com erro não derrubam o túnel', async () => {
+  const backend = wgController.backend;
+  await wgController.connect(wifi, { name: 'hs-test' });
+
+  backend.failNext('dump');
+  assert.equal(await wgController.getTrafficStats(), null);
+  assert.equal((await wgController.getTrafficStats()).interfaces.length, 1);
+
+  backend.failNext('status', 'wg: sem permissão');
+  const status = await wgController.getStatus();
+  assert.equal(status.error, 'wg: sem permissão');
+  assert.equal(status.isConnected, true);
+});
+
+test('switchRoute: leva o túnel para a rota nova', async () => {
+  await wgController.connect(wifi, { name: 'hs-test' });
+
+  const switched = await wgController.switchRoute('hs-test', cellular);
+  assert.equal(switched.routeId, cellular.id);
+  assert.ok(wgController.backend.tunnels.has('hs-test'));
+});
+
+test('switchRoute: falha na rota nova volta para a anterior', async () => {
+  const backend = wgController.backend;
+  await wgController.connect(wifi, { name: 'hs-test' });
+  const before = backend.tunnels.get('hs-test');
+
+  backend.failNext('up', 'Falha simulada na rota nova');
+  await assert.rejects(wgController.switchRoute('hs-test', cellular), /rota nova/);
+
+  const tunnel = wgController.getTunnel('hs-test');
+  assert.equal(tunnel.route.id, wifi.id);
+  const restored = backend.tunnels.get('hs-test');
+  assert.ok(restored, 'interface deveria ter sido restaurada');
+  assert.notEqual(restored, before);
+  assert.equal(restored.peers[0].endpoint, '192.0.2.10:51820');
+  assert.ok(fs.existsSync(tunnel.configFile));
+});
+
+test('kill switch: endpoint por nome fica fixado em IP e o restart não depende de DNS', async (t) => {
+  const lookup = t.mock.method(dns, 'lookup', async () => [{ address: '198.51.100.7', family: 4 }]);
+  const profile = profileStore.saveProfile({
+    name: 'Servidor por nome',
+    iface: { address: ['10.66.1.2/32'] },
+    peers: [{
+      publicKey: profileStore.generateKeyPair().publicKey,
+      endpoint: 'vpn.example.test:51820',
+      allowedIPs: ['0.0.0.0/0']
+    }]
+  });
+  await wgController.setKillSwitch({ enabled: true });
+  t.after(() => wgController.setKillSwitch({ enabled: false }));
+
+  await wgController.connect(wifi, { name: 'hs-named', profileId: profile.id });
+  assert.equal(wgController.getTunnel('hs-named').config.peers[0].Endpoint, '198.51.100.7:51820');
+
+  // Armado, o DNS do sistema não responde
+  lookup.mock.mockImplementation(async () => { throw new Error('getaddrinfo EAI_AGAIN vpn.example.test'); });
+  await wgController.restartTunnel('hs-named');
+  await wgController.switchRoute('hs-named', cellular);
+  assert.equal(wgController.backend.tunnels.get('hs-named').peers[0].endpoint, '198.51.100.7:51820');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cidr = require('../src/cidr');
+const splitTunnel = require('../src/split-tunnel');
+
+// Endereços cobertos por uma lista de CIDRs (sem sobreposição), por família
+function size(cidrs, family) {
+  return cidrs
+    .map(cidr.parseCidr)
+    .filter(range => range.family === family)
+    .reduce((total, range) => total + (range.end - range.start + 1n), 0n);
+}
+
+test('normalizeRules: aceita CIDRs e domínios, rejeita prefixo vazio', () => {
+  const rules = splitTunnel.normalizeRules({ include: '10.0.0.0/8, *.example.com', exclude: ['2001:db8::/32'], bypassLan: 1 });
+  assert.deepEqual(rules, { include: ['10.0.0.0/8', '*.example.com'], exclude: ['2001:db8::/32'], bypassLan: true });
+
+  assert.throws(() => splitTunnel.normalizeRules({ exclude: ['10.0.0.0/'] }), /exclusão inválida: 10\.0\.0\.0\//);
+  assert.throws(() => splitTunnel.normalizeRules({ include: ['::/129'] }), /inclusão inválida/);
+});
+
+test('computeAllowedIPs: bypass de LAN e endpoints fora do túnel, IPv4 e IPv6', async () => {
+  const rules = splitTunnel.normalizeRules({ bypassLan: true });
+  const endpoints = ['198.51.100.1:51820', '[2001:db8::1]:51820'];
+  const allowed = await splitTunnel.computeAllowedIPs(['0.0.0.0/0', '::/0'], rules, endpoints);
+
+  const excluded = [...splitTunnel.lanRanges, '198.51.100.1/32', '2001:db8::1/128'];
+  for (const range of allowed) {
+    for (const cut of excluded) {
+      assert.equal(cidr.overlaps(range, cut), false, `${range} cobre ${cut}`);
+    }
+  }
+
+  // Complemento exato: o permitido mais o excluído cobre o espaço inteiro
+  const excludedMerged = cidr.subtract(excluded, []);
+  assert.equal(size(allowed, 4) + size(excludedMerged, 4), 1n << 32n);
+  assert.equal(size(allowed, 6) + size(excludedMerged, 6), 1n << 128n);
+
+  assert.ok(allowed.includes('8.0.0.0/7'));
+  assert.ok(allowed.includes('198.51.100.0/32'));
+  assert.ok(allowed.includes('2000::/16'));
+  assert.ok(!allowed.some(range => range.startsWith('fe80') || range.startsWith('fd')));
+});
+
+test('computeAllowedIPs: inclusão restringe e exclusão recorta, por família', async () => {
+  const rules = splitTunnel.normalizeRules({ include: ['10.0.0.0/8', '2001:db8::/32'], exclude: ['10.1.0.0/16', '2001:db8:ff::/48'] });
+  const allowed = await splitTunnel.computeAllowedIPs([], rules);
+
+  assert.ok(!allowed.some(range => cidr.overlaps(range, '10.1.0.0/16')));
+  assert.equal(size(allowed, 4), (1n << 24n) - (1n << 16n));
+  assert.equal(size(allowed, 6), (1n << 96n) - (1n << 80n));
+  assert.ok(allowed.includes('10.0.0.0/16'));
+  assert.ok(allowed.includes('2001:db8::/41'));
+});
+
+test('computeAllowedIPs: AllowedIPs só IPv4 não ganha IPv6 com bypass de LAN', async () => {
+  const rules = splitTunnel.normalizeRules({ bypassLan: true });
+  const allowed = await splitTunnel.computeAllowedIPs(['0.0.0.0/0'], rules);
+  assert.ok(allowed.length > 0);
+  assert.ok(allowed.every(range => cidr.parseCidr(range).family === 4));
+  assert.ok(!allowed.some(range => cidr.overlaps(range, '192.168.1.0/24')));
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const wgConfig = require('../src/wg-config');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'wg-config', name), 'utf8');
+
+test('parseConfig: vários peers, PresharedKey, Table/FwMark e hooks', () => {
+  const config = wgConfig.parseConfig(fixture('multi-peer.conf'));
+
+  assert.deepEqual(config.iface.Address, ['10.8.0.2/32', 'fd00:8::2/128']);
+  assert.deepEqual(config.iface.DNS, ['10.8.0.1', 'vpn.example']);
+  assert.equal(config.iface.MTU, 1380);
+  assert.equal(config.iface.ListenPort, 51821);
+  assert.equal(config.iface.Table, '1234');
+  assert.equal(config.iface.FwMark, '0xca6c');
+  assert.deepEqual(config.iface.PostUp, [
+    'iptables -A FORWARD -i %i -j ACCEPT',
+    'ip rule add from 10.8.0.2 table 1234'
+  ]);
+  assert.deepEqual(config.iface.PreDown, ['iptables -D FORWARD -i %i -j ACCEPT']);
+
+  assert.equal(config.peers.length, 2);
+  const [first, second] = config.peers;
+  assert.equal(first.PresharedKey, 'MzMzMzMzMzMzMzMzMzMzMzMzMzMzMzMzMzMzMzMzMzM=');
+  assert.equal(first.PersistentKeepalive, 'off');
+  assert.equal(first.Endpoint, 'vpn.example.com:51820');
+  // Nome do campo sem diferenciar maiúsculas; AllowedIPs repetido acumula
+  assert.equal(second.PublicKey, 'REREREREREREREREREREREREREREREREREREREREREQ=');
+  assert.deepEqual(second.AllowedIPs, ['10.9.0.0/24', 'fd00:9::/64']);
+  assert.equal(second.Endpoint, '[2001:db8::1]:51820');
+  assert.equal(second.PersistentKeepalive, 25);
+});
+
+test('formatConfig: ida e volta preserva o modelo, inclusive PersistentKeepalive = off', () => {
+  const config = wgConfig.parseConfig(fixture('multi-peer.conf'));
+  const text = wgConfig.formatConfig(config);
+
+  assert.match(text, /^PersistentKeepalive = off$/m);
+  assert.match(text, /^PostUp = iptables -A FORWARD -i %i -j ACCEPT\nPostUp = ip rule add from 10\.8\.0\.2 table 1234$/m);
+  assert.deepEqual(wgConfig.parseConfig(text), config);
+});
+
+test('formatConfig: PersistentKeepalive 0 (padrão dos perfis) não é escrito', () => {
+  const text = wgConfig.formatConfig({
+    iface: { PrivateKey: 'ERERERERERERERERERERERERERERERERERERERERERE=' },
+    peers: [{ PublicKey: 'IiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiI=', AllowedIPs: ['0.0.0.0/0'], PersistentKeepalive: 0 }]
+  });
+  assert.doesNotMatch(text, /PersistentKeepalive/);
+});
+
+test('parseConfig: erros com o número da linha (CRLF), em ordem', () => {
+  let error = null;
+  try {
+    wgConfig.parseConfig(fixture('invalid.conf'));
+  } catch (caught) {
+    error = caught;
+  }
+
+  assert.ok(error instanceof wgConfig.ConfigParseError);
+  assert.deepEqual(error.errors.map(({ line, message }) => [line, message]), [
+    [3, 'Address: endereço/CIDR inválido: 10.8.0.2/'],
+    [4, 'MTU: MTU inválido: 100'],
+    [5, 'campo desconhecido em [Interface]: Bogus'],
+    [7, '[Peer] sem PublicKey'],
+    [9, 'Endpoint: Endpoint inválido (use host:porta): vpn.example.com'],
+    [13, 'campo PublicKey duplicado'],
+    [14, 'PersistentKeepalive: PersistentKeepalive inválido: sometimes'],
+    [15, 'seção desconhecida: [Extra]']
+  ]);
+  assert.match(error.message, /^Configuração WireGuard inválida:\nLinha 3: /);
+});
+
+test('parseConfig: [Interface] ausente ou sem PrivateKey', () => {
+  assert.throws(() => wgConfig.parseConfig('[Peer]\nPublicKey = IiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiIiI=\n'),
+    error => error.errors.some(({ line, message }) => line === 1 && message === 'seção [Interface] ausente'));
+  assert.throws(() => wgConfig.parseConfig('# comentário\n\n[Interface]\nAddress = 10.0.0.2/32\n'),
+    error => error.errors[0].line === 3 && error.errors[0].message === '[Interface] sem PrivateKey');
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const wgHandshake = require('../src/wg-handshake');
+
+const { blake2s } = wgHandshake;
+
+// Sequência pseudoaleatória do autoteste da RFC 7693 (apêndice E)
+function selftestSeq(length, seed) {
+  const out = Buffer.alloc(length);
+  let a = Math.imul(0xDEAD4BAD, seed) >>> 0;
+  let b = 1;
+  for (let i = 0; i < length; i++) {
+    const t = (a + b) >>> 0;
+    a = b;
+    b = t;
+    out[i] = t >>> 24;
+  }
+  return out;
+}
+
+test('blake2s: vetor "abc" da RFC 7693 (apêndice B) e igual ao blake2s256 do Node', () => {
+  assert.equal(blake2s(Buffer.from('abc')).toString('hex'),
+    '508c5e8c327c14e2e1a72ba34eeb452f37458b209ed63a294d999b4c86675982');
+  for (const length of [0, 1, 63, 64, 65, 128, 1000]) {
+    const data = selftestSeq(length, length + 1);
+    assert.deepEqual(blake2s(data), crypto.createHash('blake2s256').update(data).digest(), `${length} bytes`);
+  }
+});
+
+test('blake2s: vetores com chave (KAT de referência do BLAKE2)', () => {
+  const key = Buffer.from([...Array(32).keys()]);
+  assert.equal(blake2s(Buffer.alloc(0), key).toString('hex'),
+    '48a8997da407876b3d79c0d92325ad3b89cbb754d86ab71aee047ad345fd2c49');
+  assert.equal(blake2s(Buffer.from([0]), key).toString('hex'),
+    '40d15fee7c328830166ac3f918650f807e7e01e177258cdc0a39b11f598066f1');
+});
+
+test('blake2s: autoteste da RFC 7693 (com e sem chave, saídas de 16 a 32 bytes)', () => {
+  const digests = [];
+  for (const outlen of [16, 20, 28, 32]) {
+    for (const inlen of [0, 3, 64, 65, 255, 1024]) {
+      const input = selftestSeq(inlen, inlen);
+      digests.push(blake2s(input, Buffer.alloc(0), outlen));
+      digests.push(blake2s(input, selftestSeq(outlen, outlen), outlen));
+    }
+  }
+  assert.equal(blake2s(Buffer.concat(digests)).toString('hex'),
+    '6a411f08ce25adcdfb02aba641451cec53c598b24f4fc787fbdc88797f4c1dfe');
+});
+
+// Lado do respondedor (whitepaper do WireGuard, seção 5.4.2), com primitivas do Node
+const hash = (...parts) => crypto.createHash('blake2s256').update(Buffer.concat(parts)).digest();
+const hmac = (key, data) => crypto.createHmac('blake2s256', key).update(data).digest();
+function kdf(count, key, input) {
+  const prk = hmac(key, input);
+  const outputs = [];
+  let previous = Buffer.alloc(0);
+  for (let i = 1; i <= count; i++) {
+    previous = hmac(prk, Buffer.concat([previous, Buffer.from([i])]));
+    outputs.push(previous);
+  }
+  return outputs;
+}
+function open(key, ciphertext, associatedData) {
+  const decipher = crypto.createDecipheriv('chacha20-poly1305', key, Buffer.alloc(12), { authTagLength: 16 });
+  decipher.setAAD(associatedData, { plaintextLength: ciphertext.length - 16 });
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  return Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+}
+const rawPublic = keyObject => keyObject.export({ format: 'der', type: 'spki' }).subarray(-32);
+const rawPrivate = keyObject => keyObject.export({ format: 'der', type: 'pkcs8' }).subarray(-32);
+
+test('buildInitiation: o respondedor abre a mensagem e o mac1 cobre os bytes 0-115', () => {
+  const initiator = crypto.generateKeyPairSync('x25519');
+  const responder = crypto.generateKeyPairSync('x25519');
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const responderPublic = rawPublic(responder.publicKey);
+  const now = Date.UTC(2024, 0, 2, 3, 4, 5, 678);
+
+  const { message, senderIndex } = wgHandshake.buildInitiation({
+    privateKey: rawPrivate(initiator.privateKey).toString('base64'),
+    peerPublicKey: responderPublic.toString('base64'),
+    senderIndex: 0x01020304,
+    ephemeral,
+    now
+  });
+
+  assert.equal(message.length, 148);
+  assert.deepEqual([...message.subarray(0, 4)], [1, 0, 0, 0]);
+  assert.equal(message.readUInt32LE(4), senderIndex);
+  assert.deepEqual(message.subarray(8, 40), rawPublic(ephemeral.publicKey));
+  assert.deepEqual(message.subarray(132, 148), Buffer.alloc(16));
+
+  let chainingKey = hash(Buffer.from('Noise_IKpsk2_25519_ChaChaPoly_BLAKE2s'));
+  let handshakeHash = hash(hash(chainingKey, Buffer.from('WireGuard v1 zx2c4 Jason@zx2c4.com')), responderPublic);
+  const ephemeralPublic = message.subarray(8, 40);
+  [chainingKey] = kdf(1, chainingKey, ephemeralPublic);
+  handshakeHash = hash(handshakeHash, ephemeralPublic);
+
+  const ephemeralKey = crypto.createPublicKey({
+    key: Buffer.concat([Buffer.from('302a300506032b656e032100', 'hex'), ephemeralPublic]), format: 'der', type: 'spki'
+  });
+  let key;
+  [chainingKey, key] = kdf(2, chainingKey, crypto.diffieHellman({ privateKey: responder.privateKey, publicKey: ephemeralKey }));
+  const initiatorStatic = open(key, message.subarray(40, 88), handshakeHash);
+  assert.deepEqual(initiatorStatic, rawPublic(initiator.publicKey));
+  handshakeHash = hash(handshakeHash, message.subarray(40, 88));
+
+  [chainingKey, key] = kdf(2, chainingKey, crypto.diffieHellman({ privateKey: responder.privateKey, publicKey: initiator.publicKey }));
+  const timestamp = open(key, message.subarray(88, 116), handshakeHash);
+  assert.equal(timestamp.readBigUInt64BE(0), 2n ** 62n + 10n + BigInt(Math.floor(now / 1000)));
+  assert.equal(timestamp.readUInt32BE(8), 678e6);
+
+  const mac1Key = hash(Buffer.from('mac1----'), responderPublic);
+  assert.deepEqual(message.subarray(116, 132), blake2s(message.subarray(0, 116), mac1Key, 16));
+});
+
+test('isReplyTo: resposta e cookie reply pelo índice do remetente', () => {
+  const response = Buffer.alloc(92);
+  response[0] = 2;
+  response.writeUInt32LE(7, 8);
+  assert.equal(wgHandshake.isReplyTo(response, 7), true);
+  assert.equal(wgHandshake.isReplyTo(response, 8), false);
+
+  const cookie = Buffer.alloc(64);
+  cookie[0] = 3;
+  cookie.writeUInt32LE(7, 4);
+  assert.equal(wgHandshake.isReplyTo(cookie, 7), true);
+  assert.equal(wgHandshake.isReplyTo(Buffer.alloc(92), 0), false);
+});